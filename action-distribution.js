@@ -0,0 +1,234 @@
+// Result distributions for action rolls
+// Exact computation when every modifier is a deterministic function of the running total,
+// Monte Carlo sampling through FormulaCalculator otherwise (explosions, bonus conversion).
+const FormulaCalculator = require('./formula-calculator');
+const { SeededRandomSource, generateSeed } = require('./random-source');
+const { isDeterministicModifier } = require('./modifier-registry');
+
+const DEFAULT_SAMPLES = 20000;
+const MAX_SAMPLES = 100000;
+const DEFAULT_BINS = 20;
+const MAX_BINS = 100;
+const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+/**
+ * Whether the action's result distribution can be computed exactly
+ */
+function isExactlyComputable(action, otherBonuses) {
+  const { calculableFormula } = action;
+
+  // Success pools are sampled
+  if (calculableFormula.evaluation === 'count_successes') {
+    return false;
+  }
+
+  // Keep-highest/lowest is only computed exactly for a single kept die
+  const diceSupported = calculableFormula.dice.every(diceConfig =>
+    (!diceConfig.keepHighest || diceConfig.keepHighest === 1) &&
+    (!diceConfig.keepLowest || diceConfig.keepLowest === 1)
+  );
+
+  // Modifiers that only depend on the running total can be applied to each outcome
+  const modifiersSupported = (calculableFormula.modifiers || [])
+    .every(modifier => isDeterministicModifier(modifier, otherBonuses));
+
+  return diceSupported && modifiersSupported;
+}
+
+/**
+ * Distribution of one kept dice group as Map<"sum|crit", probability>,
+ * where crit marks that a kept die triggered the natural critical
+ */
+function diceGroupDistribution(calculator, count, sides, diceConfig, critical) {
+  const isCrit = value => calculator.isCriticalTrigger(sides, value, critical);
+  let outcomes = new Map();
+
+  if (diceConfig.keepHighest || diceConfig.keepLowest) {
+    // P(max = k) = (k/s)^n - ((k-1)/s)^n, and symmetrically for the minimum
+    for (let value = 1; value <= sides; value++) {
+      const probability = diceConfig.keepHighest
+        ? Math.pow(value / sides, count) - Math.pow((value - 1) / sides, count)
+        : Math.pow((sides - value + 1) / sides, count) - Math.pow((sides - value) / sides, count);
+      outcomes.set(`${value}|${isCrit(value)}`, probability);
+    }
+    return outcomes;
+  }
+
+  outcomes.set('0|false', 1);
+  for (let i = 0; i < count; i++) {
+    const next = new Map();
+    for (const [key, probability] of outcomes) {
+      const [sum, crit] = key.split('|');
+      for (let value = 1; value <= sides; value++) {
+        const nextKey = `${Number(sum) + value}|${crit === 'true' || isCrit(value)}`;
+        next.set(nextKey, (next.get(nextKey) || 0) + probability / sides);
+      }
+    }
+    outcomes = next;
+  }
+  return outcomes;
+}
+
+function combineDistributions(left, right) {
+  const combined = new Map();
+  for (const [leftKey, leftProbability] of left) {
+    const [leftSum, leftCrit] = leftKey.split('|');
+    for (const [rightKey, rightProbability] of right) {
+      const [rightSum, rightCrit] = rightKey.split('|');
+      const key = `${Number(leftSum) + Number(rightSum)}|${leftCrit === 'true' || rightCrit === 'true'}`;
+      combined.set(key, (combined.get(key) || 0) + leftProbability * rightProbability);
+    }
+  }
+  return combined;
+}
+
+/**
+ * Exact result distribution as Map<result, probability>, mirroring calculateActionRoll
+ */
+function exactDistribution(calculator, action, weaponRank, masteryRank, otherBonuses, rollContext) {
+  const { calculableFormula } = action;
+  const critical = calculator.resolveCriticalPolicy(calculableFormula);
+
+  let diceOutcomes = new Map([['0|false', 1]]);
+  for (const diceConfig of calculableFormula.dice) {
+    const count = calculator.resolveDiceCount(diceConfig, weaponRank, masteryRank);
+    if (count > 0) {
+      diceOutcomes = combineDistributions(diceOutcomes, diceGroupDistribution(calculator, count, diceConfig.sides, diceConfig, critical));
+    }
+  }
+
+  const bonusTotal = calculator.buildBonusBreakdown(calculableFormula, weaponRank, masteryRank, otherBonuses)
+    .reduce((sum, bonus) => sum + bonus.value, 0);
+
+  const context = calculator.normalizeRollContext(rollContext);
+  const results = new Map();
+  for (const [key, probability] of diceOutcomes) {
+    const [diceSum, crit] = key.split('|');
+    let finalResult = Number(diceSum) + bonusTotal;
+    let criticalAlreadyApplied = false;
+
+    for (const modifier of calculableFormula.modifiers || []) {
+      const modifierResult = calculator.applyModifier(modifier, {
+        currentResult: finalResult,
+        weaponRank,
+        masteryRank,
+        otherBonuses,
+        critical,
+        criticalAlreadyApplied: criticalAlreadyApplied && critical.stacking !== 'all',
+        context
+      });
+      if (modifierResult.criticalTriggered) {
+        criticalAlreadyApplied = true;
+      }
+      finalResult = modifierResult.result;
+    }
+
+    if (crit === 'true') {
+      finalResult = calculator.applyCriticalHit(finalResult, critical, criticalAlreadyApplied).result;
+    }
+
+    const result = Math.max(1, Math.floor(finalResult));
+    results.set(result, (results.get(result) || 0) + probability);
+  }
+  return results;
+}
+
+/**
+ * Sampled result distribution as Map<result, probability>
+ */
+function sampledDistribution(action, weaponRank, masteryRank, otherBonuses, rollContext, samples, seed, ruleset) {
+  const calculator = new FormulaCalculator({ randomSource: new SeededRandomSource(seed), ruleset });
+  const counts = new Map();
+  for (let i = 0; i < samples; i++) {
+    const { result } = calculator.calculateActionRoll(action, weaponRank, masteryRank, otherBonuses, { context: rollContext });
+    counts.set(result, (counts.get(result) || 0) + 1);
+  }
+
+  const results = new Map();
+  for (const [result, count] of counts) {
+    results.set(result, count / samples);
+  }
+  return results;
+}
+
+/**
+ * Summarize a Map<result, probability> into min, max, mean, percentiles and a histogram
+ */
+function summarizeDistribution(results, bins) {
+  const values = [...results.keys()].sort((a, b) => a - b);
+  const min = values[0];
+  const max = values[values.length - 1];
+
+  let mean = 0;
+  for (const value of values) {
+    mean += value * results.get(value);
+  }
+  let variance = 0;
+  for (const value of values) {
+    variance += Math.pow(value - mean, 2) * results.get(value);
+  }
+
+  const percentiles = {};
+  let cumulative = 0;
+  let percentileIndex = 0;
+  for (const value of values) {
+    cumulative += results.get(value);
+    // Small tolerance so floating point sums of exact probabilities do not skip a percentile
+    while (percentileIndex < PERCENTILES.length && cumulative >= PERCENTILES[percentileIndex] / 100 - 1e-9) {
+      percentiles[`p${PERCENTILES[percentileIndex]}`] = value;
+      percentileIndex++;
+    }
+  }
+
+  const binWidth = Math.max(1, Math.ceil((max - min + 1) / bins));
+  const histogram = [];
+  for (let from = min; from <= max; from += binWidth) {
+    histogram.push({ from, to: Math.min(max, from + binWidth - 1), probability: 0 });
+  }
+  for (const value of values) {
+    histogram[Math.floor((value - min) / binWidth)].probability += results.get(value);
+  }
+
+  return {
+    min,
+    max,
+    mean: Math.round(mean * 100) / 100,
+    standardDeviation: Math.round(Math.sqrt(variance) * 100) / 100,
+    percentiles,
+    histogram: histogram.map(bin => ({ ...bin, probability: Math.round(bin.probability * 1e6) / 1e6 }))
+  };
+}
+
+/**
+ * Compute the result distribution of an action at the given ranks and bonus
+ * @param {Object} [options]
+ * @param {number} [options.samples] - Monte Carlo sample count
+ * @param {number} [options.bins] - Histogram bin count
+ * @param {string} [options.seed] - Seed for Monte Carlo sampling, generated if omitted
+ * @param {Object} [options.context] - Roll context, e.g. { adjacent: true, aoe: true }
+ * @param {Object} [options.ruleset] - Ruleset providing the rank table (defaults to the default ruleset)
+ */
+function calculateActionDistribution(action, weaponRank, masteryRank, otherBonuses = 0, options = {}) {
+  const calculator = new FormulaCalculator({ ruleset: options.ruleset });
+  const bins = Math.min(MAX_BINS, Math.max(1, options.bins || DEFAULT_BINS));
+
+  if (isExactlyComputable(action, otherBonuses)) {
+    return {
+      method: 'exact',
+      ...summarizeDistribution(exactDistribution(calculator, action, weaponRank, masteryRank, otherBonuses, options.context), bins)
+    };
+  }
+
+  const samples = Math.min(MAX_SAMPLES, Math.max(1, options.samples || DEFAULT_SAMPLES));
+  const seed = options.seed || generateSeed();
+  return {
+    method: 'monte_carlo',
+    samples,
+    seed,
+    ...summarizeDistribution(sampledDistribution(action, weaponRank, masteryRank, otherBonuses, options.context, samples, seed, options.ruleset), bins)
+  };
+}
+
+module.exports = {
+  calculateActionDistribution
+};
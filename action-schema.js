@@ -0,0 +1,466 @@
+// Validation of action definitions against the modifier registry and a ruleset's ranks and categories
+// Used at startup for every ruleset's actions so a typo in a definition stops the server
+// instead of becoming a silent no-op.
+const { DEFAULT_RULESET, isValidRank } = require('./rulesets');
+const { getModifier, getModifierTypes } = require('./modifier-registry');
+const { MAX_DICE_COUNT, MAX_DICE_SIDES } = require('./dice-notation');
+
+const COUNT_VARIABLES = ['MR_LEVEL', 'WR_LEVEL', 'BASE_BY_RANK', 'DICE_BY_RANK'];
+const BONUS_TYPES = ['MR', 'WR'];
+const DICE_CONFIG_KEYS = ['count', 'sides', 'baseDiceByRank', 'diceByRank', 'keepHighest', 'keepLowest'];
+const CRITICAL_STACKING_RULES = ['separate', 'none', 'all'];
+const EVALUATION_MODES = ['sum', 'count_successes'];
+const SUCCESS_POOL_KEYS = ['threshold', 'doubleOn', 'cancelOn'];
+const STATUS_EFFECT_OPERATIONS = ['apply', 'remove', 'cleanse'];
+const STATUS_EFFECT_KEYS = [...STATUS_EFFECT_OPERATIONS, 'to', 'when', 'stacks', 'rounds', 'hpPerUnusedCharge'];
+const STATUS_EFFECT_RECIPIENTS = ['self', 'targets'];
+const STATUS_EFFECT_CONDITIONS = ['always', 'success', 'failure'];
+const BUFF_STACK_KEYS = ['stacks', 'maxTargets', 'rounds', 'appliesTo'];
+const DEFENSE_KEYS = {
+  protect: ['type', 'self'],
+  counter: ['type', 'mitigationByRank', 'step', 'maxTargets']
+};
+
+class ActionDefinitionError extends Error {
+  constructor(errors) {
+    super(`Invalid action definitions:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ActionDefinitionError';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Check a value against a registry parameter type, returning an error message or null
+ */
+function checkParamType(value, type, ruleset) {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'string':
+      return typeof value === 'string' && value !== '' ? null : 'must be a non-empty string';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    case 'rankMap': {
+      if (!isPlainObject(value) || Object.keys(value).length === 0) {
+        return 'must be an object keyed by rank';
+      }
+      const badRank = Object.keys(value).find(rank => !isValidRank(ruleset, rank));
+      if (badRank) {
+        return `has unknown rank '${badRank}'`;
+      }
+      const badValue = Object.values(value).find(v => typeof v !== 'number' || !Number.isFinite(v));
+      if (badValue !== undefined) {
+        return 'must only contain numbers';
+      }
+      // Ranks missing from the map fall back to the lowest rank's value
+      return Object.prototype.hasOwnProperty.call(value, ruleset.ranks[0])
+        ? null
+        : `must include the lowest rank '${ruleset.ranks[0]}'`;
+    }
+    case 'dice':
+      return isPlainObject(value) && isPositiveInteger(value.count) && isPositiveInteger(value.sides) &&
+        value.count <= MAX_DICE_COUNT && value.sides <= MAX_DICE_SIDES
+        ? null
+        : `must be { count, sides } with up to ${MAX_DICE_COUNT} dice of up to ${MAX_DICE_SIDES} sides`;
+    default:
+      return `has unsupported parameter type '${type}'`;
+  }
+}
+
+function validateModifier(modifier, formula, path, ruleset) {
+  if (!isPlainObject(modifier)) {
+    return [`${path} must be an object`];
+  }
+
+  const definition = getModifier(modifier.type);
+  if (!definition) {
+    return [`${path} has unknown type '${modifier.type}' (known: ${getModifierTypes().join(', ')})`];
+  }
+
+  const errors = [];
+  for (const [name, param] of Object.entries(definition.params)) {
+    if (modifier[name] === undefined) {
+      if (param.required) {
+        errors.push(`${path} (${modifier.type}) is missing '${name}'`);
+      }
+      continue;
+    }
+    const typeError = checkParamType(modifier[name], param.type, ruleset);
+    if (typeError) {
+      errors.push(`${path} (${modifier.type}) '${name}' ${typeError}`);
+    }
+  }
+
+  for (const name of Object.keys(modifier)) {
+    if (name !== 'type' && !definition.params[name]) {
+      errors.push(`${path} (${modifier.type}) has unknown parameter '${name}'`);
+    }
+  }
+
+  if (errors.length === 0) {
+    for (const message of definition.validate(modifier, formula)) {
+      errors.push(`${path} (${modifier.type}) ${message}`);
+    }
+  }
+  return errors;
+}
+
+function validateDiceConfig(diceConfig, path, ruleset) {
+  if (!isPlainObject(diceConfig)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  // Dice get the limits dice notation has
+  if (!isPositiveInteger(diceConfig.sides) || diceConfig.sides > MAX_DICE_SIDES) {
+    errors.push(`${path}.sides must be an integer between 1 and ${MAX_DICE_SIDES}`);
+  }
+
+  const { count } = diceConfig;
+  if (typeof count === 'string') {
+    if (!COUNT_VARIABLES.includes(count)) {
+      errors.push(`${path}.count has unknown variable '${count}' (known: ${COUNT_VARIABLES.join(', ')})`);
+    }
+    if (count === 'BASE_BY_RANK' && !diceConfig.baseDiceByRank) {
+      errors.push(`${path} uses BASE_BY_RANK without 'baseDiceByRank'`);
+    }
+    if (count === 'DICE_BY_RANK' && !diceConfig.diceByRank) {
+      errors.push(`${path} uses DICE_BY_RANK without 'diceByRank'`);
+    }
+  } else if (!Number.isInteger(count) || count < 0 || count > MAX_DICE_COUNT) {
+    errors.push(`${path}.count must be an integer between 0 and ${MAX_DICE_COUNT} or a count variable`);
+  }
+
+  for (const name of ['baseDiceByRank', 'diceByRank']) {
+    if (diceConfig[name] !== undefined) {
+      const typeError = checkParamType(diceConfig[name], 'rankMap', ruleset);
+      if (typeError) {
+        errors.push(`${path}.${name} ${typeError}`);
+      } else if (Object.values(diceConfig[name]).some(value => !Number.isInteger(value) || value < 0 || value > MAX_DICE_COUNT)) {
+        errors.push(`${path}.${name} must count 0 to ${MAX_DICE_COUNT} dice`);
+      }
+    }
+  }
+
+  for (const name of ['keepHighest', 'keepLowest']) {
+    if (diceConfig[name] !== undefined && !isPositiveInteger(diceConfig[name])) {
+      errors.push(`${path}.${name} must be a positive integer`);
+    }
+  }
+  if (diceConfig.keepHighest !== undefined && diceConfig.keepLowest !== undefined) {
+    errors.push(`${path} cannot use both keepHighest and keepLowest`);
+  }
+
+  for (const name of Object.keys(diceConfig)) {
+    if (!DICE_CONFIG_KEYS.includes(name)) {
+      errors.push(`${path} has unknown key '${name}'`);
+    }
+  }
+  return errors;
+}
+
+function validateCriticalPolicy(critical, path) {
+  if (!isPlainObject(critical)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  for (const name of Object.keys(critical)) {
+    if (!['triggerSides', 'triggerFaces', 'multiplier', 'stacking'].includes(name)) {
+      errors.push(`${path} has unknown key '${name}'`);
+    }
+  }
+  if (critical.triggerSides !== undefined && !isPositiveInteger(critical.triggerSides)) {
+    errors.push(`${path}.triggerSides must be a positive integer`);
+  }
+  if (critical.triggerFaces !== undefined &&
+      (!Array.isArray(critical.triggerFaces) || critical.triggerFaces.length === 0 || !critical.triggerFaces.every(isPositiveInteger))) {
+    errors.push(`${path}.triggerFaces must be a non-empty array of positive integers`);
+  }
+  if (critical.multiplier !== undefined && (typeof critical.multiplier !== 'number' || !(critical.multiplier > 0))) {
+    errors.push(`${path}.multiplier must be a positive number`);
+  }
+  if (critical.stacking !== undefined && !CRITICAL_STACKING_RULES.includes(critical.stacking)) {
+    errors.push(`${path}.stacking must be one of ${CRITICAL_STACKING_RULES.join(', ')}`);
+  }
+  return errors;
+}
+
+// Success pools count dice, so only modifiers that change which dice are rolled make sense
+function validateSuccessPool(formula, path) {
+  const { successes } = formula;
+  if (!isPlainObject(successes)) {
+    return [`${path}: count_successes requires 'calculableFormula.successes' ({ threshold, doubleOn, cancelOn })`];
+  }
+
+  const errors = [];
+  for (const name of Object.keys(successes)) {
+    if (!SUCCESS_POOL_KEYS.includes(name)) {
+      errors.push(`${path}: successes has unknown key '${name}'`);
+    }
+  }
+  for (const name of SUCCESS_POOL_KEYS) {
+    if ((successes[name] !== undefined || name === 'threshold') && !isPositiveInteger(successes[name])) {
+      errors.push(`${path}: successes.${name} must be a positive integer`);
+    }
+  }
+  if (isPositiveInteger(successes.threshold)) {
+    if (successes.doubleOn !== undefined && successes.doubleOn < successes.threshold) {
+      errors.push(`${path}: successes.doubleOn must be at least the threshold`);
+    }
+    if (successes.cancelOn !== undefined && successes.cancelOn >= successes.threshold) {
+      errors.push(`${path}: successes.cancelOn must be below the threshold`);
+    }
+  }
+
+  if (Array.isArray(formula.bonuses) && formula.bonuses.length > 0) {
+    errors.push(`${path}: count_successes does not support rank bonuses`);
+  }
+  if (formula.critical !== undefined) {
+    errors.push(`${path}: count_successes does not support a critical policy`);
+  }
+  (Array.isArray(formula.modifiers) ? formula.modifiers : []).forEach((modifier, index) => {
+    const definition = modifier && getModifier(modifier.type);
+    if (!definition) {
+      return; // Reported by validateModifier
+    }
+    const isStandardExplosion = modifier.type === 'explosion' && (modifier.mode === undefined || modifier.mode === 'standard');
+    if (definition.phase !== 'dice' && !isStandardExplosion) {
+      errors.push(`${path}: modifiers[${index}] (${modifier.type}) cannot be used with count_successes`);
+    }
+  });
+  return errors;
+}
+
+// Whether the roll reports rollDetails.succeeded (a success check modifier or a success pool)
+function hasSuccessCheck(formula) {
+  if (formula.evaluation === 'count_successes') {
+    return true;
+  }
+  return (Array.isArray(formula.modifiers) ? formula.modifiers : []).some(modifier => {
+    const definition = modifier && getModifier(modifier.type);
+    return definition && definition.reportsSuccess;
+  });
+}
+
+// See status-effects.js for the meaning of each entry
+function validateStatusEffects(statusEffects, formula, label, ruleset) {
+  if (!Array.isArray(statusEffects)) {
+    return [`${label}: 'statusEffects' must be an array`];
+  }
+
+  const errors = [];
+  statusEffects.forEach((entry, index) => {
+    const path = `${label}: statusEffects[${index}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    const operations = STATUS_EFFECT_OPERATIONS.filter(name => entry[name] !== undefined);
+    if (operations.length !== 1) {
+      errors.push(`${path} must have exactly one of ${STATUS_EFFECT_OPERATIONS.join(', ')}`);
+    }
+    for (const name of ['apply', 'remove']) {
+      if (entry[name] !== undefined && (typeof entry[name] !== 'string' || entry[name].trim() === '')) {
+        errors.push(`${path}.${name} must be a non-empty effect name`);
+      }
+    }
+    if (entry.cleanse !== undefined && !isPositiveInteger(entry.cleanse)) {
+      const typeError = checkParamType(entry.cleanse, 'rankMap', ruleset);
+      if (typeError) {
+        errors.push(`${path}.cleanse must be a positive integer or an object keyed by rank (${typeError})`);
+      }
+    }
+
+    if (!STATUS_EFFECT_RECIPIENTS.includes(entry.to)) {
+      errors.push(`${path}.to must be one of ${STATUS_EFFECT_RECIPIENTS.join(', ')}`);
+    }
+    if (entry.when !== undefined && !STATUS_EFFECT_CONDITIONS.includes(entry.when)) {
+      errors.push(`${path}.when must be one of ${STATUS_EFFECT_CONDITIONS.join(', ')}`);
+    } else if ((entry.when === 'success' || entry.when === 'failure') && !hasSuccessCheck(formula)) {
+      errors.push(`${path} uses when '${entry.when}' but the action has no success check`);
+    }
+
+    for (const name of ['stacks', 'rounds']) {
+      if (entry[name] !== undefined && (entry.apply === undefined || !isPositiveInteger(entry[name]))) {
+        errors.push(`${path}.${name} must be a positive integer and can only be used with apply`);
+      }
+    }
+    if (entry.hpPerUnusedCharge !== undefined && (entry.cleanse === undefined || !isPositiveInteger(entry.hpPerUnusedCharge))) {
+      errors.push(`${path}.hpPerUnusedCharge must be a positive integer and can only be used with cleanse`);
+    }
+    for (const name of Object.keys(entry)) {
+      if (!STATUS_EFFECT_KEYS.includes(name)) {
+        errors.push(`${path} has unknown key '${name}'`);
+      }
+    }
+  });
+  return errors;
+}
+
+// See buff-stacks.js for how the stacks are handed out
+function validateBuffStacks(buffStacks, label, ruleset) {
+  if (!isPlainObject(buffStacks)) {
+    return [`${label}: 'buffStacks' must be an object`];
+  }
+
+  const errors = [];
+  for (const name of ['stacks', 'maxTargets', 'rounds']) {
+    const required = name !== 'rounds';
+    if ((required || buffStacks[name] !== undefined) && !isPositiveInteger(buffStacks[name])) {
+      errors.push(`${label}: buffStacks.${name} must be a positive integer`);
+    }
+  }
+  if (isPositiveInteger(buffStacks.maxTargets) && buffStacks.maxTargets > buffStacks.stacks) {
+    errors.push(`${label}: buffStacks.maxTargets cannot exceed buffStacks.stacks`);
+  }
+  const { appliesTo } = buffStacks;
+  if (appliesTo !== undefined && (!Array.isArray(appliesTo) || appliesTo.length === 0 || appliesTo.some(category => !ruleset.categories.includes(category)))) {
+    errors.push(`${label}: buffStacks.appliesTo must be a non-empty list of categories from ${ruleset.categories.join(', ')}`);
+  }
+  for (const name of Object.keys(buffStacks)) {
+    if (!BUFF_STACK_KEYS.includes(name)) {
+      errors.push(`${label}: buffStacks has unknown key '${name}'`);
+    }
+  }
+  return errors;
+}
+
+// See defense-resolution.js for how defenses mitigate attacks
+function validateDefense(defense, label, ruleset) {
+  if (!isPlainObject(defense) || !DEFENSE_KEYS[defense.type]) {
+    return [`${label}: 'defense' must be an object with type ${Object.keys(DEFENSE_KEYS).join(' or ')}`];
+  }
+
+  const errors = [];
+  if (defense.type === 'protect' && defense.self !== undefined && typeof defense.self !== 'boolean') {
+    errors.push(`${label}: defense.self must be a boolean`);
+  }
+  if (defense.type === 'counter') {
+    const typeError = checkParamType(defense.mitigationByRank, 'rankMap', ruleset);
+    if (typeError) {
+      errors.push(`${label}: defense.mitigationByRank ${typeError}`);
+    }
+    for (const name of ['step', 'maxTargets']) {
+      if (!isPositiveInteger(defense[name])) {
+        errors.push(`${label}: defense.${name} must be a positive integer`);
+      }
+    }
+  }
+  for (const name of Object.keys(defense)) {
+    if (!DEFENSE_KEYS[defense.type].includes(name)) {
+      errors.push(`${label}: defense has unknown key '${name}'`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a single action definition against a ruleset, returning a list of error messages
+ */
+function validateActionDefinition(action, ruleset = DEFAULT_RULESET) {
+  if (!isPlainObject(action)) {
+    return ['Action must be an object'];
+  }
+
+  const label = typeof action.name === 'string' && action.name !== '' ? action.name : '(unnamed action)';
+  const errors = [];
+
+  if (typeof action.name !== 'string' || action.name.trim() === '') {
+    errors.push(`${label}: 'name' must be a non-empty string`);
+  }
+  if (!ruleset.categories.includes(action.category)) {
+    errors.push(`${label}: 'category' must be one of ${ruleset.categories.join(', ')}`);
+  }
+
+  const formula = action.calculableFormula;
+  if (!isPlainObject(formula)) {
+    errors.push(`${label}: 'calculableFormula' must be an object`);
+    return errors;
+  }
+
+  if (!Array.isArray(formula.dice) || formula.dice.length === 0) {
+    errors.push(`${label}: 'calculableFormula.dice' must be a non-empty array`);
+  } else {
+    formula.dice.forEach((diceConfig, index) => {
+      errors.push(...validateDiceConfig(diceConfig, `${label}: dice[${index}]`, ruleset));
+    });
+  }
+
+  if (!Array.isArray(formula.bonuses)) {
+    errors.push(`${label}: 'calculableFormula.bonuses' must be an array`);
+  } else {
+    for (const bonusType of formula.bonuses) {
+      if (!BONUS_TYPES.includes(bonusType)) {
+        errors.push(`${label}: unknown bonus '${bonusType}' (known: ${BONUS_TYPES.join(', ')})`);
+      }
+    }
+  }
+
+  if (formula.modifiers !== undefined && !Array.isArray(formula.modifiers)) {
+    errors.push(`${label}: 'calculableFormula.modifiers' must be an array`);
+  } else {
+    (formula.modifiers || []).forEach((modifier, index) => {
+      errors.push(...validateModifier(modifier, formula, `${label}: modifiers[${index}]`, ruleset));
+    });
+  }
+
+  if (formula.critical !== undefined) {
+    errors.push(...validateCriticalPolicy(formula.critical, `${label}: critical`));
+  }
+
+  if (formula.evaluation !== undefined && !EVALUATION_MODES.includes(formula.evaluation)) {
+    errors.push(`${label}: 'calculableFormula.evaluation' must be one of ${EVALUATION_MODES.join(', ')}`);
+  } else if (formula.evaluation === 'count_successes') {
+    errors.push(...validateSuccessPool(formula, label));
+  } else if (formula.successes !== undefined) {
+    errors.push(`${label}: 'calculableFormula.successes' requires evaluation 'count_successes'`);
+  }
+
+  if (action.statusEffects !== undefined) {
+    errors.push(...validateStatusEffects(action.statusEffects, formula, label, ruleset));
+  }
+  if (action.buffStacks !== undefined) {
+    errors.push(...validateBuffStacks(action.buffStacks, label, ruleset));
+  }
+  if (action.defense !== undefined) {
+    errors.push(...validateDefense(action.defense, label, ruleset));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of action definitions, throwing ActionDefinitionError listing every problem
+ */
+function validateActions(actions, ruleset = DEFAULT_RULESET) {
+  const errors = [];
+  const seenNames = new Set();
+
+  for (const action of actions) {
+    errors.push(...validateActionDefinition(action, ruleset));
+    if (action && seenNames.has(action.name)) {
+      errors.push(`${action.name}: duplicate action name`);
+    }
+    seenNames.add(action && action.name);
+  }
+
+  if (errors.length > 0) {
+    throw new ActionDefinitionError(errors);
+  }
+}
+
+module.exports = {
+  ActionDefinitionError,
+  validateActionDefinition,
+  validateActions
+};
@@ -0,0 +1,108 @@
+// Action definition versioning
+// Every action definition has a content hash (SHA-256 of its canonical JSON). Each new
+// definition is stored in action_versions, and every action roll stores the hash it was
+// evaluated with, so old rolls can be explained and replayed after an edit.
+const crypto = require('crypto');
+const db = require('./database');
+
+// Fields that make up an action definition; ids, rooms and timestamps are not part of it
+const ACTION_DEFINITION_FIELDS = ['category', 'name', 'type', 'subtype', 'description', 'rollFormula', 'calculableFormula', 'statusEffects', 'buffStacks', 'defense'];
+
+// Built-in actions are versioned per ruleset, since rulesets may define actions with the same name
+function rulesetScope(ruleset) {
+  return `ruleset:${ruleset.id}`;
+}
+
+// JSON with object keys sorted, so equal definitions always serialize the same way
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function actionDefinition(action) {
+  const definition = {};
+  for (const field of ACTION_DEFINITION_FIELDS) {
+    if (action[field] !== undefined) {
+      definition[field] = action[field];
+    }
+  }
+  return definition;
+}
+
+function hashAction(action) {
+  return crypto.createHash('sha256').update(canonicalJson(actionDefinition(action))).digest('hex');
+}
+
+/**
+ * Store a snapshot of the action's definition if it differs from the latest recorded one
+ * (so reverting to an older definition shows up as a change too), returning its hash
+ * @param {string} scope - rulesetScope(ruleset) for built-in actions or the room id of a custom action
+ */
+function recordActionVersion(scope, action) {
+  const hash = hashAction(action);
+  const latest = db.getLatestActionVersion(scope, action.name);
+  if (!latest || latest.hash !== hash) {
+    db.addActionVersion(crypto.randomUUID(), scope, action.name, hash, actionDefinition(action));
+  }
+  return hash;
+}
+
+/**
+ * The action definition a roll was evaluated with, or null for rolls made before versioning
+ */
+function getRollActionDefinition(roll) {
+  if (!roll.actionHash) {
+    return null;
+  }
+  const version = db.getActionVersionByHash(roll.actionHash);
+  return version ? version.definition : null;
+}
+
+// Leaf paths that differ between two definitions, e.g. "calculableFormula.dice[0].sides"
+function diffDefinitions(before, after, path = '') {
+  const isContainer = value => value !== null && typeof value === 'object';
+  if (!isContainer(before) || !isContainer(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return canonicalJson(before) === canonicalJson(after) ? [] : [{ path, from: before, to: after }];
+  }
+
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys.flatMap(key => {
+    const childPath = Array.isArray(before) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+    return diffDefinitions(before[key], after[key], childPath);
+  });
+}
+
+/**
+ * Version history for a ruleset's built-in actions plus a room's custom actions, oldest first.
+ * Each entry lists what changed compared to the previous version of the same action.
+ */
+function getActionChanges(ruleset, roomId = null, actionName = null) {
+  const scopes = roomId ? [rulesetScope(ruleset), roomId] : [rulesetScope(ruleset)];
+  const previousByAction = new Map();
+
+  return db.getActionVersions(scopes, actionName).map(version => {
+    const key = `${version.scope}:${version.actionName}`;
+    const previous = previousByAction.get(key);
+    previousByAction.set(key, version);
+    return {
+      ...version,
+      previousHash: previous ? previous.hash : null,
+      changes: previous ? diffDefinitions(previous.definition, version.definition) : []
+    };
+  });
+}
+
+module.exports = {
+  ACTION_DEFINITION_FIELDS,
+  rulesetScope,
+  hashAction,
+  recordActionVersion,
+  getRollActionDefinition,
+  getActionChanges
+};
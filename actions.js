@@ -10,6 +10,23 @@ const RANK_BONUSES = {
   S: 40
 };
 
+// Critical policy used when an action's calculableFormula does not declare `critical`.
+// Fields given in `calculableFormula.critical` override these:
+//   triggerSides - die size that can roll a natural critical
+//   triggerFaces - natural faces on that die that trigger it
+//   multiplier   - multiplier applied to the final result (1 disables natural criticals)
+//   stacking     - how critical multipliers combine:
+//                  'separate': threshold criticals do not stack with each other,
+//                              the natural critical still applies on top
+//                  'none':     at most one critical multiplier applies per roll
+//                  'all':      every triggered critical multiplier applies
+const DEFAULT_CRITICAL_POLICY = {
+  triggerSides: 100,
+  triggerFaces: [100],
+  multiplier: 2,
+  stacking: 'separate'
+};
+
 const ACTIONS = [
   {
     category: 'Offense',
@@ -37,7 +54,11 @@ const ACTIONS = [
       dice: [{ count: 1, sides: 100 }],
       bonuses: ['MR', 'WR'],
       modifiers: []
-    }
+    },
+    statusEffects: [
+      { apply: 'Protected', to: 'targets', rounds: 1 }
+    ],
+    defense: { type: 'protect', self: true }
   },
   {
     category: 'Defense',
@@ -50,7 +71,12 @@ const ACTIONS = [
       dice: [{ count: 1, sides: 100 }],
       bonuses: ['MR', 'WR'],
       modifiers: []
-    }
+    },
+    statusEffects: [
+      { apply: 'Protected', to: 'targets', rounds: 1 },
+      { apply: 'Vulnerability', to: 'self', rounds: 1 }
+    ],
+    defense: { type: 'protect', self: false }
   },
   {
     category: 'Defense',
@@ -63,7 +89,8 @@ const ACTIONS = [
       dice: [{ count: 1, sides: 100 }],
       bonuses: ['MR', 'WR'],
       modifiers: []
-    }
+    },
+    defense: { type: 'counter', mitigationByRank: { E: 0, D: 10, C: 15, B: 20, A: 25, S: 30 }, step: 5, maxTargets: 3 }
   },
   {
     category: 'Defense',
@@ -77,9 +104,13 @@ const ACTIONS = [
       bonuses: ['MR', 'WR'],
       modifiers: [
         { type: 'conditional', condition: 'adjacent', value: 30 },
-        { type: 'success_bonus', threshold: 30, bonusByRank: { D: 30, C: 30, B: 40, A: 40, S: 50 } }
+        { type: 'success_bonus', threshold: 30, successBonusByRank: { E: 30, D: 30, C: 30, B: 40, A: 40, S: 50 } }
       ]
-    }
+    },
+    statusEffects: [
+      { apply: 'Vulnerability', to: 'self', rounds: 1 },
+      { remove: 'Vulnerability', to: 'self', when: 'success' }
+    ]
   },
 
   // Offense Actions
@@ -157,7 +188,8 @@ const ACTIONS = [
           multiplierByRank: { E: 1.5, D: 1.5, C: 1.6, B: 1.7, A: 1.8, S: 2.0 }
         },
         { type: 'threshold_multiplier', threshold: 100, multiplier: 3.0 }
-      ]
+      ],
+      critical: { triggerSides: 100, triggerFaces: [100], multiplier: 2, stacking: 'separate' }
     }
   },
   {
@@ -209,7 +241,10 @@ const ACTIONS = [
         { type: 'explosion', threshold: 17, chance: 0.2, extraDice: { count: 1, sides: 20 } },
         { type: 'aoe_divisor', divisor: 3 }
       ]
-    }
+    },
+    statusEffects: [
+      { cleanse: 1, to: 'targets' }
+    ]
   },
   {
     category: 'Support',
@@ -225,7 +260,10 @@ const ACTIONS = [
         { type: 'explosion', threshold: 15, chance: 0.3, extraDice: { count: 1, sides: 20 } },
         { type: 'aoe_divisor', divisor: 3 }
       ]
-    }
+    },
+    statusEffects: [
+      { cleanse: { E: 2, D: 2, C: 2, B: 3, A: 3, S: 4 }, to: 'targets', hpPerUnusedCharge: 5 }
+    ]
   },
   {
     category: 'Support',
@@ -240,7 +278,8 @@ const ACTIONS = [
       modifiers: [
         { type: 'divisor', divisor: 3 }
       ]
-    }
+    },
+    buffStacks: { stacks: 3, maxTargets: 3, rounds: 1, appliesTo: ['Offense', 'Support'] }
   },
   {
     category: 'Support',
@@ -255,7 +294,8 @@ const ACTIONS = [
       modifiers: [
         { type: 'divisor', divisor: 3 }
       ]
-    }
+    },
+    buffStacks: { stacks: 3, maxTargets: 3, rounds: 1, appliesTo: ['Offense', 'Support'] }
   }
 ];
 
@@ -271,5 +311,6 @@ module.exports = {
   ACTIONS,
   ACTION_CATEGORIES,
   RANK_BONUSES,
+  DEFAULT_CRITICAL_POLICY,
   getRankLevel
 };
\ No newline at end of file
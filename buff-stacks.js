@@ -0,0 +1,135 @@
+// Buff stacks: bonuses handed out by buff rolls and used up by later action rolls
+//
+// Actions that buff declare how their result is split into stacks:
+//   buffStacks: { stacks: 3, maxTargets: 3, rounds: 1, appliesTo: ['Offense', 'Support'] }
+// A roll with one context target puts every stack on it; a roll with several targets (up to
+// maxTargets) puts one stack on each, and stacks nobody received are lost. Every stack is
+// worth the buff roll's result.
+//
+// A target's next action roll in a category the stacks apply to (every category without
+// appliesTo) uses one active stack from each buff roll that buffed it (oldest first), adding
+// them to its bonusBreakdown with who cast them. Buff rolls never use stacks. Stacks with rounds
+// count down when a round ends and expire unused at zero. Rerolling a buff roll moves its
+// unused stacks to the reroll, worth the new result.
+const crypto = require('crypto');
+const db = require('./database');
+const { getRollTargets } = require('./status-effects');
+
+class BuffStackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BuffStackError';
+  }
+}
+
+/**
+ * Check the targets of a buff roll before rolling it
+ * @param {Object} action - Action definition with buffStacks
+ * @param {Object} [context] - Roll context with the targets
+ * @throws {BuffStackError} if there are more targets than the action can buff
+ */
+function checkBuffTargets(action, context) {
+  const targets = getRollTargets({ rollDetails: { context } });
+  if (targets.length > action.buffStacks.maxTargets) {
+    throw new BuffStackError(`${action.name} can buff at most ${action.buffStacks.maxTargets} targets.`);
+  }
+}
+
+/**
+ * Hand out a buff roll's stacks to its targets
+ * @param {Object} roll - The stored buff roll
+ * @param {Object} action - Action definition with buffStacks
+ * @returns {{ stacks: Object[], lost: number }} The created stacks and how many were lost
+ */
+function applyRollBuffStacks(roomId, roll, action) {
+  const { stacks, rounds = null, appliesTo = null } = action.buffStacks;
+  const targets = getRollTargets(roll);
+  const perTarget = targets.length === 1 ? stacks : 1;
+
+  const created = [];
+  for (const targetName of targets) {
+    for (let i = 0; i < perTarget; i++) {
+      created.push(db.addBuffStack(crypto.randomUUID(), roomId, targetName, roll.result, roll.userName, action.name, roll.id, rounds, appliesTo));
+    }
+  }
+  return { stacks: created, lost: stacks - created.length };
+}
+
+/**
+ * Move a rerolled buff roll's unused stacks to the reroll
+ * @returns {Object[]} The moved stacks
+ */
+function transferBuffStacks(original, reroll) {
+  db.moveBuffStacks(original.id, reroll.id, reroll.result);
+  return db.getActiveBuffStacks(reroll.roomId).filter(stack => stack.sourceRollId === reroll.id);
+}
+
+/**
+ * The stacks a target's roll of an action uses: the oldest active stack of each buff roll
+ * whose stacks apply to the action's category
+ */
+function getStacksForRoll(roomId, targetName, action) {
+  if (action.buffStacks) {
+    return [];
+  }
+  const bySource = new Map();
+  for (const stack of db.getActiveBuffStacks(roomId, targetName)) {
+    const applies = stack.appliesTo === null || stack.appliesTo.includes(action.category);
+    if (applies && !bySource.has(stack.sourceRollId)) {
+      bySource.set(stack.sourceRollId, stack);
+    }
+  }
+  return [...bySource.values()];
+}
+
+/**
+ * Buffs as FormulaCalculator takes them (options.buffs)
+ */
+function toRollBuffs(stacks) {
+  return stacks.map(stack => ({
+    stackId: stack.id,
+    value: stack.value,
+    source: stack.source,
+    actionName: stack.actionName,
+    sourceRollId: stack.sourceRollId
+  }));
+}
+
+/**
+ * Mark stacks as used by a roll
+ */
+function consumeBuffStacks(stacks, rollId) {
+  return stacks.filter(stack => db.endBuffStack(stack.id, 'consumed', rollId));
+}
+
+/**
+ * Count down timed stacks in the room, expiring those that run out
+ * @returns {Object[]} The stacks that expired
+ */
+function endBuffStackRound(roomId) {
+  const expired = [];
+  for (const stack of db.getActiveBuffStacks(roomId)) {
+    if (stack.roundsRemaining === null) {
+      continue;
+    }
+    if (stack.roundsRemaining <= 1) {
+      if (db.endBuffStack(stack.id, 'expired')) {
+        expired.push(db.getBuffStackById(stack.id));
+      }
+    } else {
+      db.updateBuffStackRounds(stack.id, stack.roundsRemaining - 1);
+    }
+  }
+  return expired;
+}
+
+module.exports = {
+  BuffStackError,
+  checkBuffTargets,
+  applyRollBuffStacks,
+  transferBuffStacks,
+  getStacksForRoll,
+  toRollBuffs,
+  consumeBuffStacks,
+  endBuffStackRound
+};
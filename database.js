@@ -8,7 +8,7 @@ const dataDir = path.join(__dirname, 'data');
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
-const DB_PATH = path.join(dataDir, 'diceroller.db');
+const DB_PATH = process.env.DB_PATH || path.join(dataDir, 'diceroller.db');
 
 let db;
 
@@ -88,13 +88,16 @@ try {
   process.exit(1);
 }
 
+/**
+ * Run fn in one transaction: if it throws, nothing it wrote is kept
+ */
+function runInTransaction(fn) {
+  return db.transaction(fn)();
+}
 
-// Helper function to get rolls for a specific room
-function getRollsForRoomDbQuery(roomIdToQuery) {
-  const rollsSql = `SELECT id, userName, diceType, result, rawDiceResult, timestamp, comment, actionName, weaponRank, masteryRank, rollFormula, rollDetails, avatarUrl FROM rolls WHERE roomId = ? ORDER BY timestamp DESC`;
-  const stmt = db.prepare(rollsSql);
-  const rollRows = stmt.all(roomIdToQuery);
-  return rollRows.map(roll => ({
+// Helper function to convert a rolls row into the API shape
+function mapRollRow(roll) {
+  return {
     ...roll,
     timestamp: new Date(roll.timestamp), 
     comment: roll.comment || undefined,
@@ -104,8 +107,24 @@ function getRollsForRoomDbQuery(roomIdToQuery) {
     rollFormula: roll.rollFormula || undefined,
     rawDiceResult: roll.rawDiceResult || undefined,
     rollDetails: roll.rollDetails ? JSON.parse(roll.rollDetails) : undefined,
-    avatarUrl: roll.avatarUrl || undefined
-  }));
+    avatarUrl: roll.avatarUrl || undefined,
+    signature: roll.signature || undefined,
+    rerollOf: roll.rerollOf || undefined,
+    actionHash: roll.actionHash || undefined,
+    encounterId: roll.encounterId || undefined,
+    encounterRound: roll.encounterRound || undefined,
+    encounterTurn: roll.encounterTurn || undefined,
+    npcId: roll.npcId || undefined,
+    rolledBy: roll.rolledBy || undefined
+  };
+}
+
+// Helper function to get rolls for a specific room
+function getRollsForRoomDbQuery(roomIdToQuery) {
+  const rollsSql = `SELECT id, userName, diceType, result, rawDiceResult, timestamp, comment, actionName, weaponRank, masteryRank, rollFormula, rollDetails, avatarUrl, signature, rerollOf, actionHash, encounterId, encounterRound, encounterTurn, npcId, rolledBy FROM rolls WHERE roomId = ? ORDER BY timestamp DESC`;
+  const stmt = db.prepare(rollsSql);
+  const rollRows = stmt.all(roomIdToQuery);
+  return rollRows.map(mapRollRow);
 }
 
 // Helper function to get participants for a specific room
@@ -127,16 +146,23 @@ function getParticipantsForRoomDbQuery(roomIdToQuery) {
       masteries: participant.terraRPMasteries ? JSON.parse(participant.terraRPMasteries) : [],
       custom_title: participant.terraRPCustomTitle
     } : undefined,
+    role: participant.role,
     joinedAt: new Date(participant.joinedAt),
     lastActivity: new Date(participant.lastActivity)
   }));
 }
 
 // --- Room Functions ---
-function addRoom(id, name, creatorName, creatorTerraRpId, roomCode) {
-  const sql = `INSERT INTO rooms (id, name, creator_name, creator_terrarp_id, room_code) VALUES (?, ?, ?, ?, ?)`;
+// Room rows without their code; is_private tells whether joining the room needs one
+function mapRoomRow(row) {
+  const { room_code, room_code_hash, ...room } = row;
+  return { ...room, settings: row.settings ? JSON.parse(row.settings) : null, is_private: room_code_hash !== null };
+}
+
+function addRoom(id, name, creatorName, creatorTerraRpId, roomCodeHash, rankSource = 'client', ruleset = 'terrarp') {
+  const sql = `INSERT INTO rooms (id, name, creator_name, creator_terrarp_id, room_code_hash, rank_source, ruleset) VALUES (?, ?, ?, ?, ?, ?, ?)`;
   const stmt = db.prepare(sql);
-  stmt.run(id, name, creatorName, creatorTerraRpId, roomCode);
+  stmt.run(id, name, creatorName, creatorTerraRpId, roomCodeHash, rankSource, ruleset);
   
   // Return the complete room data by fetching it back
   return getRoomById(id);
@@ -146,7 +172,7 @@ function getRooms() {
   const sql = `SELECT * FROM rooms ORDER BY created_at DESC`;
   const stmt = db.prepare(sql);
   const rows = stmt.all();
-  return rows.map(r => ({ ...r, rolls: [], participants: [] }));
+  return rows.map(r => ({ ...mapRoomRow(r), rolls: [], participants: [], npcs: [] }));
 }
 
 function getRoomById(roomId) {
@@ -160,7 +186,82 @@ function getRoomById(roomId) {
 
   const rolls = getRollsForRoomDbQuery(roomId);
   const participants = getParticipantsForRoomDbQuery(roomId);
-  return { ...roomRow, rolls, participants };
+  const npcs = getNpcsForRoom(roomId);
+  return { ...mapRoomRow(roomRow), rolls, participants, npcs };
+}
+
+/**
+ * Hashed code of a private room; null for public rooms, undefined if the room does not exist
+ */
+function getRoomCodeHash(roomId) {
+  const row = db.prepare(`SELECT room_code_hash FROM rooms WHERE id = ?`).get(roomId);
+  return row ? row.room_code_hash : undefined;
+}
+
+/**
+ * Update a room's name, creator, rank source, ruleset, archived state, code hash (null makes it
+ * public) or settings; fields left undefined keep their value
+ */
+function updateRoom(roomId, { name, creatorName, rankSource, ruleset, archivedAt, roomCodeHash, settings }) {
+  const assignments = [];
+  const params = [];
+  if (name !== undefined) {
+    assignments.push('name = ?');
+    params.push(name);
+  }
+  if (creatorName !== undefined) {
+    assignments.push('creator_name = ?');
+    params.push(creatorName);
+  }
+  if (rankSource !== undefined) {
+    assignments.push('rank_source = ?');
+    params.push(rankSource);
+  }
+  if (ruleset !== undefined) {
+    assignments.push('ruleset = ?');
+    params.push(ruleset);
+  }
+  if (archivedAt !== undefined) {
+    assignments.push('archived_at = ?');
+    params.push(archivedAt);
+  }
+  if (roomCodeHash !== undefined) {
+    assignments.push('room_code_hash = ?');
+    params.push(roomCodeHash);
+  }
+  if (settings !== undefined) {
+    assignments.push('settings = ?');
+    params.push(JSON.stringify(settings));
+  }
+  const sql = `UPDATE rooms SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  stmt.run(...params, roomId);
+  return getRoomById(roomId);
+}
+
+// Tables holding per-room data, removed with the room
+const ROOM_DATA_TABLES = [
+  'rolls', 'participants', 'room_seeds', 'custom_actions', 'status_effects', 'hp_pools',
+  'hp_applications', 'npcs', 'buff_stacks', 'defense_resolutions'
+];
+
+/**
+ * Delete a room and everything in it. SQLite does not enforce the ON DELETE CASCADE clauses
+ * (foreign_keys is off), so the room's rows are removed explicitly in one transaction.
+ * @returns {boolean} false if the room did not exist
+ */
+function deleteRoom(roomId) {
+  const removeRoom = db.transaction(() => {
+    db.prepare(`DELETE FROM encounter_combatants WHERE encounterId IN (SELECT id FROM encounters WHERE roomId = ?)`).run(roomId);
+    db.prepare(`DELETE FROM encounters WHERE roomId = ?`).run(roomId);
+    for (const table of ROOM_DATA_TABLES) {
+      db.prepare(`DELETE FROM ${table} WHERE roomId = ?`).run(roomId);
+    }
+    // Custom action versions are scoped to the room id
+    db.prepare(`DELETE FROM action_versions WHERE scope = ?`).run(roomId);
+    return db.prepare(`DELETE FROM rooms WHERE id = ?`).run(roomId).changes > 0;
+  });
+  return removeRoom();
 }
 
 function updateRoomUpdatedAt(roomId) {
@@ -170,8 +271,8 @@ function updateRoomUpdatedAt(roomId) {
 }
 
 // --- Roll Functions ---
-function addRoll(id, roomId, userName, diceType, result, timestamp, comment, actionName = null, weaponRank = null, masteryRank = null, rollFormula = null, rollDetails = null, rawDiceResult = null, avatarUrl = null) {
-  const sql = `INSERT INTO rolls (id, roomId, userName, diceType, result, rawDiceResult, timestamp, comment, actionName, weaponRank, masteryRank, rollFormula, rollDetails, avatarUrl) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+function addRoll(id, roomId, userName, diceType, result, timestamp, comment, actionName = null, weaponRank = null, masteryRank = null, rollFormula = null, rollDetails = null, rawDiceResult = null, avatarUrl = null, rerollOf = null, actionHash = null, encounterId = null, encounterRound = null, encounterTurn = null, npcId = null, rolledBy = null) {
+  const sql = `INSERT INTO rolls (id, roomId, userName, diceType, result, rawDiceResult, timestamp, comment, actionName, weaponRank, masteryRank, rollFormula, rollDetails, avatarUrl, rerollOf, actionHash, encounterId, encounterRound, encounterTurn, npcId, rolledBy) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
   const isoTimestamp = timestamp instanceof Date ? timestamp.toISOString() : new Date(timestamp).toISOString();
   const commentToStore = comment && comment.trim() !== '' ? comment.trim() : null;
   const actionNameToStore = actionName && actionName.trim() !== '' ? actionName.trim() : null;
@@ -182,7 +283,7 @@ function addRoll(id, roomId, userName, diceType, result, timestamp, comment, act
   const avatarUrlToStore = avatarUrl && avatarUrl.trim() !== '' ? avatarUrl.trim() : null;
 
   const stmt = db.prepare(sql);
-  stmt.run(id, roomId, userName, diceType, result, rawDiceResult, isoTimestamp, commentToStore, actionNameToStore, weaponRankToStore, masteryRankToStore, rollFormulaToStore, rollDetailsToStore, avatarUrlToStore);
+  stmt.run(id, roomId, userName, diceType, result, rawDiceResult, isoTimestamp, commentToStore, actionNameToStore, weaponRankToStore, masteryRankToStore, rollFormulaToStore, rollDetailsToStore, avatarUrlToStore, rerollOf, actionHash, encounterId, encounterRound, encounterTurn, npcId, rolledBy);
   updateRoomUpdatedAt(roomId);
   
   return {
@@ -199,12 +300,626 @@ function addRoll(id, roomId, userName, diceType, result, timestamp, comment, act
     masteryRank: masteryRankToStore || undefined,
     rollFormula: rollFormulaToStore || undefined,
     rollDetails: rollDetails || undefined,
-    avatarUrl: avatarUrlToStore || undefined
+    avatarUrl: avatarUrlToStore || undefined,
+    rerollOf: rerollOf || undefined,
+    actionHash: actionHash || undefined,
+    encounterId: encounterId || undefined,
+    encounterRound: encounterRound || undefined,
+    encounterTurn: encounterTurn || undefined,
+    npcId: npcId || undefined,
+    rolledBy: rolledBy || undefined
+  };
+}
+
+function getRollById(rollId) {
+  const sql = `SELECT * FROM rolls WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  const roll = stmt.get(rollId);
+  return roll ? mapRollRow(roll) : null;
+}
+
+// The roll that rerolled the given roll, if any
+function getRerollOfRoll(rollId) {
+  const sql = `SELECT * FROM rolls WHERE rerollOf = ?`;
+  const stmt = db.prepare(sql);
+  const roll = stmt.get(rollId);
+  return roll ? mapRollRow(roll) : null;
+}
+
+/**
+ * Number of rerolls of a participant's (or NPC's) rolls in a room
+ */
+function countRerollsForUser(roomId, userName) {
+  const sql = `SELECT COUNT(*) AS count FROM rolls WHERE roomId = ? AND userName = ? AND rerollOf IS NOT NULL`;
+  const stmt = db.prepare(sql);
+  return stmt.get(roomId, userName).count;
+}
+
+function setRollSignature(rollId, signature) {
+  const sql = `UPDATE rolls SET signature = ? WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  stmt.run(signature, rollId);
+}
+
+// --- Room Seed Functions (commit-reveal) ---
+function addRoomSeed(id, roomId, seed, seedHash) {
+  const sql = `INSERT INTO room_seeds (id, roomId, seed, seedHash, createdAt) VALUES (?, ?, ?, ?, ?)`;
+  const stmt = db.prepare(sql);
+  stmt.run(id, roomId, seed, seedHash, new Date().toISOString());
+  return getRoomSeedByHash(seedHash);
+}
+
+function getActiveRoomSeed(roomId) {
+  const sql = `SELECT * FROM room_seeds WHERE roomId = ? AND revealedAt IS NULL ORDER BY createdAt DESC LIMIT 1`;
+  const stmt = db.prepare(sql);
+  return stmt.get(roomId) || null;
+}
+
+function getRoomSeedByHash(seedHash) {
+  const sql = `SELECT * FROM room_seeds WHERE seedHash = ?`;
+  const stmt = db.prepare(sql);
+  return stmt.get(seedHash) || null;
+}
+
+function getRevealedRoomSeeds(roomId) {
+  const sql = `SELECT * FROM room_seeds WHERE roomId = ? AND revealedAt IS NOT NULL ORDER BY createdAt DESC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(roomId);
+}
+
+// Reserve the next nonce of a room seed; returns the nonce to use for one roll
+function incrementRoomSeedNonce(seedId) {
+  const sql = `UPDATE room_seeds SET nonce = nonce + 1 WHERE id = ? RETURNING nonce`;
+  const stmt = db.prepare(sql);
+  return stmt.get(seedId).nonce;
+}
+
+function revealRoomSeed(seedId) {
+  const sql = `UPDATE room_seeds SET revealedAt = ? WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  stmt.run(new Date().toISOString(), seedId);
+}
+
+// --- Custom Action Functions ---
+// Rows are returned in the shape of an ACTIONS entry plus their id, room and timestamps
+function mapCustomActionRow(row) {
+  return {
+    ...JSON.parse(row.definition),
+    name: row.name,
+    id: row.id,
+    roomId: row.roomId,
+    custom: true,
+    createdBy: row.createdBy || undefined,
+    createdAt: new Date(row.createdAt),
+    updatedAt: new Date(row.updatedAt)
+  };
+}
+
+function addCustomAction(id, roomId, name, definition, createdBy = null) {
+  const sql = `INSERT INTO custom_actions (id, roomId, name, definition, createdBy, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+  const now = new Date().toISOString();
+  const stmt = db.prepare(sql);
+  stmt.run(id, roomId, name, JSON.stringify(definition), createdBy, now, now);
+  return getCustomActionById(id);
+}
+
+function getCustomActionById(id) {
+  const sql = `SELECT * FROM custom_actions WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(id);
+  return row ? mapCustomActionRow(row) : null;
+}
+
+function getCustomActionsForRoom(roomId) {
+  const sql = `SELECT * FROM custom_actions WHERE roomId = ? ORDER BY name ASC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(roomId).map(mapCustomActionRow);
+}
+
+function getCustomActionByName(roomId, name) {
+  const sql = `SELECT * FROM custom_actions WHERE roomId = ? AND name = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(roomId, name);
+  return row ? mapCustomActionRow(row) : null;
+}
+
+function updateCustomAction(id, name, definition) {
+  const sql = `UPDATE custom_actions SET name = ?, definition = ?, updatedAt = ? WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  stmt.run(name, JSON.stringify(definition), new Date().toISOString(), id);
+  return getCustomActionById(id);
+}
+
+function deleteCustomAction(id) {
+  const sql = `DELETE FROM custom_actions WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  return stmt.run(id).changes > 0;
+}
+
+// --- Status Effect Functions ---
+function mapStatusEffectRow(row) {
+  return {
+    id: row.id,
+    roomId: row.roomId,
+    targetName: row.targetName,
+    effect: row.effect,
+    name: row.name,
+    stacks: row.stacks,
+    maxStacks: row.maxStacks,
+    cleansable: Boolean(row.cleansable),
+    roundsRemaining: row.roundsRemaining,
+    appliedBy: row.appliedBy || undefined,
+    sourceRollId: row.sourceRollId || undefined,
+    createdAt: new Date(row.createdAt),
+    updatedAt: new Date(row.updatedAt),
+    endedAt: row.endedAt ? new Date(row.endedAt) : undefined,
+    endReason: row.endReason || undefined,
+    endedByRollId: row.endedByRollId || undefined
+  };
+}
+
+function addStatusEffect(id, roomId, targetName, effect, name, stacks, maxStacks, cleansable, roundsRemaining, appliedBy = null, sourceRollId = null) {
+  const sql = `INSERT INTO status_effects (id, roomId, targetName, effect, name, stacks, maxStacks, cleansable, roundsRemaining, appliedBy, sourceRollId, createdAt, updatedAt)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const now = new Date().toISOString();
+  const stmt = db.prepare(sql);
+  stmt.run(id, roomId, targetName, effect, name, stacks, maxStacks, cleansable ? 1 : 0, roundsRemaining, appliedBy, sourceRollId, now, now);
+  return getStatusEffectById(id);
+}
+
+function getStatusEffectById(id) {
+  const sql = `SELECT * FROM status_effects WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(id);
+  return row ? mapStatusEffectRow(row) : null;
+}
+
+function getActiveStatusEffects(roomId, targetName = null) {
+  const sql = targetName
+    ? `SELECT * FROM status_effects WHERE roomId = ? AND endedAt IS NULL AND targetName = ? ORDER BY createdAt ASC`
+    : `SELECT * FROM status_effects WHERE roomId = ? AND endedAt IS NULL ORDER BY createdAt ASC`;
+  const stmt = db.prepare(sql);
+  const rows = targetName ? stmt.all(roomId, targetName) : stmt.all(roomId);
+  return rows.map(mapStatusEffectRow);
+}
+
+function getActiveStatusEffect(roomId, targetName, effect) {
+  const sql = `SELECT * FROM status_effects WHERE roomId = ? AND targetName = ? AND effect = ? AND endedAt IS NULL`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(roomId, targetName, effect);
+  return row ? mapStatusEffectRow(row) : null;
+}
+
+function updateStatusEffect(id, stacks, roundsRemaining) {
+  const sql = `UPDATE status_effects SET stacks = ?, roundsRemaining = ?, updatedAt = ? WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  stmt.run(stacks, roundsRemaining, new Date().toISOString(), id);
+  return getStatusEffectById(id);
+}
+
+function endStatusEffect(id, reason, endedByRollId = null) {
+  const sql = `UPDATE status_effects SET endedAt = ?, endReason = ?, endedByRollId = ?, updatedAt = ? WHERE id = ? AND endedAt IS NULL`;
+  const now = new Date().toISOString();
+  const stmt = db.prepare(sql);
+  return stmt.run(now, reason, endedByRollId, now, id).changes > 0;
+}
+
+// Effects a roll applied, and effects a roll ended (removed or cleansed)
+function getStatusEffectsAppliedByRoll(rollId) {
+  const sql = `SELECT * FROM status_effects WHERE sourceRollId = ? ORDER BY createdAt ASC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(rollId).map(mapStatusEffectRow);
+}
+
+function getStatusEffectsEndedByRoll(rollId) {
+  const sql = `SELECT * FROM status_effects WHERE endedByRollId = ? ORDER BY createdAt ASC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(rollId).map(mapStatusEffectRow);
+}
+
+// Make an ended effect active again
+function restoreStatusEffect(id) {
+  const sql = `UPDATE status_effects SET endedAt = NULL, endReason = NULL, endedByRollId = NULL, updatedAt = ? WHERE id = ? AND endedAt IS NOT NULL`;
+  const stmt = db.prepare(sql);
+  return stmt.run(new Date().toISOString(), id).changes > 0;
+}
+
+function countStatusEffectsEndedByRoll(rollId, targetName, reason) {
+  const sql = `SELECT COUNT(*) AS count FROM status_effects WHERE endedByRollId = ? AND targetName = ? AND endReason = ?`;
+  const stmt = db.prepare(sql);
+  return stmt.get(rollId, targetName, reason).count;
+}
+
+// --- Encounter Functions ---
+// Encounters are returned with their combatants in turn order
+function mapEncounterRow(row) {
+  const combatantsSql = `SELECT id, name, initiative FROM encounter_combatants WHERE encounterId = ? ORDER BY position ASC`;
+  const combatants = db.prepare(combatantsSql).all(row.id).map(combatant => ({
+    ...combatant,
+    initiative: combatant.initiative === null ? undefined : combatant.initiative
+  }));
+  return {
+    id: row.id,
+    roomId: row.roomId,
+    name: row.name || undefined,
+    status: row.status,
+    round: row.round,
+    turnIndex: row.turnIndex,
+    combatants,
+    createdBy: row.createdBy || undefined,
+    startedAt: new Date(row.startedAt),
+    endedAt: row.endedAt ? new Date(row.endedAt) : undefined
   };
 }
 
+function addEncounter(id, roomId, name = null, createdBy = null) {
+  const sql = `INSERT INTO encounters (id, roomId, name, createdBy, startedAt) VALUES (?, ?, ?, ?, ?)`;
+  const stmt = db.prepare(sql);
+  stmt.run(id, roomId, name, createdBy, new Date().toISOString());
+  return getEncounterById(id);
+}
+
+function getEncounterById(id) {
+  const sql = `SELECT * FROM encounters WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(id);
+  return row ? mapEncounterRow(row) : null;
+}
+
+function getActiveEncounter(roomId) {
+  const sql = `SELECT * FROM encounters WHERE roomId = ? AND status = 'active' ORDER BY startedAt DESC LIMIT 1`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(roomId);
+  return row ? mapEncounterRow(row) : null;
+}
+
+function getEncountersForRoom(roomId) {
+  const sql = `SELECT * FROM encounters WHERE roomId = ? ORDER BY startedAt DESC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(roomId).map(mapEncounterRow);
+}
+
+// Replace the combatant list; list order becomes the turn order
+function setEncounterCombatants(encounterId, combatants) {
+  const insert = db.prepare(`INSERT INTO encounter_combatants (id, encounterId, name, initiative, position) VALUES (?, ?, ?, ?, ?)`);
+  const replace = db.transaction(() => {
+    db.prepare(`DELETE FROM encounter_combatants WHERE encounterId = ?`).run(encounterId);
+    combatants.forEach((combatant, position) => {
+      insert.run(combatant.id, encounterId, combatant.name, combatant.initiative === undefined ? null : combatant.initiative, position);
+    });
+  });
+  replace();
+}
+
+function updateEncounterTurn(id, round, turnIndex) {
+  const sql = `UPDATE encounters SET round = ?, turnIndex = ? WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  stmt.run(round, turnIndex, id);
+  return getEncounterById(id);
+}
+
+function endEncounter(id) {
+  const sql = `UPDATE encounters SET status = 'ended', endedAt = ? WHERE id = ? AND status = 'active'`;
+  const stmt = db.prepare(sql);
+  stmt.run(new Date().toISOString(), id);
+  return getEncounterById(id);
+}
+
+// --- HP Functions ---
+function mapHpPoolRow(row) {
+  return {
+    roomId: row.roomId,
+    targetName: row.targetName,
+    hp: row.hp,
+    maxHp: row.maxHp,
+    updatedAt: new Date(row.updatedAt)
+  };
+}
+
+function getHpPool(roomId, targetName) {
+  const sql = `SELECT * FROM hp_pools WHERE roomId = ? AND targetName = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(roomId, targetName);
+  return row ? mapHpPoolRow(row) : null;
+}
+
+function getHpPoolsForRoom(roomId) {
+  const sql = `SELECT * FROM hp_pools WHERE roomId = ? ORDER BY targetName ASC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(roomId).map(mapHpPoolRow);
+}
+
+function setHpPool(roomId, targetName, hp, maxHp) {
+  const sql = `INSERT INTO hp_pools (roomId, targetName, hp, maxHp, updatedAt) VALUES (?, ?, ?, ?, ?)
+               ON CONFLICT (roomId, targetName) DO UPDATE SET hp = excluded.hp, maxHp = excluded.maxHp, updatedAt = excluded.updatedAt`;
+  const stmt = db.prepare(sql);
+  stmt.run(roomId, targetName, hp, maxHp, new Date().toISOString());
+  return getHpPool(roomId, targetName);
+}
+
+function deleteHpPool(roomId, targetName) {
+  const sql = `DELETE FROM hp_pools WHERE roomId = ? AND targetName = ?`;
+  const stmt = db.prepare(sql);
+  return stmt.run(roomId, targetName).changes > 0;
+}
+
+function mapHpApplicationRow(row) {
+  return {
+    id: row.id,
+    roomId: row.roomId,
+    rollId: row.rollId,
+    kind: row.kind,
+    changes: JSON.parse(row.changes),
+    appliedBy: row.appliedBy || undefined,
+    createdAt: new Date(row.createdAt),
+    undoneAt: row.undoneAt ? new Date(row.undoneAt) : undefined,
+    undoneBy: row.undoneBy || undefined
+  };
+}
+
+function addHpApplication(id, roomId, rollId, kind, changes, appliedBy = null) {
+  const sql = `INSERT INTO hp_applications (id, roomId, rollId, kind, changes, appliedBy, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+  const stmt = db.prepare(sql);
+  stmt.run(id, roomId, rollId, kind, JSON.stringify(changes), appliedBy, new Date().toISOString());
+  return getHpApplicationById(id);
+}
+
+function getHpApplicationById(id) {
+  const sql = `SELECT * FROM hp_applications WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(id);
+  return row ? mapHpApplicationRow(row) : null;
+}
+
+function getHpApplicationsForRoom(roomId) {
+  const sql = `SELECT * FROM hp_applications WHERE roomId = ? ORDER BY createdAt DESC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(roomId).map(mapHpApplicationRow);
+}
+
+// The application of a roll that has not been undone, if any
+function getActiveHpApplicationForRoll(rollId) {
+  const sql = `SELECT * FROM hp_applications WHERE rollId = ? AND undoneAt IS NULL`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(rollId);
+  return row ? mapHpApplicationRow(row) : null;
+}
+
+function markHpApplicationUndone(id, undoneBy = null) {
+  const sql = `UPDATE hp_applications SET undoneAt = ?, undoneBy = ? WHERE id = ? AND undoneAt IS NULL`;
+  const stmt = db.prepare(sql);
+  return stmt.run(new Date().toISOString(), undoneBy, id).changes > 0;
+}
+
+// --- Buff Stack Functions ---
+function mapBuffStackRow(row) {
+  return {
+    id: row.id,
+    roomId: row.roomId,
+    targetName: row.targetName,
+    value: row.value,
+    source: row.source,
+    actionName: row.actionName,
+    sourceRollId: row.sourceRollId,
+    appliesTo: row.appliesTo ? JSON.parse(row.appliesTo) : null,
+    roundsRemaining: row.roundsRemaining,
+    status: row.status,
+    consumedByRollId: row.consumedByRollId || undefined,
+    createdAt: new Date(row.createdAt),
+    endedAt: row.endedAt ? new Date(row.endedAt) : undefined
+  };
+}
+
+function addBuffStack(id, roomId, targetName, value, source, actionName, sourceRollId, roundsRemaining = null, appliesTo = null) {
+  const sql = `INSERT INTO buff_stacks (id, roomId, targetName, value, source, actionName, sourceRollId, appliesTo, roundsRemaining, createdAt)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const stmt = db.prepare(sql);
+  stmt.run(id, roomId, targetName, value, source, actionName, sourceRollId, appliesTo && JSON.stringify(appliesTo), roundsRemaining, new Date().toISOString());
+  return getBuffStackById(id);
+}
+
+function getBuffStackById(id) {
+  const sql = `SELECT * FROM buff_stacks WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(id);
+  return row ? mapBuffStackRow(row) : null;
+}
+
+// Active stacks in a room, optionally only a target's, oldest first
+function getActiveBuffStacks(roomId, targetName = null) {
+  const sql = targetName === null
+    ? `SELECT * FROM buff_stacks WHERE roomId = ? AND status = 'active' ORDER BY createdAt ASC, rowid ASC`
+    : `SELECT * FROM buff_stacks WHERE roomId = ? AND targetName = ? AND status = 'active' ORDER BY createdAt ASC, rowid ASC`;
+  const stmt = db.prepare(sql);
+  const rows = targetName === null ? stmt.all(roomId) : stmt.all(roomId, targetName);
+  return rows.map(mapBuffStackRow);
+}
+
+function updateBuffStackRounds(id, roundsRemaining) {
+  const sql = `UPDATE buff_stacks SET roundsRemaining = ? WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  stmt.run(roundsRemaining, id);
+}
+
+// Point a roll's active stacks at another roll (a reroll) with its value
+function moveBuffStacks(sourceRollId, newSourceRollId, value) {
+  const sql = `UPDATE buff_stacks SET sourceRollId = ?, value = ? WHERE sourceRollId = ? AND status = 'active'`;
+  const stmt = db.prepare(sql);
+  return stmt.run(newSourceRollId, value, sourceRollId).changes;
+}
+
+// Mark an active stack consumed or expired; returns false if it was no longer active
+function endBuffStack(id, status, consumedByRollId = null) {
+  const sql = `UPDATE buff_stacks SET status = ?, consumedByRollId = ?, endedAt = ? WHERE id = ? AND status = 'active'`;
+  const stmt = db.prepare(sql);
+  return stmt.run(status, consumedByRollId, new Date().toISOString(), id).changes > 0;
+}
+
+// --- NPC Functions ---
+function mapNpcRow(row) {
+  return {
+    id: row.id,
+    roomId: row.roomId,
+    name: row.name,
+    weaponRank: row.weaponRank,
+    masteryRank: row.masteryRank,
+    armorRank: row.armorRank || undefined,
+    armorType: row.armorType || undefined,
+    avatarUrl: row.avatarUrl || undefined,
+    stats: row.stats ? JSON.parse(row.stats) : {},
+    createdBy: row.createdBy || undefined,
+    createdAt: new Date(row.createdAt),
+    updatedAt: new Date(row.updatedAt)
+  };
+}
+
+function addNpc(id, roomId, npc, createdBy = null) {
+  const sql = `INSERT INTO npcs (id, roomId, name, weaponRank, masteryRank, armorRank, armorType, avatarUrl, stats, createdBy, createdAt, updatedAt)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const now = new Date().toISOString();
+  const stmt = db.prepare(sql);
+  stmt.run(id, roomId, npc.name, npc.weaponRank, npc.masteryRank, npc.armorRank || null, npc.armorType || null,
+    npc.avatarUrl || null, JSON.stringify(npc.stats || {}), createdBy, now, now);
+  return getNpcById(id);
+}
+
+function getNpcById(id) {
+  const sql = `SELECT * FROM npcs WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(id);
+  return row ? mapNpcRow(row) : null;
+}
+
+function getNpcByName(roomId, name) {
+  const sql = `SELECT * FROM npcs WHERE roomId = ? AND name = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(roomId, name);
+  return row ? mapNpcRow(row) : null;
+}
+
+function getNpcsForRoom(roomId) {
+  const sql = `SELECT * FROM npcs WHERE roomId = ? ORDER BY createdAt ASC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(roomId).map(mapNpcRow);
+}
+
+function updateNpc(id, npc) {
+  const sql = `UPDATE npcs SET name = ?, weaponRank = ?, masteryRank = ?, armorRank = ?, armorType = ?, avatarUrl = ?, stats = ?, updatedAt = ? WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  stmt.run(npc.name, npc.weaponRank, npc.masteryRank, npc.armorRank || null, npc.armorType || null,
+    npc.avatarUrl || null, JSON.stringify(npc.stats || {}), new Date().toISOString(), id);
+  return getNpcById(id);
+}
+
+function deleteNpc(id) {
+  const sql = `DELETE FROM npcs WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  return stmt.run(id).changes > 0;
+}
+
+// --- Defense Resolution Functions ---
+function mapDefenseResolutionRow(row) {
+  return {
+    id: row.id,
+    roomId: row.roomId,
+    attackRollId: row.attackRollId,
+    targetName: row.targetName,
+    incomingDamage: row.incomingDamage,
+    finalDamage: row.finalDamage,
+    defenses: JSON.parse(row.defenses),
+    breakdown: JSON.parse(row.breakdown),
+    resolvedBy: row.resolvedBy || undefined,
+    createdAt: new Date(row.createdAt),
+    undoneAt: row.undoneAt ? new Date(row.undoneAt) : undefined,
+    undoneBy: row.undoneBy || undefined
+  };
+}
+
+function addDefenseResolution(id, roomId, attackRollId, targetName, incomingDamage, finalDamage, defenses, breakdown, resolvedBy = null) {
+  const sql = `INSERT INTO defense_resolutions (id, roomId, attackRollId, targetName, incomingDamage, finalDamage, defenses, breakdown, resolvedBy, createdAt)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const stmt = db.prepare(sql);
+  stmt.run(id, roomId, attackRollId, targetName, incomingDamage, finalDamage, JSON.stringify(defenses), JSON.stringify(breakdown), resolvedBy, new Date().toISOString());
+  return getDefenseResolutionById(id);
+}
+
+function getDefenseResolutionById(id) {
+  const sql = `SELECT * FROM defense_resolutions WHERE id = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(id);
+  return row ? mapDefenseResolutionRow(row) : null;
+}
+
+// Resolutions in a room, newest first; activeOnly leaves out undone ones
+function getDefenseResolutionsForRoom(roomId, activeOnly = false) {
+  const sql = activeOnly
+    ? `SELECT * FROM defense_resolutions WHERE roomId = ? AND undoneAt IS NULL ORDER BY createdAt DESC`
+    : `SELECT * FROM defense_resolutions WHERE roomId = ? ORDER BY createdAt DESC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(roomId).map(mapDefenseResolutionRow);
+}
+
+// The resolution of an attack against a target that has not been undone, if any
+function getActiveDefenseResolution(attackRollId, targetName) {
+  const sql = `SELECT * FROM defense_resolutions WHERE attackRollId = ? AND targetName = ? AND undoneAt IS NULL`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(attackRollId, targetName);
+  return row ? mapDefenseResolutionRow(row) : null;
+}
+
+function markDefenseResolutionUndone(id, undoneBy = null) {
+  const sql = `UPDATE defense_resolutions SET undoneAt = ?, undoneBy = ? WHERE id = ? AND undoneAt IS NULL`;
+  const stmt = db.prepare(sql);
+  return stmt.run(new Date().toISOString(), undoneBy, id).changes > 0;
+}
+
+// --- Action Version Functions ---
+function mapActionVersionRow(row) {
+  return {
+    scope: row.scope,
+    actionName: row.actionName,
+    hash: row.hash,
+    definition: JSON.parse(row.definition),
+    createdAt: new Date(row.createdAt)
+  };
+}
+
+function addActionVersion(id, scope, actionName, hash, definition) {
+  const sql = `INSERT INTO action_versions (id, scope, actionName, hash, definition, createdAt) VALUES (?, ?, ?, ?, ?, ?)`;
+  const stmt = db.prepare(sql);
+  stmt.run(id, scope, actionName, hash, JSON.stringify(definition), new Date().toISOString());
+}
+
+function getLatestActionVersion(scope, actionName) {
+  const sql = `SELECT * FROM action_versions WHERE scope = ? AND actionName = ? ORDER BY createdAt DESC, rowid DESC LIMIT 1`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(scope, actionName);
+  return row ? mapActionVersionRow(row) : null;
+}
+
+function getActionVersionByHash(hash) {
+  const sql = `SELECT * FROM action_versions WHERE hash = ? ORDER BY createdAt ASC LIMIT 1`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(hash);
+  return row ? mapActionVersionRow(row) : null;
+}
+
+// Versions in the given scopes, oldest first, optionally for a single action
+function getActionVersions(scopes, actionName = null) {
+  const placeholders = scopes.map(() => '?').join(', ');
+  let sql = `SELECT * FROM action_versions WHERE scope IN (${placeholders})`;
+  const params = [...scopes];
+  if (actionName) {
+    sql += ` AND actionName = ?`;
+    params.push(actionName);
+  }
+  sql += ` ORDER BY createdAt ASC, rowid ASC`;
+  const stmt = db.prepare(sql);
+  return stmt.all(...params).map(mapActionVersionRow);
+}
+
 // --- Participant Functions ---
-function addParticipant(roomId, name, terraRPData = null) {
+function addParticipant(roomId, name, terraRPData = null, role = 'player', tokenHash = null) {
   const participantId = crypto.randomUUID();
   const now = new Date().toISOString();
   
@@ -261,14 +976,14 @@ function addParticipant(roomId, name, terraRPData = null) {
   const sql = `INSERT INTO participants (
     id, roomId, name, terraRPUserId, terraRPUsername, terraRPRace, 
     terraRPAvatarUrl, terraRPWeaponRank, terraRPArmorRank, terraRPArmorType, terraRPMasteries, 
-    terraRPCustomTitle, joinedAt, lastActivity
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    terraRPCustomTitle, role, tokenHash, joinedAt, lastActivity
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
   
   const stmt = db.prepare(sql);
   stmt.run(
     participantId, roomId, name, terraRPUserId, terraRPUsername, terraRPRace,
     terraRPAvatarUrl, terraRPWeaponRank, terraRPArmorRank, terraRPArmorType, terraRPMasteries,
-    terraRPCustomTitle, now, now
+    terraRPCustomTitle, role, tokenHash, now, now
   );
   
   // Return the created participant in the expected format
@@ -286,6 +1001,7 @@ function addParticipant(roomId, name, terraRPData = null) {
       masteries: terraRPData.masteries || [],
       custom_title: terraRPCustomTitle
     } : undefined,
+    role,
     joinedAt: new Date(now),
     lastActivity: new Date(now)
   };
@@ -299,6 +1015,40 @@ function updateParticipantActivity(roomId, name) {
   return result.changes > 0;
 }
 
+function updateParticipantRole(roomId, name, role) {
+  const sql = `UPDATE participants SET role = ? WHERE roomId = ? AND name = ?`;
+  const stmt = db.prepare(sql);
+  stmt.run(role, roomId, name);
+  return getParticipantByRoomAndName(roomId, name);
+}
+
+// Participant tokens are stored hashed and never returned with the participant
+function getParticipantTokenHash(roomId, name) {
+  const sql = `SELECT tokenHash FROM participants WHERE roomId = ? AND name = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(roomId, name);
+  return row ? row.tokenHash : null;
+}
+
+function setParticipantTokenHash(roomId, name, tokenHash) {
+  const sql = `UPDATE participants SET tokenHash = ? WHERE roomId = ? AND name = ?`;
+  const stmt = db.prepare(sql);
+  return stmt.run(tokenHash, roomId, name).changes > 0;
+}
+
+function getParticipantByTokenHash(roomId, tokenHash) {
+  const sql = `SELECT name FROM participants WHERE roomId = ? AND tokenHash = ?`;
+  const stmt = db.prepare(sql);
+  const row = stmt.get(roomId, tokenHash);
+  return row ? getParticipantByRoomAndName(roomId, row.name) : null;
+}
+
+function deleteParticipant(roomId, name) {
+  const sql = `DELETE FROM participants WHERE roomId = ? AND name = ?`;
+  const stmt = db.prepare(sql);
+  return stmt.run(roomId, name).changes > 0;
+}
+
 function getParticipantByRoomAndName(roomId, name) {
   const sql = `SELECT * FROM participants WHERE roomId = ? AND name = ?`;
   const stmt = db.prepare(sql);
@@ -318,9 +1068,11 @@ function getParticipantByRoomAndName(roomId, name) {
       avatar_url: participant.terraRPAvatarUrl,
       weapon_rank: participant.terraRPWeaponRank,
       armor_rank: participant.terraRPArmorRank,
+      armor_type: participant.terraRPArmorType,
       masteries: participant.terraRPMasteries ? JSON.parse(participant.terraRPMasteries) : [],
       custom_title: participant.terraRPCustomTitle
     } : undefined,
+    role: participant.role,
     joinedAt: new Date(participant.joinedAt),
     lastActivity: new Date(participant.lastActivity)
   };
@@ -345,9 +1097,11 @@ function getParticipantByRoomAndTerraRPId(roomId, terraRPUserId) {
       avatar_url: participant.terraRPAvatarUrl,
       weapon_rank: participant.terraRPWeaponRank,
       armor_rank: participant.terraRPArmorRank,
+      armor_type: participant.terraRPArmorType,
       masteries: participant.terraRPMasteries ? JSON.parse(participant.terraRPMasteries) : [],
       custom_title: participant.terraRPCustomTitle
     },
+    role: participant.role,
     joinedAt: new Date(participant.joinedAt),
     lastActivity: new Date(participant.lastActivity)
   };
@@ -355,12 +1109,84 @@ function getParticipantByRoomAndTerraRPId(roomId, terraRPUserId) {
 
 
 module.exports = {
+  runInTransaction,
   addRoom,
   getRooms,
   getRoomById,
+  getRoomCodeHash,
+  updateRoom,
+  deleteRoom,
   addRoll,
+  getRollById,
+  getRerollOfRoll,
+  countRerollsForUser,
+  setRollSignature,
+  addRoomSeed,
+  getActiveRoomSeed,
+  getRoomSeedByHash,
+  getRevealedRoomSeeds,
+  incrementRoomSeedNonce,
+  revealRoomSeed,
+  addCustomAction,
+  getCustomActionById,
+  getCustomActionsForRoom,
+  getCustomActionByName,
+  updateCustomAction,
+  deleteCustomAction,
+  addActionVersion,
+  getLatestActionVersion,
+  getActionVersionByHash,
+  getActionVersions,
+  addEncounter,
+  getEncounterById,
+  getActiveEncounter,
+  getEncountersForRoom,
+  setEncounterCombatants,
+  updateEncounterTurn,
+  endEncounter,
+  getHpPool,
+  getHpPoolsForRoom,
+  setHpPool,
+  deleteHpPool,
+  addHpApplication,
+  getHpApplicationById,
+  getHpApplicationsForRoom,
+  getActiveHpApplicationForRoll,
+  markHpApplicationUndone,
+  addDefenseResolution,
+  getDefenseResolutionById,
+  getDefenseResolutionsForRoom,
+  getActiveDefenseResolution,
+  markDefenseResolutionUndone,
+  addBuffStack,
+  getBuffStackById,
+  getActiveBuffStacks,
+  updateBuffStackRounds,
+  moveBuffStacks,
+  endBuffStack,
+  addNpc,
+  getNpcById,
+  getNpcByName,
+  getNpcsForRoom,
+  updateNpc,
+  deleteNpc,
+  addStatusEffect,
+  getStatusEffectById,
+  getActiveStatusEffects,
+  getActiveStatusEffect,
+  updateStatusEffect,
+  endStatusEffect,
+  getStatusEffectsAppliedByRoll,
+  getStatusEffectsEndedByRoll,
+  restoreStatusEffect,
+  countStatusEffectsEndedByRoll,
   addParticipant,
   updateParticipantActivity,
+  updateParticipantRole,
+  deleteParticipant,
+  getParticipantTokenHash,
+  setParticipantTokenHash,
+  getParticipantByTokenHash,
   getParticipantByRoomAndName,
   getParticipantByRoomAndTerraRPId,
   getParticipantsForRoomDbQuery,
@@ -0,0 +1,224 @@
+// Defense resolution: an incoming attack roll against one target, mitigated by the defensive
+// rolls made for that target and by the target's armor
+//
+// Defensive actions declare how they mitigate in `defense`:
+//   { type: 'protect', self: true }  - the roll's result is taken off attacks against the
+//                                     roll's targets; self: false cannot protect the roller
+//   { type: 'counter', mitigationByRank: { D: 10, ..., S: 30 }, step: 5, maxTargets: 3 }
+//                                   - a mitigation pool by mastery rank, split between up to
+//                                     maxTargets targets in multiples of step
+// A protect roll mitigates one attack per target; a counter's pool is shared by all the
+// resolutions that use it. Defenses apply in the order given, then armor takes off the
+// ruleset's armorReduction for the target's armor type and rank. When the ruleset has no
+// values for the target's armor type the resolution is refused rather than leaving the armor
+// out unnoticed; { ignoreArmor: true } resolves it anyway and records the armor as ignored.
+// Damage never drops below 0.
+//
+// Applying the attack to HP (hp-pools.js) deals the final damage of the target's resolution.
+const crypto = require('crypto');
+const db = require('./database');
+const { getRankValue } = require('./rulesets');
+const { getRollTargets } = require('./status-effects');
+
+class DefenseResolutionError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=400] - HTTP status the API responds with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DefenseResolutionError';
+    this.status = status;
+  }
+}
+
+// The target's armor from their TerraRP data or NPC sheet, or null without armor
+function getTargetArmor(roomId, targetName) {
+  const participant = db.getParticipantByRoomAndName(roomId, targetName);
+  if (participant && participant.terraRP && participant.terraRP.armor_type) {
+    return { type: participant.terraRP.armor_type, rank: participant.terraRP.armor_rank };
+  }
+  const npc = db.getNpcByName(roomId, targetName);
+  if (npc && npc.armorType) {
+    return { type: npc.armorType, rank: npc.armorRank };
+  }
+  return null;
+}
+
+// Reduction of the target's armor, or null when the ruleset declares none for its type
+function getArmorReduction(ruleset, armor) {
+  const byRank = armor && ruleset.armorReduction[armor.type];
+  return byRank ? getRankValue(ruleset, byRank, armor.rank) || 0 : null;
+}
+
+// Defensive roll entries of the room's active resolutions that used a roll
+function getActiveUses(roomId, rollId) {
+  return db.getDefenseResolutionsForRoom(roomId, true).flatMap(resolution =>
+    resolution.defenses
+      .filter(defense => defense.rollId === rollId)
+      .map(defense => ({ ...defense, targetName: resolution.targetName }))
+  );
+}
+
+/**
+ * Check a defensive roll can be used for the target and work out its mitigation
+ * @returns {Object} The defense entry stored with the resolution
+ */
+function readDefense(entry, index, attackRoll, targetName, ruleset, getAction) {
+  if (!entry || typeof entry.rollId !== 'string') {
+    throw new DefenseResolutionError(`Defense ${index + 1} needs a rollId.`);
+  }
+  const roll = db.getRollById(entry.rollId);
+  if (!roll || roll.roomId !== attackRoll.roomId) {
+    throw new DefenseResolutionError(`Defense roll ${entry.rollId} not found`, 404);
+  }
+  if (roll.id === attackRoll.id) {
+    throw new DefenseResolutionError('An attack cannot defend against itself.');
+  }
+  if (db.getRerollOfRoll(roll.id)) {
+    throw new DefenseResolutionError(`Defense roll ${roll.id} has been rerolled; use the reroll instead.`, 409);
+  }
+  const action = roll.actionName ? getAction(roll) : null;
+  if (!action || !action.defense) {
+    throw new DefenseResolutionError(`${roll.actionName || 'A dice roll'} is not a defensive action.`);
+  }
+
+  const uses = getActiveUses(attackRoll.roomId, roll.id);
+  const base = { rollId: roll.id, actionName: action.name, kind: action.defense.type, source: roll.userName };
+
+  if (action.defense.type === 'protect') {
+    if (action.defense.self === false && roll.userName === targetName) {
+      throw new DefenseResolutionError(`${action.name} cannot protect ${roll.userName} themselves.`);
+    }
+    if (!getRollTargets(roll).includes(targetName)) {
+      throw new DefenseResolutionError(`${roll.userName}'s ${action.name} did not target ${targetName}.`);
+    }
+    if (uses.some(use => use.targetName === targetName)) {
+      throw new DefenseResolutionError(`${roll.userName}'s ${action.name} has already protected ${targetName} against an attack.`, 409);
+    }
+    return { ...base, mitigation: roll.result };
+  }
+
+  // Counter: a share of the roll's mitigation pool
+  const { mitigationByRank, step, maxTargets } = action.defense;
+  const pool = getRankValue(ruleset, mitigationByRank, roll.masteryRank) || 0;
+  const allocated = uses.reduce((sum, use) => sum + use.mitigation, 0);
+  const mitigation = entry.mitigation;
+  if (!Number.isInteger(mitigation) || mitigation <= 0 || mitigation % step !== 0) {
+    throw new DefenseResolutionError(`${action.name} mitigation must be a positive multiple of ${step}.`);
+  }
+  if (uses.some(use => use.targetName === targetName)) {
+    throw new DefenseResolutionError(`${roll.userName}'s ${action.name} already mitigates for ${targetName}.`, 409);
+  }
+  if (new Set(uses.map(use => use.targetName)).size >= maxTargets) {
+    throw new DefenseResolutionError(`${roll.userName}'s ${action.name} is already split between ${maxTargets} targets.`);
+  }
+  if (allocated + mitigation > pool) {
+    throw new DefenseResolutionError(`${roll.userName}'s ${action.name} has ${pool - allocated} of ${pool} mitigation left.`);
+  }
+  return { ...base, mitigation, pool };
+}
+
+/**
+ * Resolve an attack roll against one target
+ * @param {Object} attackRoll - Stored action roll of a damage action
+ * @param {Object} options
+ * @param {string} options.targetName
+ * @param {Object[]} [options.defenses] - { rollId } for protects, { rollId, mitigation } for counters
+ * @param {boolean} [options.ignoreArmor] - Resolve even though the ruleset has no reduction for the target's armor
+ * @param {string} [options.resolvedBy]
+ * @param {Object} context
+ * @param {Object} context.ruleset - The room's ruleset (counter pools and armor reduction)
+ * @param {Function} context.getAction - Returns the action definition a stored roll was made with
+ * @returns {Object} The stored resolution with its breakdown
+ * @throws {DefenseResolutionError}
+ */
+function resolveDefense(attackRoll, { targetName, defenses = [], ignoreArmor = false, resolvedBy = null }, { ruleset, getAction }) {
+  const attackAction = attackRoll.actionName ? getAction(attackRoll) : null;
+  if (!attackAction || attackAction.subtype !== 'Damage' || attackAction.defense) {
+    throw new DefenseResolutionError('Only damage rolls of attacking actions can be resolved against defenses.');
+  }
+  if (typeof targetName !== 'string' || targetName.trim() === '') {
+    throw new DefenseResolutionError('Target name is required.');
+  }
+  const target = targetName.trim();
+  const attackTargets = getRollTargets(attackRoll);
+  if (attackTargets.length > 0 && !attackTargets.includes(target)) {
+    throw new DefenseResolutionError(`${target} is not a target of this attack.`);
+  }
+  if (!Array.isArray(defenses)) {
+    throw new DefenseResolutionError('Defenses must be an array.');
+  }
+  if (new Set(defenses.map(entry => entry && entry.rollId)).size !== defenses.length) {
+    throw new DefenseResolutionError('Each defense roll can only be listed once.');
+  }
+  if (db.getRerollOfRoll(attackRoll.id)) {
+    throw new DefenseResolutionError('Attack has been rerolled; resolve the reroll instead.', 409);
+  }
+  if (db.getActiveDefenseResolution(attackRoll.id, target)) {
+    throw new DefenseResolutionError(`This attack has already been resolved against ${target}. Undo it first.`, 409);
+  }
+  if (db.getActiveHpApplicationForRoll(attackRoll.id)) {
+    throw new DefenseResolutionError('This attack has already been applied to HP. Undo that first.', 409);
+  }
+
+  const used = defenses.map((entry, index) => readDefense(entry, index, attackRoll, target, ruleset, getAction));
+  const armor = getTargetArmor(attackRoll.roomId, target);
+  const reduction = getArmorReduction(ruleset, armor);
+  if (armor && reduction === null && ignoreArmor !== true) {
+    throw new DefenseResolutionError(
+      `The ${ruleset.name || ruleset.id} ruleset has no armor reduction for ${armor.type}, so ${target}'s armor cannot be applied. Resolve with ignoreArmor: true to leave it out.`,
+      409
+    );
+  }
+
+  const steps = [{ step: 'incoming', source: attackRoll.userName, actionName: attackAction.name, value: attackRoll.result }];
+  let remaining = attackRoll.result;
+  for (const defense of used) {
+    const prevented = Math.min(remaining, defense.mitigation);
+    remaining -= prevented;
+    steps.push({ step: defense.kind, rollId: defense.rollId, source: defense.source, actionName: defense.actionName, mitigation: defense.mitigation, prevented, remaining });
+  }
+  if (reduction !== null) {
+    const prevented = Math.min(remaining, reduction);
+    remaining -= prevented;
+    steps.push({ step: 'armor', armorType: armor.type, armorRank: armor.rank, mitigation: reduction, prevented, remaining });
+  } else if (armor) {
+    steps.push({ step: 'armor', armorType: armor.type, armorRank: armor.rank, mitigation: 0, prevented: 0, remaining, ignored: true });
+  }
+
+  const text = steps.slice(1).reduce((summary, step) => {
+    const armorLabel = step.step === 'armor' && `${step.armorRank || ''} ${step.armorType}`.trim() + (step.ignored ? ', ignored' : '');
+    const label = armorLabel || `${step.source}'s ${step.actionName}`;
+    return `${summary} - ${step.prevented}(${label})`;
+  }, `${attackRoll.result}(${attackRoll.userName}'s ${attackAction.name})`);
+  const breakdown = { steps, text: `${text} = ${remaining}` };
+
+  return db.addDefenseResolution(crypto.randomUUID(), attackRoll.roomId, attackRoll.id, target, attackRoll.result, remaining, used, breakdown, resolvedBy);
+}
+
+/**
+ * Undo a resolution, freeing the defensive rolls it used
+ * @throws {DefenseResolutionError} if it does not exist, was undone or its damage was applied to HP
+ */
+function undoDefenseResolution(roomId, resolutionId, undoneBy = null) {
+  const resolution = db.getDefenseResolutionById(resolutionId);
+  if (!resolution || resolution.roomId !== roomId) {
+    throw new DefenseResolutionError('Defense resolution not found', 404);
+  }
+  if (resolution.undoneAt) {
+    throw new DefenseResolutionError('This resolution has already been undone.', 409);
+  }
+  const application = db.getActiveHpApplicationForRoll(resolution.attackRollId);
+  if (application && application.changes.some(change => change.defenseResolutionId === resolution.id)) {
+    throw new DefenseResolutionError('The resolved damage has been applied to HP. Undo that first.', 409);
+  }
+  db.markDefenseResolutionUndone(resolution.id, undoneBy);
+  return db.getDefenseResolutionById(resolution.id);
+}
+
+module.exports = {
+  DefenseResolutionError,
+  resolveDefense,
+  undoDefenseResolution
+};
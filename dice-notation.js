@@ -0,0 +1,291 @@
+// Dice notation parser for free-form rolls such as "4d6kh3 + 2d8!>7 - 1d4 + 5"
+// Parsing only - evaluation lives in FormulaCalculator.calculateNotationRoll so that
+// notation rolls share the same dice mechanics and breakdown format as action rolls.
+//
+// Supported syntax (case-insensitive, whitespace ignored):
+//   NdS          roll N dice with S sides (N defaults to 1, "d%" is a d100)
+//   kh/k N, kl N keep highest / lowest N dice (N defaults to 1 and cannot be 0)
+//   dh N, dl N   drop highest / lowest N dice (N defaults to 1 and cannot be 0)
+//   ! [cmp]      explode: roll another die for each die matching cmp (default: max face)
+//   r cmp        reroll matching dice until they no longer match
+//   ro cmp       reroll matching dice once
+//   + - * / ( )  arithmetic, "/" is integer division rounding down
+//
+// A compare point "cmp" is an optional operator followed by a number:
+//   ">7" means 7 or higher, "<2" means 2 or lower, "=1" or plain "1" means exactly 1.
+
+const MAX_NOTATION_LENGTH = 200;
+const MAX_DICE_COUNT = 100;
+const MAX_DICE_SIDES = 1000;
+const MAX_DICE_GROUPS = 20;
+
+class DiceNotationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DiceNotationError';
+  }
+}
+
+class DiceNotationParser {
+  constructor(notation) {
+    this.input = notation.toLowerCase();
+    this.pos = 0;
+    this.diceGroupCount = 0;
+  }
+
+  parse() {
+    const expression = this.parseExpression();
+    this.skipWhitespace();
+    if (this.pos < this.input.length) {
+      throw this.error(`Unexpected '${this.input[this.pos]}'`);
+    }
+    if (this.diceGroupCount === 0) {
+      throw new DiceNotationError('Notation must contain at least one dice group');
+    }
+    return expression;
+  }
+
+  parseExpression() {
+    let left = this.parseTerm();
+    while (this.peek() === '+' || this.peek() === '-') {
+      const operator = this.next();
+      const right = this.parseTerm();
+      left = { type: 'binary', operator, left, right };
+    }
+    return left;
+  }
+
+  parseTerm() {
+    let left = this.parseUnary();
+    while (this.peek() === '*' || this.peek() === '/') {
+      const operator = this.next();
+      const right = this.parseUnary();
+      left = { type: 'binary', operator, left, right };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.peek() === '-') {
+      this.next();
+      return { type: 'negate', operand: this.parseUnary() };
+    }
+    if (this.peek() === '+') {
+      this.next();
+      return this.parseUnary();
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const char = this.peek();
+
+    if (char === '(') {
+      this.next();
+      const expression = this.parseExpression();
+      if (this.peek() !== ')') {
+        throw this.error("Missing closing ')'");
+      }
+      this.next();
+      return { type: 'group', expression };
+    }
+
+    if (char === 'd') {
+      return this.parseDice(1, this.pos);
+    }
+
+    if (this.isDigit(char)) {
+      const start = this.pos;
+      const value = this.readNumber();
+      if (this.input[this.pos] === 'd') {
+        return this.parseDice(value, start);
+      }
+      return { type: 'number', value };
+    }
+
+    if (char === undefined) {
+      throw new DiceNotationError('Unexpected end of notation');
+    }
+    throw this.error(`Unexpected '${char}'`);
+  }
+
+  parseDice(count, start) {
+    this.pos++; // consume 'd'
+
+    let sides;
+    if (this.input[this.pos] === '%') {
+      this.pos++;
+      sides = 100;
+    } else if (this.isDigit(this.input[this.pos])) {
+      sides = this.readNumber();
+    } else {
+      throw this.error('Dice sides must follow "d"');
+    }
+
+    if (count > MAX_DICE_COUNT) {
+      throw new DiceNotationError(`Cannot roll more than ${MAX_DICE_COUNT} dice in one group`);
+    }
+    if (sides < 1 || sides > MAX_DICE_SIDES) {
+      throw new DiceNotationError(`Dice must have between 1 and ${MAX_DICE_SIDES} sides`);
+    }
+
+    this.diceGroupCount++;
+    if (this.diceGroupCount > MAX_DICE_GROUPS) {
+      throw new DiceNotationError(`Notation cannot contain more than ${MAX_DICE_GROUPS} dice groups`);
+    }
+
+    const dice = { type: 'dice', count, sides, keep: null, explode: null, reroll: null };
+
+    // Modifiers are written directly after the dice without whitespace
+    for (;;) {
+      const rest = this.input.slice(this.pos);
+
+      const keepMatch = rest.match(/^(kh|kl|dh|dl|k)/);
+
+      if (keepMatch) {
+        if (dice.keep) {
+          throw this.error('Only one keep or drop modifier is allowed per dice group');
+        }
+        const token = keepMatch[1];
+        const mode = token === 'k' ? 'kh' : token;
+        this.pos += token.length;
+        const amount = this.isDigit(this.input[this.pos]) ? this.readNumber() : 1;
+        if (amount === 0) {
+          throw this.error(`${mode.startsWith('k') ? 'Keep' : 'Drop'} count must be at least 1`);
+        }
+        dice.keep = { mode, count: amount };
+      } else if (rest.startsWith('!')) {
+        if (dice.explode) {
+          throw this.error('Only one explode modifier is allowed per dice group');
+        }
+        this.pos++;
+        dice.explode = this.readComparePoint(false) || { operator: '>', value: sides };
+        if (this.alwaysMatches(dice.explode, sides)) {
+          throw new DiceNotationError(`Explosion on ${this.describeCompare(dice.explode)} would never stop for d${sides}`);
+        }
+      } else if (rest.startsWith('r')) {
+        if (dice.reroll) {
+          throw this.error('Only one reroll modifier is allowed per dice group');
+        }
+        this.pos++;
+        const once = this.input[this.pos] === 'o';
+        if (once) {
+          this.pos++;
+        }
+        const compare = this.readComparePoint(true);
+        dice.reroll = { ...compare, once };
+        if (!once && this.alwaysMatches(compare, sides)) {
+          throw new DiceNotationError(`Reroll on ${this.describeCompare(compare)} would never stop for d${sides}`);
+        }
+      } else {
+        break;
+      }
+    }
+
+    dice.notation = this.input.slice(start, this.pos);
+    return dice;
+  }
+
+  readComparePoint(required) {
+    let operator = '=';
+    const char = this.input[this.pos];
+    if (char === '>' || char === '<' || char === '=') {
+      operator = char;
+      this.pos++;
+    } else if (!this.isDigit(char)) {
+      if (required) {
+        throw this.error('Expected a compare point such as "1", "<2" or ">7"');
+      }
+      return null;
+    }
+
+    if (!this.isDigit(this.input[this.pos])) {
+      throw this.error(`Expected a number after '${operator}'`);
+    }
+    return { operator, value: this.readNumber() };
+  }
+
+  alwaysMatches(compare, sides) {
+    for (let face = 1; face <= sides; face++) {
+      if (!matchesComparePoint(face, compare)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  describeCompare(compare) {
+    return compare.operator === '=' ? `${compare.value}` : `${compare.operator}${compare.value}`;
+  }
+
+  readNumber() {
+    const start = this.pos;
+    while (this.isDigit(this.input[this.pos])) {
+      this.pos++;
+    }
+    const value = parseInt(this.input.slice(start, this.pos), 10);
+    if (!Number.isSafeInteger(value)) {
+      throw this.error('Number is too large');
+    }
+    return value;
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.input.length && /\s/.test(this.input[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  peek() {
+    this.skipWhitespace();
+    return this.input[this.pos];
+  }
+
+  next() {
+    this.skipWhitespace();
+    return this.input[this.pos++];
+  }
+
+  isDigit(char) {
+    return char !== undefined && char >= '0' && char <= '9';
+  }
+
+  error(message) {
+    return new DiceNotationError(`${message} at position ${this.pos + 1}`);
+  }
+}
+
+/**
+ * Parse a dice notation string into an expression tree
+ */
+function parseDiceNotation(notation) {
+  if (typeof notation !== 'string' || notation.trim() === '') {
+    throw new DiceNotationError('Notation is required');
+  }
+  if (notation.length > MAX_NOTATION_LENGTH) {
+    throw new DiceNotationError(`Notation cannot be longer than ${MAX_NOTATION_LENGTH} characters`);
+  }
+  return new DiceNotationParser(notation).parse();
+}
+
+/**
+ * Check a die face against a compare point
+ */
+function matchesComparePoint(value, compare) {
+  switch (compare.operator) {
+    case '>':
+      return value >= compare.value;
+    case '<':
+      return value <= compare.value;
+    default:
+      return value === compare.value;
+  }
+}
+
+module.exports = {
+  MAX_DICE_COUNT,
+  MAX_DICE_SIDES,
+  DiceNotationError,
+  parseDiceNotation,
+  matchesComparePoint
+};
@@ -0,0 +1,190 @@
+// Encounters: turn tracking inside a room
+//
+// An encounter has ordered combatants, a round counter and the index of the combatant whose
+// turn it is. Advancing past the last combatant starts the next round, which also counts down
+// the room's timed status effects and buff stacks. Rolls made while an encounter is active are tagged with it
+// (encounterId, encounterRound and encounterTurn, the 1-based turn within the round).
+const crypto = require('crypto');
+const db = require('./database');
+const { endStatusEffectRound } = require('./status-effects');
+const { endBuffStackRound } = require('./buff-stacks');
+
+class EncounterError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=400] - HTTP status the API responds with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EncounterError';
+    this.status = status;
+  }
+}
+
+function readCombatant(combatant, index) {
+  const entry = typeof combatant === 'string' ? { name: combatant } : combatant;
+  if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+    throw new EncounterError(`Combatant ${index + 1} needs a name.`);
+  }
+  if (entry.initiative !== undefined && entry.initiative !== null && !Number.isInteger(entry.initiative)) {
+    throw new EncounterError(`Initiative of ${entry.name.trim()} must be an integer.`);
+  }
+  return {
+    id: crypto.randomUUID(),
+    name: entry.name.trim(),
+    initiative: entry.initiative === null ? undefined : entry.initiative
+  };
+}
+
+// Highest initiative first; combatants without initiative keep their place after those with one
+function sortByInitiative(combatants) {
+  const withInitiative = combatants.filter(c => c.initiative !== undefined);
+  const without = combatants.filter(c => c.initiative === undefined);
+  return [...withInitiative.sort((a, b) => b.initiative - a.initiative), ...without];
+}
+
+/**
+ * The encounter with the combatant whose turn it is
+ */
+function describeEncounter(encounter) {
+  return {
+    ...encounter,
+    turn: encounter.turnIndex + 1,
+    currentCombatant: encounter.combatants[encounter.turnIndex] || null
+  };
+}
+
+/**
+ * Tag for rolls made in the room right now, or null when no encounter is active
+ */
+function getRollEncounterTag(roomId) {
+  const encounter = db.getActiveEncounter(roomId);
+  if (!encounter) {
+    return null;
+  }
+  return { encounterId: encounter.id, encounterRound: encounter.round, encounterTurn: encounter.turnIndex + 1 };
+}
+
+/**
+ * Start an encounter; combatants are names or { name, initiative } and are ordered by initiative
+ * @throws {EncounterError} if the room already has an active encounter or combatants are invalid
+ */
+function startEncounter(roomId, { name = null, combatants = [], createdBy = null }) {
+  if (!Array.isArray(combatants)) {
+    throw new EncounterError('Combatants must be an array.');
+  }
+  if (db.getActiveEncounter(roomId)) {
+    throw new EncounterError('This room already has an active encounter.', 409);
+  }
+
+  const ordered = sortByInitiative(combatants.map(readCombatant));
+  const names = new Set();
+  for (const combatant of ordered) {
+    if (names.has(combatant.name)) {
+      throw new EncounterError(`${combatant.name} is listed twice.`);
+    }
+    names.add(combatant.name);
+  }
+
+  const encounter = db.addEncounter(crypto.randomUUID(), roomId, name, createdBy);
+  db.setEncounterCombatants(encounter.id, ordered);
+  return describeEncounter(db.getEncounterById(encounter.id));
+}
+
+function getActiveEncounterOrThrow(roomId, encounterId) {
+  const encounter = db.getEncounterById(encounterId);
+  if (!encounter || encounter.roomId !== roomId) {
+    throw new EncounterError('Encounter not found', 404);
+  }
+  if (encounter.status !== 'active') {
+    throw new EncounterError('Encounter has ended.', 409);
+  }
+  return encounter;
+}
+
+// Move to a turn index, starting the next round when it runs past the last combatant
+function moveToTurn(encounter, turnIndex) {
+  if (turnIndex < encounter.combatants.length) {
+    return { encounter: db.updateEncounterTurn(encounter.id, encounter.round, turnIndex), statusChanges: [], expiredBuffs: [] };
+  }
+  const statusChanges = endStatusEffectRound(encounter.roomId);
+  const expiredBuffs = endBuffStackRound(encounter.roomId);
+  return { encounter: db.updateEncounterTurn(encounter.id, encounter.round + 1, 0), roundEnded: true, statusChanges, expiredBuffs };
+}
+
+/**
+ * Pass the turn to the next combatant
+ * @returns {{ encounter, roundEnded: boolean, statusChanges: Object[], expiredBuffs: Object[] }}
+ */
+function advanceTurn(roomId, encounterId) {
+  const encounter = getActiveEncounterOrThrow(roomId, encounterId);
+  if (encounter.combatants.length === 0) {
+    throw new EncounterError('Encounter has no combatants.', 409);
+  }
+  const moved = moveToTurn(encounter, encounter.turnIndex + 1);
+  return { ...moved, encounter: describeEncounter(moved.encounter), roundEnded: Boolean(moved.roundEnded) };
+}
+
+/**
+ * Add a combatant: after everyone with the same or higher initiative, or last without one.
+ * The current combatant keeps the turn.
+ */
+function addCombatant(roomId, encounterId, combatant) {
+  const encounter = getActiveEncounterOrThrow(roomId, encounterId);
+  const added = readCombatant(combatant, encounter.combatants.length);
+  if (encounter.combatants.some(c => c.name === added.name)) {
+    throw new EncounterError(`${added.name} is already in the encounter.`, 409);
+  }
+
+  let index = encounter.combatants.length;
+  if (added.initiative !== undefined) {
+    const before = encounter.combatants.findIndex(c => c.initiative === undefined || c.initiative < added.initiative);
+    index = before === -1 ? encounter.combatants.length : before;
+  }
+  const combatants = [...encounter.combatants];
+  combatants.splice(index, 0, added);
+  db.setEncounterCombatants(encounter.id, combatants);
+
+  const turnIndex = index <= encounter.turnIndex && encounter.combatants.length > 0 ? encounter.turnIndex + 1 : encounter.turnIndex;
+  return describeEncounter(db.updateEncounterTurn(encounter.id, encounter.round, turnIndex));
+}
+
+/**
+ * Remove a combatant. Removing the current combatant passes the turn to the next one.
+ * @returns {{ encounter, roundEnded: boolean, statusChanges: Object[], expiredBuffs: Object[] }}
+ */
+function removeCombatant(roomId, encounterId, combatantId) {
+  const encounter = getActiveEncounterOrThrow(roomId, encounterId);
+  const index = encounter.combatants.findIndex(c => c.id === combatantId);
+  if (index === -1) {
+    throw new EncounterError('Combatant not found', 404);
+  }
+
+  const combatants = encounter.combatants.filter(c => c.id !== combatantId);
+  db.setEncounterCombatants(encounter.id, combatants);
+  const remaining = { ...encounter, combatants };
+
+  if (combatants.length === 0) {
+    return { encounter: describeEncounter(db.updateEncounterTurn(encounter.id, encounter.round, 0)), roundEnded: false, statusChanges: [], expiredBuffs: [] };
+  }
+  const moved = index < encounter.turnIndex
+    ? { encounter: db.updateEncounterTurn(encounter.id, encounter.round, encounter.turnIndex - 1), statusChanges: [], expiredBuffs: [] }
+    : moveToTurn(remaining, encounter.turnIndex);
+  return { ...moved, encounter: describeEncounter(moved.encounter), roundEnded: Boolean(moved.roundEnded) };
+}
+
+function endEncounter(roomId, encounterId) {
+  getActiveEncounterOrThrow(roomId, encounterId);
+  return describeEncounter(db.endEncounter(encounterId));
+}
+
+module.exports = {
+  EncounterError,
+  describeEncounter,
+  getRollEncounterTag,
+  startEncounter,
+  advanceTurn,
+  addCombatant,
+  removeCombatant,
+  endEncounter
+};
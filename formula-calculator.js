@@ -1,43 +1,108 @@
 // Formula calculator for action rolls with proper dice mechanics and bonuses
-const { RANK_BONUSES, getRankLevel } = require('./actions');
+const { DEFAULT_CRITICAL_POLICY } = require('./actions');
+const { DEFAULT_RULESET, getRankLevel, getRankValue } = require('./rulesets');
+const { DiceNotationError, parseDiceNotation, matchesComparePoint } = require('./dice-notation');
+const { CryptoRandomSource, SeededRandomSource, generateSeed } = require('./random-source');
+const { getModifier, appliesToDiceGroup } = require('./modifier-registry');
+
+// Safety limits for notation rolls so a single die cannot chain forever
+const MAX_NOTATION_EXPLOSIONS = 100;
+const MAX_NOTATION_REROLLS = 100;
 
 class FormulaCalculator {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.randomSource] - Fixed random source used for every roll (e.g. a
+   *   SeededRandomSource in tests). By default each roll gets its own crypto-generated seed.
+   * @param {Object} [options.ruleset] - Ruleset whose rank table is used when a roll does not
+   *   name one (defaults to the default ruleset)
+   */
+  constructor(options = {}) {
     // Removed rollHistory - use database for audit trail instead
+    this.randomSource = options.randomSource || null;
+    this.random = this.randomSource || new CryptoRandomSource();
+    this.defaultRuleset = options.ruleset || DEFAULT_RULESET;
+    this.ruleset = this.defaultRuleset;
+  }
+
+  /**
+   * Select the random source for the next roll. An explicit seed always wins so stored
+   * rolls can be replayed; otherwise the injected source or a freshly seeded one is used.
+   */
+  beginRoll(seed) {
+    if (seed !== undefined && seed !== null) {
+      this.random = new SeededRandomSource(seed);
+    } else if (this.randomSource) {
+      this.random = this.randomSource;
+    } else {
+      this.random = new SeededRandomSource(generateSeed());
+    }
   }
 
   /**
    * Roll a single die
    */
   rollDie(sides) {
-    return Math.floor(Math.random() * sides) + 1;
+    return this.random.nextInt(sides);
   }
 
   /**
-   * Roll multiple dice and apply keep highest/lowest if specified
+   * Roll a single plain die (the non-action roll path)
    */
-  rollDice(diceConfig) {
+  calculateDiceRoll(sides, options = {}) {
+    this.beginRoll(options.seed);
+    const roll = this.rollDie(sides);
+
+    return {
+      result: roll,
+      rawDiceResult: roll,
+      details: {
+        diceGroups: [{ type: `1d${sides}`, rolls: [roll], sum: roll }],
+        bonusBreakdown: [],
+        modifierBreakdown: [],
+        explosionRolls: [],
+        rawDiceTotal: roll,
+        baseTotal: roll,
+        finalResult: roll,
+        breakdown: `1d${sides}[${roll}]`,
+        rng: this.random.describe()
+      }
+    };
+  }
+
+  /**
+   * Roll multiple dice, apply dice phase modifiers (rerolls) and then keep highest/lowest if specified
+   * @returns {{ rolls: number[], rerolled: number[] }} Kept rolls and the rolls that were replaced
+   */
+  rollDice(diceConfig, diceModifiers = []) {
     const { count, sides, keepHighest, keepLowest } = diceConfig;
     const actualCount = typeof count === 'string' ? this.resolveCountVariable(count) : count;
     
-    if (actualCount <= 0) return [];
+    if (actualCount <= 0) return { rolls: [], rerolled: [] };
     
-    const rolls = [];
+    let rolls = [];
     for (let i = 0; i < actualCount; i++) {
       rolls.push(this.rollDie(sides));
     }
 
+    let rerolled = [];
+    for (const modifier of diceModifiers) {
+      const applied = getModifier(modifier.type).applyToDice(modifier, rolls, sides, this);
+      rolls = applied.rolls;
+      rerolled = rerolled.concat(applied.rerolled);
+    }
+
     if (keepHighest) {
       rolls.sort((a, b) => b - a);
-      return rolls.slice(0, keepHighest);
+      return { rolls: rolls.slice(0, keepHighest), rerolled };
     }
     
     if (keepLowest) {
       rolls.sort((a, b) => a - b);
-      return rolls.slice(0, keepLowest);
+      return { rolls: rolls.slice(0, keepLowest), rerolled };
     }
 
-    return rolls;
+    return { rolls, rerolled };
   }
 
   /**
@@ -46,9 +111,9 @@ class FormulaCalculator {
   resolveCountVariable(countVar, weaponRank = 'E', masteryRank = 'E') {
     switch (countVar) {
       case 'MR_LEVEL':
-        return getRankLevel(masteryRank);
+        return getRankLevel(this.ruleset, masteryRank);
       case 'WR_LEVEL':
-        return getRankLevel(weaponRank);
+        return getRankLevel(this.ruleset, weaponRank);
       case 'BASE_BY_RANK':
         // This will be handled in the dice config with baseDiceByRank
         return 0;
@@ -60,55 +125,188 @@ class FormulaCalculator {
     }
   }
 
+  /**
+   * Pick a value from a rank map (e.g. diceByRank), falling back to the ruleset's lowest rank
+   */
+  getRankValue(rankMap, rank) {
+    return getRankValue(this.ruleset, rankMap, rank);
+  }
+
+  /**
+   * Resolve how many dice a dice config rolls at the given ranks
+   */
+  resolveDiceCount(diceConfig, weaponRank, masteryRank) {
+    let count = diceConfig.count;
+    
+    // Handle special count variables
+    if (typeof count === 'string') {
+      count = this.resolveCountVariable(count, weaponRank, masteryRank);
+    }
+    
+    // Handle rank-based dice counts
+    if (diceConfig.baseDiceByRank) {
+      count = this.getRankValue(diceConfig.baseDiceByRank, masteryRank);
+    }
+    
+    if (diceConfig.diceByRank) {
+      count = this.getRankValue(diceConfig.diceByRank, masteryRank);
+    }
+
+    return count;
+  }
+
+  /**
+   * Build the flat bonus entries (rank bonuses, other bonuses and buffs) for an action roll
+   * @param {Object[]} [buffs] - Buff stacks used by the roll, { value, source, actionName, sourceRollId }
+   */
+  buildBonusBreakdown(calculableFormula, weaponRank, masteryRank, otherBonuses = 0, buffs = []) {
+    const bonusBreakdown = [];
+
+    for (const bonusType of calculableFormula.bonuses) {
+      if (bonusType === 'MR') {
+        bonusBreakdown.push({
+          type: 'Mastery Rank',
+          rank: masteryRank,
+          value: this.ruleset.rankBonuses[masteryRank],
+          display: `${masteryRank} MR`
+        });
+      } else if (bonusType === 'WR') {
+        bonusBreakdown.push({
+          type: 'Weapon Rank',
+          rank: weaponRank,
+          value: this.ruleset.rankBonuses[weaponRank],
+          display: `${weaponRank} WR`
+        });
+      }
+    }
+
+    // Add other bonuses
+    if (otherBonuses > 0) {
+      bonusBreakdown.push({
+        type: 'Other',
+        value: otherBonuses,
+        display: 'Bonus'
+      });
+    }
+
+    // Add buffs, labelled with the action and who cast it
+    for (const buff of buffs) {
+      bonusBreakdown.push({
+        type: 'Buff',
+        value: buff.value,
+        display: `${buff.source}'s ${buff.actionName}`,
+        source: buff.source,
+        sourceRollId: buff.sourceRollId
+      });
+    }
+
+    return bonusBreakdown;
+  }
+
+  /**
+   * Normalize a roll context such as { adjacent: true, aoe: true, targets: [...] } into
+   * the list of claimed conditions and the targets stored with the roll
+   */
+  normalizeRollContext(context = {}) {
+    const claimed = Object.keys(context).filter(key => key !== 'targets' && context[key] === true);
+    const targets = Array.isArray(context.targets) ? context.targets : [];
+    return { claimed, targets };
+  }
+
+  /**
+   * Rebuild the roll context flags from a normalized context stored with a roll
+   */
+  denormalizeRollContext(normalized) {
+    if (!normalized) {
+      return {};
+    }
+    return {
+      ...Object.fromEntries(normalized.claimed.map(condition => [condition, true])),
+      targets: normalized.targets
+    };
+  }
+
+  /**
+   * Resolve an action's critical policy, filling unspecified fields from DEFAULT_CRITICAL_POLICY
+   */
+  resolveCriticalPolicy(calculableFormula) {
+    return { ...DEFAULT_CRITICAL_POLICY, ...(calculableFormula.critical || {}) };
+  }
+
+  /**
+   * Whether a natural die roll triggers the critical policy
+   */
+  isCriticalTrigger(sides, roll, critical) {
+    return sides === critical.triggerSides && critical.triggerFaces.includes(roll);
+  }
+
+  /**
+   * Apply the natural critical multiplier unless the stacking rule forbids it
+   * because a threshold critical was already applied
+   */
+  applyCriticalHit(currentResult, critical, criticalAlreadyApplied) {
+    if (critical.multiplier === 1 || (critical.stacking === 'none' && criticalAlreadyApplied)) {
+      return { applied: false, result: currentResult };
+    }
+    return {
+      applied: true,
+      result: currentResult * critical.multiplier,
+      description: `D${critical.triggerSides} Critical Hit (×${critical.multiplier})`
+    };
+  }
+
   /**
    * Calculate the total result for an action roll
+   * @param {Object} [options]
+   * @param {string} [options.seed] - Seed to roll with (replays)
+   * @param {Object} [options.context] - Roll context, e.g. { adjacent: true, aoe: true, targets: [...] }
+   * @param {Object} [options.ruleset] - Ruleset providing the rank table, e.g. the room's
+   * @param {Object[]} [options.buffs] - Buff stacks the roll uses, added like other bonuses
+   * @param {number} [options.bonusSuccesses] - Successes added to a success pool, which
+   *   ignores other bonuses and buffs
    */
-  calculateActionRoll(action, weaponRank, masteryRank, otherBonuses = 0) {
+  calculateActionRoll(action, weaponRank, masteryRank, otherBonuses = 0, options = {}) {
     const { calculableFormula } = action;
+    const buffs = options.buffs || [];
+    // Modifiers see buffs as part of the other bonuses
+    const totalOtherBonuses = otherBonuses + buffs.reduce((sum, buff) => sum + buff.value, 0);
     this.rollHistory = [];
+    this.beginRoll(options.seed);
+    this.ruleset = options.ruleset || this.defaultRuleset;
+    const context = this.normalizeRollContext(options.context);
     
     let totalResult = 0;
     let rawDiceTotal = 0; // Track pure dice total before any bonuses
     let diceGroups = []; // Store dice groups with their individual rolls
     let bonusBreakdown = [];
     let modifierBreakdown = [];
-    let hasCriticalHit = false; // Track if any d100 rolled 100
+    let hasCriticalHit = false; // Track if any die rolled a natural critical
+    let succeeded; // Outcome of the action's success check, if it has one
     let allNaturalDiceRolls = []; // Track all natural dice rolls for threshold checks
-    let isSpecialCriticalAttack = action.name === 'Special Critical Attack';
+    const diceRollsByConfig = []; // Kept rolls per calculableFormula.dice entry (empty when none rolled)
+    const critical = this.resolveCriticalPolicy(calculableFormula);
+    const modifiers = calculableFormula.modifiers || [];
+    const diceModifiers = modifiers.filter(modifier => getModifier(modifier.type).phase === 'dice');
 
     // Roll all dice and store detailed breakdown
-    for (const diceConfig of calculableFormula.dice) {
-      let count = diceConfig.count;
-      
-      // Handle special count variables
-      if (typeof count === 'string') {
-        count = this.resolveCountVariable(count, weaponRank, masteryRank);
-      }
-      
-      // Handle rank-based dice counts
-      if (diceConfig.baseDiceByRank) {
-        count = diceConfig.baseDiceByRank[masteryRank] || diceConfig.baseDiceByRank.E;
-      }
-      
-      if (diceConfig.diceByRank) {
-        count = diceConfig.diceByRank[masteryRank] || diceConfig.diceByRank.E;
-      }
+    calculableFormula.dice.forEach((diceConfig, diceConfigIndex) => {
+      const count = this.resolveDiceCount(diceConfig, weaponRank, masteryRank);
+      diceRollsByConfig.push([]);
 
       if (count > 0) {
-        const diceRolls = this.rollDice({ ...diceConfig, count });
+        const { rolls: diceRolls, rerolled } = this.rollDice(
+          { ...diceConfig, count },
+          diceModifiers.filter(modifier => appliesToDiceGroup(modifier, diceConfigIndex))
+        );
         const diceSum = diceRolls.reduce((sum, roll) => sum + roll, 0);
         
         // Track all natural dice rolls for threshold checks
         allNaturalDiceRolls = allNaturalDiceRolls.concat(diceRolls);
+        diceRollsByConfig[diceRollsByConfig.length - 1] = diceRolls;
         
-        // Check for d100 critical hits (rolling 100 on a d100) - but not for Special Critical Attack
-        if (diceConfig.sides === 100 && !isSpecialCriticalAttack) {
-          for (const roll of diceRolls) {
-            if (roll === 100) {
-              hasCriticalHit = true;
-              break;
-            }
-          }
+        // Check for natural critical hits (e.g. rolling 100 on a d100)
+        if (diceRolls.some(roll => this.isCriticalTrigger(diceConfig.sides, roll, critical))) {
+          hasCriticalHit = true;
         }
         
         // Store dice group details
@@ -119,69 +317,65 @@ class FormulaCalculator {
           keepHighest: diceConfig.keepHighest,
           keepLowest: diceConfig.keepLowest
         };
+        if (rerolled.length > 0) {
+          diceGroup.rerolled = rerolled;
+        }
         
         diceGroups.push(diceGroup);
         totalResult += diceSum;
         rawDiceTotal += diceSum; // Track raw dice total
       }
-    }
+    });
 
     // Add bonuses with detailed breakdown
-    for (const bonusType of calculableFormula.bonuses) {
-      if (bonusType === 'MR') {
-        const bonus = RANK_BONUSES[masteryRank];
-        bonusBreakdown.push({
-          type: 'Mastery Rank',
-          rank: masteryRank,
-          value: bonus,
-          display: `${masteryRank} MR`
-        });
-        totalResult += bonus;
-      } else if (bonusType === 'WR') {
-        const bonus = RANK_BONUSES[weaponRank];
-        bonusBreakdown.push({
-          type: 'Weapon Rank',
-          rank: weaponRank,
-          value: bonus,
-          display: `${weaponRank} WR`
-        });
-        totalResult += bonus;
-      }
-    }
-
-    // Add other bonuses
-    if (otherBonuses > 0) {
-      bonusBreakdown.push({
-        type: 'Other',
-        value: otherBonuses,
-        display: 'Buff'
-      });
-      totalResult += otherBonuses;
+    bonusBreakdown = this.buildBonusBreakdown(calculableFormula, weaponRank, masteryRank, otherBonuses, buffs);
+    for (const bonus of bonusBreakdown) {
+      totalResult += bonus.value;
     }
 
     // Apply modifiers with detailed breakdown
     let finalResult = totalResult;
     let explosionRolls = [];
+    let explosionTree = [];
     let criticalAlreadyApplied = false; // Track if a critical multiplier was already applied
 
-    for (const modifier of calculableFormula.modifiers || []) {
-      const modifierResult = this.applyModifier(modifier, finalResult, diceGroups.flatMap(g => g.rolls), weaponRank, masteryRank, otherBonuses, allNaturalDiceRolls, isSpecialCriticalAttack, criticalAlreadyApplied);
+    for (const modifier of modifiers) {
+      if (diceModifiers.includes(modifier)) {
+        continue; // Already applied while rolling
+      }
+      const modifierResult = this.applyModifier(modifier, {
+        currentResult: finalResult,
+        allRolls: allNaturalDiceRolls,
+        diceRollsByConfig,
+        weaponRank,
+        masteryRank,
+        otherBonuses: totalOtherBonuses,
+        allNaturalDiceRolls,
+        critical,
+        criticalAlreadyApplied: criticalAlreadyApplied && critical.stacking !== 'all',
+        context
+      });
       
       // Store modifier details
       if (modifierResult.value !== 0 || modifierResult.multiplier !== 1 || modifier.type === 'explosion') {
-        modifierBreakdown.push({
+        const modifierEntry = {
           type: modifier.type,
           description: modifierResult.details,
           value: modifierResult.value || 0,
           multiplier: modifierResult.multiplier || 1,
           explosionRolls: modifierResult.explosionRolls || []
-        });
+        };
+        if (modifierResult.explosionTree) {
+          modifierEntry.explosionTree = modifierResult.explosionTree;
+          explosionTree = explosionTree.concat(modifierResult.explosionTree);
+        }
+        modifierBreakdown.push(modifierEntry);
         
         if (modifierResult.explosionRolls) {
           explosionRolls = explosionRolls.concat(modifierResult.explosionRolls);
           // Add explosion rolls to raw dice total since they're pure dice
           if (modifier.type === 'explosion') {
-            rawDiceTotal += modifierResult.explosionRolls.reduce((sum, roll) => sum + roll, 0);
+            rawDiceTotal += modifierResult.value;
           }
         }
       }
@@ -195,20 +389,54 @@ class FormulaCalculator {
       if (modifierResult.criticalTriggered) {
         criticalAlreadyApplied = true;
       }
+
+      if (modifierResult.succeeded !== undefined) {
+        succeeded = modifierResult.succeeded;
+      }
       
       finalResult = modifierResult.result;
     }
 
-    // Apply critical hit multiplier if any d100 rolled 100 (but not for Special Critical Attack)
-    if (hasCriticalHit && !isSpecialCriticalAttack) {
-      finalResult = finalResult * 2;
-      modifierBreakdown.push({
-        type: 'critical_hit',
-        description: 'D100 Critical Hit (×2)',
-        value: 0,
-        multiplier: 2,
-        explosionRolls: []
-      });
+    // Success pools count dice (including explosions) instead of summing them
+    if (calculableFormula.evaluation === 'count_successes') {
+      const successPool = this.countSuccesses(allNaturalDiceRolls.concat(explosionRolls), calculableFormula.successes, options.bonusSuccesses || 0);
+      const poolBreakdown = this.generateBreakdownString(diceGroups, [], modifierBreakdown, explosionRolls, successPool.netSuccesses);
+      return {
+        result: Math.max(0, successPool.netSuccesses),
+        rawDiceResult: rawDiceTotal,
+        details: {
+          diceGroups,
+          bonusBreakdown,
+          modifierBreakdown,
+          explosionRolls,
+          explosionTree,
+          successPool,
+          succeeded: successPool.netSuccesses > 0,
+          rawDiceTotal,
+          baseTotal: totalResult,
+          finalResult: successPool.netSuccesses,
+          breakdown: `${poolBreakdown} → ${this.describeSuccessPool(successPool)}`,
+          otherBonuses,
+          buffs,
+          context,
+          rng: this.random.describe()
+        }
+      };
+    }
+
+    // Apply the natural critical hit multiplier according to the action's critical policy
+    if (hasCriticalHit) {
+      const criticalHit = this.applyCriticalHit(finalResult, critical, criticalAlreadyApplied);
+      if (criticalHit.applied) {
+        finalResult = criticalHit.result;
+        modifierBreakdown.push({
+          type: 'critical_hit',
+          description: criticalHit.description,
+          value: 0,
+          multiplier: critical.multiplier,
+          explosionRolls: []
+        });
+      }
     }
 
     // Generate human-readable breakdown
@@ -224,208 +452,324 @@ class FormulaCalculator {
         bonusBreakdown,
         modifierBreakdown,
         explosionRolls,
+        explosionTree,
         rawDiceTotal,
         baseTotal: totalResult,
         finalResult,
-        breakdown
+        succeeded,
+        breakdown,
+        otherBonuses,
+        buffs,
+        context,
+        rng: this.random.describe()
       }
     };
   }
 
   /**
-   * Apply a modifier to the current result
+   * Count a success pool: dice at or above the threshold are successes (two at or above
+   * doubleOn), dice at or below cancelOn are botches that each cancel one success, and
+   * bonus successes are added on top. A pool that ends below one success with a botch is a botch.
    */
-  applyModifier(modifier, currentResult, allRolls, weaponRank, masteryRank, otherBonuses, allNaturalDiceRolls = [], isSpecialCriticalAttack = false, criticalAlreadyApplied = false) {
-    switch (modifier.type) {
-      case 'multiplier':
-        return {
-          result: currentResult * modifier.baseMultiplier,
-          details: `Base multiplier ${modifier.baseMultiplier}x`,
-          multiplier: modifier.baseMultiplier,
-          value: 0
-        };
-
-      case 'threshold_multiplier':
-        // Skip if a critical multiplier was already applied (prevent stacking)
-        if (criticalAlreadyApplied) {
-          return {
-            result: currentResult,
-            details: `Critical already applied`,
-            multiplier: 1,
-            value: 0
-          };
-        }
-        
-        // For Special Critical Attack, check natural dice rolls instead of final result
-        let checkValue = currentResult;
-        if (isSpecialCriticalAttack) {
-          // Get the highest natural d100 roll for threshold check
-          const d100Rolls = allNaturalDiceRolls.filter(roll => roll <= 100); // Only d100 rolls
-          checkValue = d100Rolls.length > 0 ? Math.max(...d100Rolls) : 0;
+  countSuccesses(rolls, successes, bonusSuccesses = 0) {
+    const { threshold, doubleOn, cancelOn } = successes;
+    let successCount = 0;
+    let failures = 0;
+    let botches = 0;
+    for (const roll of rolls) {
+      if (roll >= threshold) {
+        successCount += doubleOn !== undefined && roll >= doubleOn ? 2 : 1;
+      } else {
+        failures++;
+        if (cancelOn !== undefined && roll <= cancelOn) {
+          botches++;
         }
-        
-        if (checkValue >= modifier.threshold) {
-          const multiplier = modifier.multiplierByRank 
-            ? modifier.multiplierByRank[masteryRank] || modifier.multiplierByRank.E
-            : modifier.multiplier;
-          return {
-            result: currentResult * multiplier,
-            details: isSpecialCriticalAttack ? `Natural ${checkValue} Critical` : `${masteryRank} Critical`,
-            multiplier: multiplier,
-            value: 0,
-            criticalTriggered: true // Flag to prevent stacking
-          };
+      }
+    }
+
+    const netSuccesses = successCount - botches + bonusSuccesses;
+    return {
+      threshold,
+      doubleOn,
+      cancelOn,
+      successes: successCount,
+      failures,
+      botches,
+      bonusSuccesses,
+      netSuccesses,
+      isBotch: botches > 0 && netSuccesses < 1
+    };
+  }
+
+  /**
+   * Summary of a counted pool for the breakdown, e.g. "5 successes - 1 botch + 2(Bonus) = 6"
+   */
+  describeSuccessPool(successPool) {
+    const { successes, botches } = successPool;
+    let text = `${successes} ${successes === 1 ? 'success' : 'successes'}`;
+    if (botches > 0) {
+      text += ` - ${botches} ${botches === 1 ? 'botch' : 'botches'}`;
+    }
+    if (successPool.bonusSuccesses !== 0) {
+      text += ` + ${successPool.bonusSuccesses}(Bonus)`;
+    }
+    if (botches > 0 || successPool.bonusSuccesses !== 0) {
+      text += ` = ${successPool.netSuccesses}`;
+    }
+    return successPool.isBotch ? `${text} (Botch)` : text;
+  }
+
+  /**
+   * Apply a modifier to the current result using its registered implementation
+   * @param {Object} modifier - Modifier definition from calculableFormula.modifiers
+   * @param {Object} state - Roll state, see modifier-registry.js; only currentResult,
+   *   weaponRank, masteryRank and otherBonuses are required
+   */
+  applyModifier(modifier, state) {
+    const definition = getModifier(modifier.type);
+    if (!definition) {
+      throw new Error(`Unknown modifier type: ${modifier.type}`);
+    }
+    return definition.apply(modifier, {
+      allRolls: [],
+      diceRollsByConfig: [],
+      allNaturalDiceRolls: [],
+      critical: DEFAULT_CRITICAL_POLICY,
+      criticalAlreadyApplied: false,
+      context: { claimed: [], targets: [] },
+      ...state
+    }, this);
+  }
+
+  /**
+   * Calculate the total result for a free-form dice notation roll (e.g. "4d6kh3 + 2d8!>7 - 1d4 + 5")
+   * Returns the same shape as calculateActionRoll. Throws DiceNotationError on invalid notation.
+   */
+  calculateNotationRoll(notation, options = {}) {
+    const expression = parseDiceNotation(notation);
+    this.beginRoll(options.seed);
+
+    const diceGroups = [];
+    const bonusBreakdown = [];
+    const modifierBreakdown = [];
+    let explosionRolls = [];
+
+    // Each node evaluates to its value and its raw dice value. Flat numbers added or
+    // subtracted at the top level are bonuses and count 0 towards the raw dice value;
+    // anywhere else they are part of the dice arithmetic, e.g. "(1d6 + 1) * 2".
+    // sign is +1 or -1 depending on whether the node is added or subtracted overall.
+    const evaluate = (node, topLevel = true, sign = 1) => {
+      switch (node.type) {
+        case 'number':
+          return { value: node.value, raw: topLevel ? 0 : node.value, text: `${node.value}` };
+
+        case 'group': {
+          const inner = evaluate(node.expression, false, sign);
+          return { value: inner.value, raw: inner.value, text: `(${inner.text})` };
         }
-        return {
-          result: currentResult,
-          details: `Threshold ${modifier.threshold} not met`,
-          multiplier: 1,
-          value: 0
-        };
 
-      case 'success_bonus':
-        if (currentResult >= modifier.threshold) {
-          const bonus = modifier.successBonusByRank 
-            ? modifier.successBonusByRank[masteryRank] || modifier.successBonusByRank.E
-            : modifier.bonusByRank[masteryRank] || modifier.bonusByRank.E;
-          return {
-            result: currentResult + bonus,
-            details: `Success bonus`,
-            multiplier: 1,
-            value: bonus
-          };
-        } else if (modifier.failureBonus) {
-          return {
-            result: currentResult + modifier.failureBonus,
-            details: `Consolation bonus`,
-            multiplier: 1,
-            value: modifier.failureBonus
-          };
+        case 'negate': {
+          const operand = evaluate(node.operand, false, -sign);
+          return { value: -operand.value, raw: -operand.value, text: `-${operand.text}` };
         }
-        return {
-          result: currentResult,
-          details: `Failed threshold ${modifier.threshold}`,
-          multiplier: 1,
-          value: 0
-        };
 
-      case 'explosion':
-        let explosions = 0;
-        for (const roll of allRolls) {
-          if (roll >= modifier.threshold) {
-            explosions++;
+        case 'binary': {
+          const additive = node.operator === '+' || node.operator === '-';
+          const left = evaluate(node.left, topLevel && additive, sign);
+          const right = evaluate(node.right, topLevel && additive, node.operator === '-' ? -sign : sign);
+          let value;
+          let raw;
+          switch (node.operator) {
+            case '+':
+              value = left.value + right.value;
+              raw = left.raw + right.raw;
+              break;
+            case '-':
+              value = left.value - right.value;
+              raw = left.raw - right.raw;
+              break;
+            case '*':
+              value = left.value * right.value;
+              raw = value;
+              break;
+            default:
+              if (right.value === 0) {
+                throw new DiceNotationError('Division by zero');
+              }
+              value = Math.floor(left.value / right.value);
+              raw = value;
           }
+          return { value, raw, text: `${left.text} ${node.operator} ${right.text}` };
         }
-        if (explosions > 0) {
-          const allExplosionRolls = [];
-          let explosionTotal = 0;
-          let currentExplosions = explosions;
-          let totalTriggers = explosions;
-          
-          // Handle cascading explosions with safety limit
-          let maxIterations = 10; // Prevent infinite loops
-          while (currentExplosions > 0 && maxIterations > 0) {
-            const newRolls = [];
-            for (let i = 0; i < currentExplosions; i++) {
-              const extraRoll = this.rollDie(modifier.extraDice.sides);
-              newRolls.push(extraRoll);
-              allExplosionRolls.push(extraRoll);
-              explosionTotal += extraRoll;
-            }
-            
-            // Check if any of the new rolls trigger more explosions
-            currentExplosions = 0;
-            for (const newRoll of newRolls) {
-              if (newRoll >= modifier.threshold) {
-                currentExplosions++;
-                totalTriggers++;
-              }
-            }
-            maxIterations--;
+
+        case 'dice': {
+          const group = this.rollNotationDice(node);
+          diceGroups.push(group);
+
+          if (group.explosionRolls.length > 0) {
+            explosionRolls = explosionRolls.concat(group.explosionRolls);
+            // Only exploded dice that survived keep/drop count towards the result
+            modifierBreakdown.push({
+              type: 'explosion',
+              description: `${group.explosionRolls.length} explosions on ${group.notation}`,
+              value: sign * group.keptExplosionRolls.reduce((sum, roll) => sum + roll, 0),
+              multiplier: 1,
+              explosionRolls: group.explosionRolls
+            });
+          }
+          if (group.rerolled.length > 0) {
+            modifierBreakdown.push({
+              type: 'reroll',
+              description: `Rerolled ${group.rerolled.join(', ')} on ${group.notation}`,
+              value: 0,
+              multiplier: 1,
+              explosionRolls: []
+            });
+          }
+
+          let text;
+          if (group.dropped.length > 0) {
+            text = `${group.notation}[${group.allRolls.join(', ')}→${group.rolls.join(', ')}]`;
+          } else {
+            text = `${group.notation}[${group.rolls.join(' + ')}]`;
           }
-          
-          return {
-            result: currentResult + explosionTotal,
-            details: `${totalTriggers} explosions`,
-            multiplier: 1,
-            value: explosionTotal,
-            explosionRolls: allExplosionRolls
-          };
+          return { value: group.sum, raw: group.sum, text };
         }
-        return {
-          result: currentResult,
-          details: `No explosions`,
-          multiplier: 1,
-          value: 0
-        };
 
-      case 'divisor':
-        return {
-          result: Math.floor(currentResult / modifier.divisor),
-          details: `Divided by ${modifier.divisor}`,
-          multiplier: 1 / modifier.divisor,
-          value: 0
-        };
+        default:
+          throw new Error(`Unknown notation node: ${node.type}`);
+      }
+    };
 
-      case 'aoe_divisor':
-        return {
-          result: currentResult,
-          details: `Single target`,
-          multiplier: 1,
-          value: 0
-        };
+    // Top-level flat numbers are reported as bonuses, like rank bonuses on action rolls
+    const collectFlatBonuses = (node, sign) => {
+      if (node.type === 'number') {
+        bonusBreakdown.push({ type: 'Flat', value: sign * node.value, display: 'mod' });
+      } else if (node.type === 'binary' && (node.operator === '+' || node.operator === '-')) {
+        collectFlatBonuses(node.left, sign);
+        collectFlatBonuses(node.right, node.operator === '-' ? -sign : sign);
+      }
+    };
+    collectFlatBonuses(expression, 1);
 
-      case 'bonus_conversion':
-        const convertibleBonuses = Math.floor(otherBonuses / modifier.conversionRate);
-        const extraDice = convertibleBonuses * modifier.convertToDice.count;
-        const leftoverBonus = otherBonuses % modifier.conversionRate;
-        
-        if (extraDice > 0) {
-          let extraTotal = 0;
-          const conversionRolls = [];
-          let conversionCriticalHit = false;
-          for (let i = 0; i < extraDice; i++) {
-            const roll = this.rollDie(modifier.convertToDice.sides);
-            conversionRolls.push(roll);
-            extraTotal += roll;
-            
-            // Check for d100 critical hits in conversion rolls
-            if (modifier.convertToDice.sides === 100 && roll === 100) {
-              conversionCriticalHit = true;
-            }
-          }
-          return {
-            result: currentResult - otherBonuses + extraTotal + leftoverBonus,
-            details: `Converted ${extraDice} dice`,
-            multiplier: 1,
-            value: extraTotal + leftoverBonus - otherBonuses,
-            explosionRolls: conversionRolls,
-            hasCriticalHit: conversionCriticalHit
-          };
+    const evaluated = evaluate(expression);
+    const rawDiceTotal = evaluated.raw;
+
+    return {
+      result: evaluated.value,
+      rawDiceResult: rawDiceTotal,
+      details: {
+        notation: notation.trim(),
+        diceGroups,
+        bonusBreakdown,
+        modifierBreakdown,
+        explosionRolls,
+        rawDiceTotal,
+        baseTotal: evaluated.value,
+        finalResult: evaluated.value,
+        breakdown: evaluated.text,
+        rng: this.random.describe()
+      }
+    };
+  }
+
+  /**
+   * Re-run a stored roll from the seed recorded in its rollDetails.
+   * Returns null if the roll was not made with a replayable (seeded) random source.
+   */
+  replayRoll(roll, action = null, ruleset = null) {
+    const details = roll.rollDetails;
+    const seed = details && details.rng && details.rng.seed;
+    if (!seed) {
+      return null;
+    }
+
+    if (details.notation) {
+      return this.calculateNotationRoll(details.notation, { seed });
+    }
+    if (roll.actionName) {
+      if (!action) {
+        return null;
+      }
+      return this.calculateActionRoll(action, roll.weaponRank, roll.masteryRank, details.otherBonuses || 0, {
+        seed,
+        context: this.denormalizeRollContext(details.context),
+        ruleset,
+        buffs: details.buffs,
+        bonusSuccesses: details.successPool ? details.successPool.bonusSuccesses : undefined
+      });
+    }
+    return this.calculateDiceRoll(roll.diceType, { seed });
+  }
+
+  /**
+   * Roll a single dice group from a parsed notation, applying rerolls, explosions and keep/drop
+   */
+  rollNotationDice(node) {
+    const { count, sides, keep, explode, reroll } = node;
+    const rerolled = [];
+
+    const rollWithReroll = () => {
+      let roll = this.rollDie(sides);
+      if (reroll) {
+        let remaining = reroll.once ? 1 : MAX_NOTATION_REROLLS;
+        while (remaining > 0 && matchesComparePoint(roll, reroll)) {
+          rerolled.push(roll);
+          roll = this.rollDie(sides);
+          remaining--;
         }
-        return {
-          result: currentResult,
-          details: `No conversion`,
-          multiplier: 1,
-          value: 0
-        };
+      }
+      return roll;
+    };
 
-      case 'conditional':
-        return {
-          result: currentResult,
-          details: `Conditional not met`,
-          multiplier: 1,
-          value: 0
-        };
+    const allRolls = [];
+    for (let i = 0; i < count; i++) {
+      allRolls.push(rollWithReroll());
+    }
 
-      default:
-        return {
-          result: currentResult,
-          details: `Unknown modifier`,
-          multiplier: 1,
-          value: 0
-        };
+    // Exploded dice join the pool so they can be kept or dropped like any other die
+    const explosionRolls = [];
+    if (explode) {
+      let pending = allRolls.filter(roll => matchesComparePoint(roll, explode)).length;
+      while (pending > 0 && explosionRolls.length < MAX_NOTATION_EXPLOSIONS) {
+        const extraRoll = rollWithReroll();
+        explosionRolls.push(extraRoll);
+        allRolls.push(extraRoll);
+        pending--;
+        if (matchesComparePoint(extraRoll, explode)) {
+          pending++;
+        }
+      }
     }
+
+    // Keep or drop by position so exploded dice that were dropped can be told apart
+    let kept = allRolls.map((roll, index) => index);
+    let droppedIndexes = [];
+    if (keep) {
+      const order = [...kept].sort((a, b) => allRolls[b] - allRolls[a] || a - b);
+      if (keep.mode === 'kl' || keep.mode === 'dh') {
+        order.reverse();
+      }
+      const keepCount = Math.max(0, Math.min(order.length, keep.mode.startsWith('k') ? keep.count : order.length - keep.count));
+      kept = order.slice(0, keepCount);
+      droppedIndexes = order.slice(keepCount);
+    }
+    const rolls = kept.map(index => allRolls[index]);
+
+    return {
+      type: `${count}d${sides}`,
+      notation: node.notation,
+      sides,
+      rolls,
+      sum: rolls.reduce((sum, roll) => sum + roll, 0),
+      keepHighest: keep && keep.mode === 'kh' ? keep.count : undefined,
+      keepLowest: keep && keep.mode === 'kl' ? keep.count : undefined,
+      allRolls,
+      dropped: droppedIndexes.map(index => allRolls[index]),
+      rerolled,
+      explosionRolls,
+      keptExplosionRolls: kept.filter(index => index >= count).map(index => allRolls[index])
+    };
   }
 
   /**
@@ -444,6 +788,9 @@ class FormulaCalculator {
       } else {
         parts.push(`${group.type}[${group.rolls.join(' + ')}]`);
       }
+      if (group.rerolled) {
+        parts[parts.length - 1] += `(rerolled ${group.rerolled.join(', ')})`;
+      }
     }
 
     // Add explosions if any with explosion count
@@ -0,0 +1,150 @@
+// HP pools: current and maximum HP per target (a participant or NPC name) in a room, and
+// roll results applied to them as damage or healing
+//
+// The action's subtype decides how a roll applies: 'Damage' lowers HP (not below 0) and
+// 'Heal' raises it (not above max HP). Defensive actions (with `defense`) mitigate attacks
+// and are not applied to HP, whatever their subtype. AoE division happens while rolling (aoe_divisor), so
+// every target receives the roll's result, and actions with an AoE divisor must be rolled as
+// AoE to hit more than one target. Heals add the HP of unused cleanse charges (Power Heal).
+// Damage against a target the attack was resolved against (defense-resolution.js) is the
+// resolution's final damage instead of the roll's result.
+//
+// Each application stores every target's HP before and after; undoing it reverts exactly the
+// HP it changed, even if other damage or healing happened since.
+const crypto = require('crypto');
+const db = require('./database');
+const { getRollTargets, getUnusedCleanseHealing } = require('./status-effects');
+
+const APPLY_KINDS = { Damage: 'damage', Heal: 'heal' };
+
+class HpPoolError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=400] - HTTP status the API responds with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HpPoolError';
+    this.status = status;
+  }
+}
+
+function clampHp(hp, maxHp) {
+  return Math.min(maxHp, Math.max(0, hp));
+}
+
+/**
+ * Create or update a target's HP pool. A new pool starts at max HP unless hp is given;
+ * lowering max HP lowers current HP with it.
+ * @throws {HpPoolError} for invalid values
+ */
+function setHpPool(roomId, targetName, { hp, maxHp }) {
+  if (typeof targetName !== 'string' || targetName.trim() === '') {
+    throw new HpPoolError('Target name is required.');
+  }
+  const existing = db.getHpPool(roomId, targetName.trim());
+  const newMaxHp = maxHp !== undefined ? maxHp : existing && existing.maxHp;
+  if (!Number.isInteger(newMaxHp) || newMaxHp <= 0) {
+    throw new HpPoolError('maxHp must be a positive integer.');
+  }
+  if (hp !== undefined && !Number.isInteger(hp)) {
+    throw new HpPoolError('hp must be an integer.');
+  }
+
+  const newHp = hp !== undefined ? hp : (existing ? existing.hp : newMaxHp);
+  return db.setHpPool(roomId, targetName.trim(), clampHp(newHp, newMaxHp), newMaxHp);
+}
+
+/**
+ * Apply a roll's result to its targets as damage or healing
+ * @param {Object} roll - Stored action roll
+ * @param {Object} action - The action definition the roll was made with
+ * @param {Object} ruleset - The room's ruleset (for rank-based cleanse charges)
+ * @param {Object} options
+ * @param {string[]} [options.targets] - Target names; defaults to the roll's context targets
+ * @param {string} [options.appliedBy]
+ * @returns {Object} The stored application with its changes
+ * @throws {HpPoolError} if the roll cannot be applied to these targets
+ */
+function applyRollToTargets(roll, action, ruleset, { targets, appliedBy = null }) {
+  const kind = APPLY_KINDS[action.subtype];
+  if (action.defense) {
+    throw new HpPoolError(`${action.name} is a defense; resolve attacks against it instead of applying it to HP.`);
+  }
+  if (!kind) {
+    throw new HpPoolError(`${action.name} rolls are not damage or healing and cannot be applied to HP.`);
+  }
+  if (targets !== undefined && (!Array.isArray(targets) || !targets.every(t => typeof t === 'string' && t.trim() !== ''))) {
+    throw new HpPoolError('Targets must be an array of names.');
+  }
+
+  const names = targets !== undefined ? [...new Set(targets.map(t => t.trim()))] : getRollTargets(roll);
+  if (names.length === 0) {
+    throw new HpPoolError('The roll has no targets to apply it to.');
+  }
+
+  const context = (roll.rollDetails && roll.rollDetails.context) || { claimed: [] };
+  const hasAoeDivisor = (action.calculableFormula.modifiers || []).some(modifier => modifier.type === 'aoe_divisor');
+  if (names.length > 1 && hasAoeDivisor && !context.claimed.includes('aoe')) {
+    throw new HpPoolError(`${action.name} must be rolled as AoE to apply to more than one target.`);
+  }
+
+  const existing = db.getActiveHpApplicationForRoll(roll.id);
+  if (existing) {
+    throw new HpPoolError('This roll has already been applied. Undo it first.', 409);
+  }
+
+  const pools = names.map(name => db.getHpPool(roll.roomId, name));
+  const missing = names.filter((name, index) => !pools[index]);
+  if (missing.length > 0) {
+    throw new HpPoolError(`No HP pool for ${missing.join(', ')}.`);
+  }
+
+  const changes = pools.map(pool => {
+    const bonusHealing = kind === 'heal' ? getUnusedCleanseHealing(roll, action, ruleset, pool.targetName) : 0;
+    const resolution = kind === 'damage' ? db.getActiveDefenseResolution(roll.id, pool.targetName) : null;
+    const amount = resolution ? resolution.finalDamage : roll.result + bonusHealing;
+    const hpAfter = clampHp(kind === 'damage' ? pool.hp - amount : pool.hp + amount, pool.maxHp);
+    db.setHpPool(roll.roomId, pool.targetName, hpAfter, pool.maxHp);
+    const change = { targetName: pool.targetName, amount, hpBefore: pool.hp, hpAfter };
+    if (bonusHealing > 0) {
+      change.unusedCleanseHealing = bonusHealing;
+    }
+    if (resolution) {
+      change.defenseResolutionId = resolution.id;
+    }
+    return change;
+  });
+
+  return db.addHpApplication(crypto.randomUUID(), roll.roomId, roll.id, kind, changes, appliedBy);
+}
+
+/**
+ * Revert the HP changes of an application
+ * @throws {HpPoolError} if it does not exist in the room or was already undone
+ */
+function undoHpApplication(roomId, applicationId, undoneBy = null) {
+  const application = db.getHpApplicationById(applicationId);
+  if (!application || application.roomId !== roomId) {
+    throw new HpPoolError('HP application not found', 404);
+  }
+  if (application.undoneAt) {
+    throw new HpPoolError('This application has already been undone.', 409);
+  }
+
+  for (const change of application.changes) {
+    const pool = db.getHpPool(roomId, change.targetName);
+    if (pool) {
+      db.setHpPool(roomId, pool.targetName, clampHp(pool.hp - (change.hpAfter - change.hpBefore), pool.maxHp), pool.maxHp);
+    }
+  }
+  db.markHpApplicationUndone(applicationId, undoneBy);
+  return db.getHpApplicationById(applicationId);
+}
+
+module.exports = {
+  HpPoolError,
+  setHpPool,
+  applyRollToTargets,
+  undoHpApplication
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  version: 11,
+  up: (db) => {
+    const columns = db.prepare(`PRAGMA table_info(rolls)`).all();
+    if (!columns.some(col => col.name === 'signature')) {
+      db.exec(`ALTER TABLE rolls ADD COLUMN signature TEXT`);
+      console.log("Added 'signature' column to 'rolls' table.");
+    }
+
+    // Server seeds for commit-reveal: the hash is published while the seed is in use,
+    // the seed itself is only revealed once the room rotates to a new one.
+    const createRoomSeedsTable = `
+      CREATE TABLE IF NOT EXISTS room_seeds (
+        id TEXT PRIMARY KEY,
+        roomId TEXT NOT NULL,
+        seed TEXT NOT NULL,
+        seedHash TEXT NOT NULL UNIQUE,
+        nonce INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL,
+        revealedAt TEXT,
+        FOREIGN KEY (roomId) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+    `;
+    db.exec(createRoomSeedsTable);
+    console.log("Table 'room_seeds' created or already exists.");
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_room_seeds_roomid ON room_seeds(roomId);`);
+    console.log("Index 'idx_room_seeds_roomid' created or already exists.");
+  },
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  version: 12,
+  up: (db) => {
+    // A reroll is stored as its own roll that references the roll it replaces
+    const columns = db.prepare(`PRAGMA table_info(rolls)`).all();
+    if (!columns.some(col => col.name === 'rerollOf')) {
+      db.exec(`ALTER TABLE rolls ADD COLUMN rerollOf TEXT REFERENCES rolls(id)`);
+      console.log("Added 'rerollOf' column to 'rolls' table.");
+    }
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_rolls_rerollof ON rolls(rerollOf);`);
+    console.log("Index 'idx_rolls_rerollof' created or already exists.");
+  },
+};
@@ -0,0 +1,25 @@
+module.exports = {
+  version: 13,
+  up: (db) => {
+    // Room-scoped homebrew actions; the definition column holds the action JSON
+    // (category, description, rollFormula, calculableFormula, ...) like an entry of ACTIONS
+    const createCustomActionsTable = `
+      CREATE TABLE IF NOT EXISTS custom_actions (
+        id TEXT PRIMARY KEY,
+        roomId TEXT NOT NULL,
+        name TEXT NOT NULL,
+        definition TEXT NOT NULL,
+        createdBy TEXT,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL,
+        FOREIGN KEY (roomId) REFERENCES rooms(id) ON DELETE CASCADE,
+        UNIQUE (roomId, name)
+      );
+    `;
+    db.exec(createCustomActionsTable);
+    console.log("Table 'custom_actions' created or already exists.");
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_custom_actions_roomid ON custom_actions(roomId);`);
+    console.log("Index 'idx_custom_actions_roomid' created or already exists.");
+  },
+};
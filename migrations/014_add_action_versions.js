@@ -0,0 +1,29 @@
+module.exports = {
+  version: 14,
+  up: (db) => {
+    // Content-addressed snapshots of action definitions. scope is 'builtin' for actions.js
+    // entries and the room id for custom actions; rolls reference the hash they used.
+    const createActionVersionsTable = `
+      CREATE TABLE IF NOT EXISTS action_versions (
+        id TEXT PRIMARY KEY,
+        scope TEXT NOT NULL,
+        actionName TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        definition TEXT NOT NULL,
+        createdAt TEXT NOT NULL
+      );
+    `;
+    db.exec(createActionVersionsTable);
+    console.log("Table 'action_versions' created or already exists.");
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_action_versions_hash ON action_versions(hash);`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_action_versions_scope_name ON action_versions(scope, actionName);`);
+    console.log("Indexes on 'action_versions' created or already exist.");
+
+    const columns = db.prepare(`PRAGMA table_info(rolls)`).all();
+    if (!columns.some(col => col.name === 'actionHash')) {
+      db.exec(`ALTER TABLE rolls ADD COLUMN actionHash TEXT`);
+      console.log("Added 'actionHash' column to 'rolls' table.");
+    }
+  },
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  version: 15,
+  up: (db) => {
+    // 'client' trusts the ranks sent with a roll, 'terrarp' derives them from the participant
+    const columns = db.prepare(`PRAGMA table_info(rooms)`).all();
+    if (!columns.some(col => col.name === 'rank_source')) {
+      db.exec(`ALTER TABLE rooms ADD COLUMN rank_source TEXT NOT NULL DEFAULT 'client'`);
+      console.log("Added 'rank_source' column to 'rooms' table.");
+    }
+  },
+};
@@ -0,0 +1,17 @@
+module.exports = {
+  version: 16,
+  up: (db) => {
+    // Every room plays with one ruleset (see rulesets.js); existing rooms keep the TerraRP rules
+    const columns = db.prepare(`PRAGMA table_info(rooms)`).all();
+    if (!columns.some(col => col.name === 'ruleset')) {
+      db.exec(`ALTER TABLE rooms ADD COLUMN ruleset TEXT NOT NULL DEFAULT 'terrarp'`);
+      console.log("Added 'ruleset' column to 'rooms' table.");
+    }
+
+    // Built-in action versions are now recorded per ruleset
+    const moved = db.prepare(`UPDATE action_versions SET scope = 'ruleset:terrarp' WHERE scope = 'builtin'`).run();
+    if (moved.changes > 0) {
+      console.log(`Moved ${moved.changes} built-in action versions to the 'terrarp' ruleset.`);
+    }
+  },
+};
@@ -0,0 +1,32 @@
+module.exports = {
+  version: 17,
+  up: (db) => {
+    // Status effects on participants of a room ([Protected], Vulnerability, curable conditions).
+    // Ended effects are kept with endedAt/endReason so the room has a history of them.
+    const createStatusEffectsTable = `
+      CREATE TABLE IF NOT EXISTS status_effects (
+        id TEXT PRIMARY KEY,
+        roomId TEXT NOT NULL,
+        targetName TEXT NOT NULL,
+        effect TEXT NOT NULL,
+        name TEXT NOT NULL,
+        stacks INTEGER NOT NULL DEFAULT 1,
+        maxStacks INTEGER NOT NULL DEFAULT 1,
+        cleansable INTEGER NOT NULL DEFAULT 0,
+        roundsRemaining INTEGER,
+        appliedBy TEXT,
+        sourceRollId TEXT,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL,
+        endedAt TEXT,
+        endReason TEXT,
+        FOREIGN KEY (roomId) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+    `;
+    db.exec(createStatusEffectsTable);
+    console.log("Table 'status_effects' created or already exists.");
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_status_effects_roomid ON status_effects(roomId, endedAt);`);
+    console.log("Index 'idx_status_effects_roomid' created or already exists.");
+  },
+};
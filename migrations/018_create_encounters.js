@@ -0,0 +1,49 @@
+module.exports = {
+  version: 18,
+  up: (db) => {
+    // Encounters inside a room: ordered combatants, a round counter and whose turn it is
+    // (turnIndex into the combatants ordered by position). At most one is active per room.
+    const createEncountersTable = `
+      CREATE TABLE IF NOT EXISTS encounters (
+        id TEXT PRIMARY KEY,
+        roomId TEXT NOT NULL,
+        name TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        round INTEGER NOT NULL DEFAULT 1,
+        turnIndex INTEGER NOT NULL DEFAULT 0,
+        createdBy TEXT,
+        startedAt TEXT NOT NULL,
+        endedAt TEXT,
+        FOREIGN KEY (roomId) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+    `;
+    db.exec(createEncountersTable);
+    console.log("Table 'encounters' created or already exists.");
+
+    const createCombatantsTable = `
+      CREATE TABLE IF NOT EXISTS encounter_combatants (
+        id TEXT PRIMARY KEY,
+        encounterId TEXT NOT NULL,
+        name TEXT NOT NULL,
+        initiative INTEGER,
+        position INTEGER NOT NULL,
+        FOREIGN KEY (encounterId) REFERENCES encounters(id) ON DELETE CASCADE
+      );
+    `;
+    db.exec(createCombatantsTable);
+    console.log("Table 'encounter_combatants' created or already exists.");
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_encounters_roomid ON encounters(roomId, status);`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_encounter_combatants_encounterid ON encounter_combatants(encounterId, position);`);
+    console.log("Encounter indexes created or already exist.");
+
+    // Rolls made during an encounter are tagged with it, its round and the turn number
+    const columns = db.prepare(`PRAGMA table_info(rolls)`).all();
+    for (const [name, type] of [['encounterId', 'TEXT'], ['encounterRound', 'INTEGER'], ['encounterTurn', 'INTEGER']]) {
+      if (!columns.some(col => col.name === name)) {
+        db.exec(`ALTER TABLE rolls ADD COLUMN ${name} ${type}`);
+        console.log(`Added '${name}' column to 'rolls' table.`);
+      }
+    }
+  },
+};
@@ -0,0 +1,49 @@
+module.exports = {
+  version: 19,
+  up: (db) => {
+    // HP per target (participant or NPC name) in a room
+    const createHpPoolsTable = `
+      CREATE TABLE IF NOT EXISTS hp_pools (
+        roomId TEXT NOT NULL,
+        targetName TEXT NOT NULL,
+        hp INTEGER NOT NULL,
+        maxHp INTEGER NOT NULL,
+        updatedAt TEXT NOT NULL,
+        PRIMARY KEY (roomId, targetName),
+        FOREIGN KEY (roomId) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+    `;
+    db.exec(createHpPoolsTable);
+    console.log("Table 'hp_pools' created or already exists.");
+
+    // Roll results applied as damage or healing; changes holds the JSON list of
+    // { targetName, amount, hpBefore, hpAfter } so an application can be undone
+    const createHpApplicationsTable = `
+      CREATE TABLE IF NOT EXISTS hp_applications (
+        id TEXT PRIMARY KEY,
+        roomId TEXT NOT NULL,
+        rollId TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        appliedBy TEXT,
+        createdAt TEXT NOT NULL,
+        undoneAt TEXT,
+        undoneBy TEXT,
+        FOREIGN KEY (roomId) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+    `;
+    db.exec(createHpApplicationsTable);
+    console.log("Table 'hp_applications' created or already exists.");
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_hp_applications_roomid ON hp_applications(roomId, createdAt);`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_hp_applications_rollid ON hp_applications(rollId);`);
+    console.log("HP application indexes created or already exist.");
+
+    // Which roll cleansed a status effect, so heals can count unused cleanse charges
+    const columns = db.prepare(`PRAGMA table_info(status_effects)`).all();
+    if (!columns.some(col => col.name === 'endedByRollId')) {
+      db.exec(`ALTER TABLE status_effects ADD COLUMN endedByRollId TEXT`);
+      console.log("Added 'endedByRollId' column to 'status_effects' table.");
+    }
+  },
+};
@@ -0,0 +1,36 @@
+module.exports = {
+  version: 20,
+  up: (db) => {
+    // NPCs and enemies the GM controls in a room; stats holds free-form JSON (e.g. { "STR": 3 })
+    const createNpcsTable = `
+      CREATE TABLE IF NOT EXISTS npcs (
+        id TEXT PRIMARY KEY,
+        roomId TEXT NOT NULL,
+        name TEXT NOT NULL,
+        weaponRank TEXT NOT NULL,
+        masteryRank TEXT NOT NULL,
+        armorRank TEXT,
+        armorType TEXT,
+        avatarUrl TEXT,
+        stats TEXT,
+        createdBy TEXT,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL,
+        UNIQUE (roomId, name),
+        FOREIGN KEY (roomId) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+    `;
+    db.exec(createNpcsTable);
+    console.log("Table 'npcs' created or already exists.");
+
+    // Rolls made as an NPC are attributed to it (userName is the NPC's name);
+    // rolledBy records who actually rolled
+    const columns = db.prepare(`PRAGMA table_info(rolls)`).all();
+    for (const name of ['npcId', 'rolledBy']) {
+      if (!columns.some(col => col.name === name)) {
+        db.exec(`ALTER TABLE rolls ADD COLUMN ${name} TEXT`);
+        console.log(`Added '${name}' column to 'rolls' table.`);
+      }
+    }
+  },
+};
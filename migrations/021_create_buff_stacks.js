@@ -0,0 +1,31 @@
+module.exports = {
+  version: 21,
+  up: (db) => {
+    // Buff stacks handed out by buff rolls (Buff, Power Buff). Each stack adds its value to one
+    // later action roll of its target in one of the categories in appliesTo (a JSON array, null
+    // for every category); status is 'active', 'consumed' or 'expired'.
+    const createBuffStacksTable = `
+      CREATE TABLE IF NOT EXISTS buff_stacks (
+        id TEXT PRIMARY KEY,
+        roomId TEXT NOT NULL,
+        targetName TEXT NOT NULL,
+        value INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        actionName TEXT NOT NULL,
+        sourceRollId TEXT NOT NULL,
+        appliesTo TEXT,
+        roundsRemaining INTEGER,
+        status TEXT NOT NULL DEFAULT 'active',
+        consumedByRollId TEXT,
+        createdAt TEXT NOT NULL,
+        endedAt TEXT,
+        FOREIGN KEY (roomId) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+    `;
+    db.exec(createBuffStacksTable);
+    console.log("Table 'buff_stacks' created or already exists.");
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_buff_stacks_target ON buff_stacks(roomId, targetName, status);`);
+    console.log("Buff stack indexes created or already exist.");
+  },
+};
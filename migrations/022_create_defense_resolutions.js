@@ -0,0 +1,31 @@
+module.exports = {
+  version: 22,
+  up: (db) => {
+    // An attack roll resolved against one target's defenses. defenses holds the JSON list of
+    // defensive rolls used ({ rollId, kind, mitigation, ... }), breakdown the full calculation
+    // from incoming to final damage.
+    const createDefenseResolutionsTable = `
+      CREATE TABLE IF NOT EXISTS defense_resolutions (
+        id TEXT PRIMARY KEY,
+        roomId TEXT NOT NULL,
+        attackRollId TEXT NOT NULL,
+        targetName TEXT NOT NULL,
+        incomingDamage INTEGER NOT NULL,
+        finalDamage INTEGER NOT NULL,
+        defenses TEXT NOT NULL,
+        breakdown TEXT NOT NULL,
+        resolvedBy TEXT,
+        createdAt TEXT NOT NULL,
+        undoneAt TEXT,
+        undoneBy TEXT,
+        FOREIGN KEY (roomId) REFERENCES rooms(id) ON DELETE CASCADE
+      );
+    `;
+    db.exec(createDefenseResolutionsTable);
+    console.log("Table 'defense_resolutions' created or already exists.");
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_defense_resolutions_roomid ON defense_resolutions(roomId, createdAt);`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_defense_resolutions_attack ON defense_resolutions(attackRollId, targetName);`);
+    console.log("Defense resolution indexes created or already exist.");
+  },
+};
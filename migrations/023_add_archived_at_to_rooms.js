@@ -0,0 +1,11 @@
+module.exports = {
+  version: 23,
+  up: (db) => {
+    // Archived rooms are read-only; NULL means the room is open
+    const columns = db.prepare(`PRAGMA table_info(rooms)`).all();
+    if (!columns.some(col => col.name === 'archived_at')) {
+      db.exec(`ALTER TABLE rooms ADD COLUMN archived_at TEXT`);
+      console.log("Added 'archived_at' column to 'rooms' table.");
+    }
+  },
+};
@@ -0,0 +1,24 @@
+const { hashRoomCodeSync } = require('../room-codes');
+
+module.exports = {
+  version: 24,
+  up: (db) => {
+    // Rooms with a code are private; the code is only kept as a salted hash
+    const columns = db.prepare(`PRAGMA table_info(rooms)`).all();
+    if (!columns.some(col => col.name === 'room_code_hash')) {
+      db.exec(`ALTER TABLE rooms ADD COLUMN room_code_hash TEXT`);
+      console.log("Added 'room_code_hash' column to 'rooms' table.");
+    }
+
+    // Hash codes stored in plain text before rooms could be private
+    const rooms = db.prepare(`SELECT id, room_code FROM rooms WHERE room_code IS NOT NULL AND TRIM(room_code) != ''`).all();
+    const hashCode = db.prepare(`UPDATE rooms SET room_code_hash = ?, room_code = NULL WHERE id = ?`);
+    for (const room of rooms) {
+      hashCode.run(hashRoomCodeSync(room.room_code), room.id);
+    }
+    db.prepare(`UPDATE rooms SET room_code = NULL WHERE room_code IS NOT NULL`).run();
+    if (rooms.length > 0) {
+      console.log(`Hashed the room codes of ${rooms.length} room(s).`);
+    }
+  },
+};
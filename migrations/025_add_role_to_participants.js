@@ -0,0 +1,31 @@
+module.exports = {
+  version: 25,
+  up: (db) => {
+    // A participant's role in the room: 'gm', 'player' or 'spectator'
+    const columns = db.prepare(`PRAGMA table_info(participants)`).all();
+    if (!columns.some(col => col.name === 'role')) {
+      db.exec(`ALTER TABLE participants ADD COLUMN role TEXT NOT NULL DEFAULT 'player'`);
+      console.log("Added 'role' column to 'participants' table.");
+    }
+
+    // SHA-256 hash of the token a participant got when joining; requests and sockets act as a
+    // participant by presenting it. Participants from before tokens have none until the GM
+    // issues them one or they claim their name with the room code.
+    if (!columns.some(col => col.name === 'tokenHash')) {
+      db.exec(`ALTER TABLE participants ADD COLUMN tokenHash TEXT`);
+      console.log("Added 'tokenHash' column to 'participants' table.");
+    }
+    db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_participants_token_hash ON participants(tokenHash)`);
+
+    // Room creators who already joined their room are its GM
+    db.exec(`
+      UPDATE participants SET role = 'gm'
+      WHERE EXISTS (
+        SELECT 1 FROM rooms
+        WHERE rooms.id = participants.roomId
+          AND (rooms.creator_name = participants.name
+            OR (rooms.creator_terrarp_id IS NOT NULL AND rooms.creator_terrarp_id = participants.terraRPUserId))
+      )
+    `);
+  },
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  version: 26,
+  up: (db) => {
+    // Room rule settings as JSON (allowed actions and categories, plain dice, bonus and rank caps);
+    // NULL means the defaults
+    const columns = db.prepare(`PRAGMA table_info(rooms)`).all();
+    if (!columns.some(col => col.name === 'settings')) {
+      db.exec(`ALTER TABLE rooms ADD COLUMN settings TEXT`);
+      console.log("Added 'settings' column to 'rooms' table.");
+    }
+  },
+};
@@ -0,0 +1,461 @@
+// Modifier registry for action formulas
+// Each modifier type declares the parameters it accepts (used to validate action definitions)
+// and its implementation. FormulaCalculator.applyModifier dispatches through this registry.
+//
+// Parameter types:
+//   number, string, boolean - plain values
+//   rankMap                 - object keyed by rank letter with number values, e.g. { D: 30, S: 50 }
+//   dice                    - { count, sides } with positive integers, within the dice notation
+//                             limits (100 dice, 1000 sides)
+//
+// An implementation receives (modifier, state, calculator) where state holds
+//   currentResult, allRolls, diceRollsByConfig (kept rolls per calculableFormula.dice entry),
+//   weaponRank, masteryRank, otherBonuses, allNaturalDiceRolls, critical (the action's critical policy), criticalAlreadyApplied (true when a critical
+//   multiplier was applied and the stacking rule forbids another) and context (the normalized roll context)
+// and returns { result, details, multiplier, value } plus optional explosionRolls,
+// explosionTree, hasCriticalHit, criticalTriggered and succeeded. Modifiers registered with
+// reportsSuccess: true decide whether the roll succeeded (rollDetails.succeeded), which
+// action status effects can depend on.
+//
+// Modifiers registered with phase: 'dice' run while a dice group is rolled, before
+// keep highest/lowest, through applyToDice(modifier, rolls, sides, calculator), which
+// returns { rolls, rerolled }. They are skipped when the running total is modified.
+
+const modifierRegistry = new Map();
+
+/**
+ * Register a modifier type
+ * @param {string} type
+ * @param {Object} definition
+ * @param {Object} definition.params - Parameter schema: { name: { type, required } }
+ * @param {Function} [definition.apply] - Implementation (modifier, state, calculator) => result
+ * @param {string} [definition.phase] - 'result' (default) or 'dice', see above
+ * @param {Function} [definition.applyToDice] - Dice phase implementation
+ * @param {Function} [definition.validate] - Extra checks (modifier, calculableFormula) returning a list of error messages
+ * @param {boolean|Function} [definition.deterministic] - Whether the result only depends on the
+ *   running total (so distributions can be computed exactly); a function receives (modifier, { otherBonuses })
+ * @param {boolean} [definition.reportsSuccess] - Whether apply returns `succeeded`
+ */
+function registerModifier(type, definition) {
+  if (modifierRegistry.has(type)) {
+    throw new Error(`Modifier type '${type}' is already registered`);
+  }
+  modifierRegistry.set(type, { deterministic: false, phase: 'result', reportsSuccess: false, validate: () => [], ...definition, type });
+}
+
+function getModifier(type) {
+  return modifierRegistry.get(type) || null;
+}
+
+function getModifierTypes() {
+  return [...modifierRegistry.keys()];
+}
+
+/**
+ * Whether a modifier applies to the calculableFormula.dice entry at diceGroup
+ * (modifiers without a diceGroup apply to every group)
+ */
+function appliesToDiceGroup(modifier, diceGroup) {
+  return modifier.diceGroup === undefined || modifier.diceGroup === diceGroup;
+}
+
+/**
+ * Whether a modifier's result only depends on the running total
+ */
+function isDeterministicModifier(modifier, otherBonuses = 0) {
+  const definition = getModifier(modifier.type);
+  if (!definition) {
+    return false;
+  }
+  return typeof definition.deterministic === 'function'
+    ? definition.deterministic(modifier, { otherBonuses })
+    : definition.deterministic;
+}
+
+function unchanged(currentResult, details) {
+  return {
+    result: currentResult,
+    details,
+    multiplier: 1,
+    value: 0
+  };
+}
+
+// Validate an optional diceGroup index against the action's dice
+function checkDiceGroup(modifier, formula) {
+  if (modifier.diceGroup === undefined) {
+    return [];
+  }
+  const groupCount = formula && Array.isArray(formula.dice) ? formula.dice.length : 0;
+  if (!Number.isInteger(modifier.diceGroup) || modifier.diceGroup < 0 || modifier.diceGroup >= groupCount) {
+    return [`'diceGroup' must be an index into calculableFormula.dice (0-${groupCount - 1})`];
+  }
+  return [];
+}
+
+// --- Built-in modifiers ---
+
+registerModifier('multiplier', {
+  params: {
+    baseMultiplier: { type: 'number', required: true }
+  },
+  deterministic: true,
+  apply(modifier, { currentResult }) {
+    return {
+      result: currentResult * modifier.baseMultiplier,
+      details: `Base multiplier ${modifier.baseMultiplier}x`,
+      multiplier: modifier.baseMultiplier,
+      value: 0
+    };
+  }
+});
+
+// A critical multiplier: stacking with other criticals follows the action's critical policy
+registerModifier('threshold_multiplier', {
+  params: {
+    threshold: { type: 'number', required: true },
+    multiplier: { type: 'number' },
+    multiplierByRank: { type: 'rankMap' },
+    check: { type: 'string' } // 'total' (default) or 'natural' for the highest natural die
+  },
+  validate(modifier) {
+    const errors = [];
+    if (modifier.multiplier === undefined && modifier.multiplierByRank === undefined) {
+      errors.push("requires 'multiplier' or 'multiplierByRank'");
+    }
+    if (modifier.check !== undefined && !['total', 'natural'].includes(modifier.check)) {
+      errors.push("'check' must be 'total' or 'natural'");
+    }
+    return errors;
+  },
+  deterministic: modifier => modifier.check !== 'natural',
+  apply(modifier, { currentResult, masteryRank, allNaturalDiceRolls, criticalAlreadyApplied }, calculator) {
+    // Skip if a critical multiplier was already applied (prevent stacking)
+    if (criticalAlreadyApplied) {
+      return unchanged(currentResult, `Critical already applied`);
+    }
+
+    // Natural checks use the highest natural die instead of the running total
+    const checksNatural = modifier.check === 'natural';
+    let checkValue = currentResult;
+    if (checksNatural) {
+      checkValue = allNaturalDiceRolls.length > 0 ? Math.max(...allNaturalDiceRolls) : 0;
+    }
+
+    if (checkValue >= modifier.threshold) {
+      const multiplier = modifier.multiplierByRank
+        ? calculator.getRankValue(modifier.multiplierByRank, masteryRank)
+        : modifier.multiplier;
+      return {
+        result: currentResult * multiplier,
+        details: checksNatural ? `Natural ${checkValue} Critical` : `${masteryRank} Critical`,
+        multiplier: multiplier,
+        value: 0,
+        criticalTriggered: true // Flag to prevent stacking
+      };
+    }
+    return unchanged(currentResult, `Threshold ${modifier.threshold} not met`);
+  }
+});
+
+registerModifier('success_bonus', {
+  params: {
+    threshold: { type: 'number', required: true },
+    successBonusByRank: { type: 'rankMap', required: true },
+    failureBonus: { type: 'number' }
+  },
+  deterministic: true,
+  reportsSuccess: true,
+  apply(modifier, { currentResult, masteryRank }, calculator) {
+    if (currentResult >= modifier.threshold) {
+      const bonus = calculator.getRankValue(modifier.successBonusByRank, masteryRank);
+      return {
+        result: currentResult + bonus,
+        details: `Success bonus`,
+        multiplier: 1,
+        value: bonus,
+        succeeded: true
+      };
+    } else if (modifier.failureBonus) {
+      return {
+        result: currentResult + modifier.failureBonus,
+        details: `Consolation bonus`,
+        multiplier: 1,
+        value: modifier.failureBonus,
+        succeeded: false
+      };
+    }
+    return { ...unchanged(currentResult, `Failed threshold ${modifier.threshold}`), succeeded: false };
+  }
+});
+
+const EXPLOSION_MODES = ['standard', 'compound', 'penetrating'];
+const DEFAULT_MAX_CHAIN = 10;
+const MAX_CHAIN_LIMIT = 100;
+const MAX_EXPLOSION_ROLLS = 1000; // Extra rolls per roll, however many dice explode
+
+// Explosions roll extraDice for every die at or above the threshold, and again for every
+// extra roll that meets it, one wave at a time up to maxChain waves and MAX_EXPLOSION_ROLLS rolls.
+//   standard    - each extra roll is added to the total
+//   compound    - extra rolls are folded into the die that started the chain
+//   penetrating - each extra roll counts one less than rolled (but explodes on the natural roll)
+// The explosion tree records which die triggered which extra roll.
+registerModifier('explosion', {
+  params: {
+    threshold: { type: 'number', required: true },
+    chance: { type: 'number' }, // Informational only, shown in the rules text
+    extraDice: { type: 'dice', required: true },
+    diceGroup: { type: 'number' }, // Index into calculableFormula.dice, all groups when omitted
+    mode: { type: 'string' },
+    maxChain: { type: 'number' }
+  },
+  validate(modifier, formula) {
+    const errors = [];
+    if (modifier.mode !== undefined && !EXPLOSION_MODES.includes(modifier.mode)) {
+      errors.push(`'mode' must be one of ${EXPLOSION_MODES.join(', ')}`);
+    }
+    if (modifier.maxChain !== undefined &&
+        (!Number.isInteger(modifier.maxChain) || modifier.maxChain < 1 || modifier.maxChain > MAX_CHAIN_LIMIT)) {
+      errors.push(`'maxChain' must be an integer between 1 and ${MAX_CHAIN_LIMIT}`);
+    }
+    // Every die rolls at least 1, so a threshold of 1 or less explodes on every extra roll
+    if (modifier.threshold <= 1) {
+      errors.push(`'threshold' ${modifier.threshold} would explode on every face of extraDice`);
+    }
+    errors.push(...checkDiceGroup(modifier, formula));
+    return errors;
+  },
+  apply(modifier, { currentResult, allRolls, diceRollsByConfig }, calculator) {
+    const mode = modifier.mode || 'standard';
+    const maxChain = modifier.maxChain || DEFAULT_MAX_CHAIN;
+    const explodes = roll => roll >= modifier.threshold;
+
+    // Dice that can start a chain, with their position for the explosion tree
+    const candidates = [];
+    if (diceRollsByConfig.length > 0) {
+      diceRollsByConfig.forEach((rolls, diceGroup) => {
+        if (appliesToDiceGroup(modifier, diceGroup)) {
+          rolls.forEach((roll, dieIndex) => candidates.push({ diceGroup, dieIndex, roll }));
+        }
+      });
+    } else {
+      allRolls.forEach((roll, dieIndex) => candidates.push({ diceGroup: null, dieIndex, roll }));
+    }
+
+    const explosionTree = candidates
+      .filter(candidate => explodes(candidate.roll))
+      .map(candidate => ({ ...candidate, added: 0, explosions: [] }));
+    if (explosionTree.length === 0) {
+      return unchanged(currentResult, `No explosions`);
+    }
+
+    // Roll wave by wave so the draw order is the same for every mode
+    let wave = explosionTree.map(root => ({ root, node: root }));
+    let totalTriggers = wave.length;
+    let extraRolls = 0;
+    for (let depth = 1; depth <= maxChain && wave.length > 0 && extraRolls < MAX_EXPLOSION_ROLLS; depth++) {
+      const nextWave = [];
+      for (const { root, node } of wave) {
+        for (let i = 0; i < modifier.extraDice.count && extraRolls < MAX_EXPLOSION_ROLLS; i++) {
+          extraRolls++;
+          const roll = calculator.rollDie(modifier.extraDice.sides);
+          const value = mode === 'penetrating' ? roll - 1 : roll;
+          const child = { roll, value, explosions: [] };
+          node.explosions.push(child);
+          root.added += value;
+          if (explodes(roll)) {
+            totalTriggers++;
+            nextWave.push({ root, node: child });
+          }
+        }
+      }
+      wave = nextWave;
+    }
+    const rollsCapped = extraRolls >= MAX_EXPLOSION_ROLLS;
+    const chainCapped = !rollsCapped && wave.length > 0;
+
+    // Flat list of what was added, in roll order (per chain for compound explosions)
+    const explosionRolls = [];
+    if (mode === 'compound') {
+      explosionRolls.push(...explosionTree.map(root => root.added));
+    } else {
+      let level = explosionTree.flatMap(root => root.explosions);
+      while (level.length > 0) {
+        explosionRolls.push(...level.map(node => node.value));
+        level = level.flatMap(node => node.explosions);
+      }
+    }
+    const explosionTotal = explosionTree.reduce((sum, root) => sum + root.added, 0);
+
+    const label = mode === 'standard' ? 'explosions' : `${mode} explosions`;
+    return {
+      result: currentResult + explosionTotal,
+      details: `${totalTriggers} ${label}${chainCapped ? ` (capped at ${maxChain})` : ''}${rollsCapped ? ` (capped at ${MAX_EXPLOSION_ROLLS} rolls)` : ''}`,
+      multiplier: 1,
+      value: explosionTotal,
+      explosionRolls,
+      explosionTree
+    };
+  }
+});
+
+const REROLL_MODES = ['once', 'until'];
+const DEFAULT_MAX_REROLLS = 100;
+const MAX_REROLLS_LIMIT = 100;
+
+// Rerolls dice at or below the threshold, e.g. "reroll 1s" is { threshold: 1 }.
+//   once  - a die is rerolled a single time and the new roll stands
+//   until - a die is rerolled until it rolls above the threshold (capped at maxRerolls)
+registerModifier('reroll', {
+  params: {
+    threshold: { type: 'number', required: true },
+    mode: { type: 'string' },
+    diceGroup: { type: 'number' }, // Index into calculableFormula.dice, all groups when omitted
+    maxRerolls: { type: 'number' }
+  },
+  phase: 'dice',
+  validate(modifier, formula) {
+    const errors = [];
+    if (modifier.mode !== undefined && !REROLL_MODES.includes(modifier.mode)) {
+      errors.push(`'mode' must be one of ${REROLL_MODES.join(', ')}`);
+    }
+    if (modifier.maxRerolls !== undefined &&
+        (!Number.isInteger(modifier.maxRerolls) || modifier.maxRerolls < 1 || modifier.maxRerolls > MAX_REROLLS_LIMIT)) {
+      errors.push(`'maxRerolls' must be an integer between 1 and ${MAX_REROLLS_LIMIT}`);
+    }
+    errors.push(...checkDiceGroup(modifier, formula));
+    if (modifier.mode === 'until' && errors.length === 0 && formula && Array.isArray(formula.dice)) {
+      formula.dice.forEach((diceConfig, diceGroup) => {
+        if (appliesToDiceGroup(modifier, diceGroup) && diceConfig && modifier.threshold >= diceConfig.sides) {
+          errors.push(`'threshold' ${modifier.threshold} would reroll every face of dice[${diceGroup}] (d${diceConfig.sides})`);
+        }
+      });
+    }
+    return errors;
+  },
+  applyToDice(modifier, rolls, sides, calculator) {
+    const maxRerolls = modifier.mode === 'until' ? (modifier.maxRerolls || DEFAULT_MAX_REROLLS) : 1;
+    const rerolled = [];
+    const newRolls = rolls.map(roll => {
+      let remaining = maxRerolls;
+      while (remaining > 0 && roll <= modifier.threshold) {
+        rerolled.push(roll);
+        roll = calculator.rollDie(sides);
+        remaining--;
+      }
+      return roll;
+    });
+    return { rolls: newRolls, rerolled };
+  }
+});
+
+registerModifier('divisor', {
+  params: {
+    divisor: { type: 'number', required: true }
+  },
+  validate(modifier) {
+    return modifier.divisor === 0 ? ["'divisor' cannot be 0"] : [];
+  },
+  deterministic: true,
+  apply(modifier, { currentResult }) {
+    return {
+      result: Math.floor(currentResult / modifier.divisor),
+      details: `Divided by ${modifier.divisor}`,
+      multiplier: 1 / modifier.divisor,
+      value: 0
+    };
+  }
+});
+
+registerModifier('aoe_divisor', {
+  params: {
+    divisor: { type: 'number', required: true }
+  },
+  validate(modifier) {
+    return modifier.divisor === 0 ? ["'divisor' cannot be 0"] : [];
+  },
+  deterministic: true,
+  apply(modifier, { currentResult, context }) {
+    if (context.claimed.includes('aoe')) {
+      return {
+        result: Math.floor(currentResult / modifier.divisor),
+        details: `AoE divided by ${modifier.divisor}`,
+        multiplier: 1 / modifier.divisor,
+        value: 0
+      };
+    }
+    return unchanged(currentResult, `Single target`);
+  }
+});
+
+const MIN_CONVERSION_RATE = 10;
+
+registerModifier('bonus_conversion', {
+  params: {
+    conversionRate: { type: 'number', required: true },
+    convertToDice: { type: 'dice', required: true }
+  },
+  // The rate bounds how many dice a bonus turns into
+  validate(modifier) {
+    return modifier.conversionRate < MIN_CONVERSION_RATE ? [`'conversionRate' must be at least ${MIN_CONVERSION_RATE}`] : [];
+  },
+  // Only random when there is enough bonus to convert into dice
+  deterministic: (modifier, { otherBonuses }) => Math.floor(otherBonuses / modifier.conversionRate) === 0,
+  apply(modifier, { currentResult, otherBonuses, critical }, calculator) {
+    const convertibleBonuses = Math.floor(otherBonuses / modifier.conversionRate);
+    const extraDice = convertibleBonuses * modifier.convertToDice.count;
+    const leftoverBonus = otherBonuses % modifier.conversionRate;
+
+    if (extraDice > 0) {
+      let extraTotal = 0;
+      const conversionRolls = [];
+      let conversionCriticalHit = false;
+      for (let i = 0; i < extraDice; i++) {
+        const roll = calculator.rollDie(modifier.convertToDice.sides);
+        conversionRolls.push(roll);
+        extraTotal += roll;
+
+        // Converted dice may trigger natural critical hits
+        if (calculator.isCriticalTrigger(modifier.convertToDice.sides, roll, critical)) {
+          conversionCriticalHit = true;
+        }
+      }
+      return {
+        result: currentResult - otherBonuses + extraTotal + leftoverBonus,
+        details: `Converted ${extraDice} dice`,
+        multiplier: 1,
+        value: extraTotal + leftoverBonus - otherBonuses,
+        explosionRolls: conversionRolls,
+        hasCriticalHit: conversionCriticalHit
+      };
+    }
+    return unchanged(currentResult, `No conversion`);
+  }
+});
+
+registerModifier('conditional', {
+  params: {
+    condition: { type: 'string', required: true },
+    value: { type: 'number', required: true }
+  },
+  deterministic: true,
+  apply(modifier, { currentResult, context }) {
+    if (context.claimed.includes(modifier.condition)) {
+      return {
+        result: currentResult + modifier.value,
+        details: `${modifier.condition.charAt(0).toUpperCase()}${modifier.condition.slice(1)}`,
+        multiplier: 1,
+        value: modifier.value
+      };
+    }
+    return unchanged(currentResult, `Conditional not met`);
+  }
+});
+
+module.exports = {
+  registerModifier,
+  getModifier,
+  getModifierTypes,
+  appliesToDiceGroup,
+  isDeterministicModifier
+};
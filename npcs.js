@@ -0,0 +1,184 @@
+// NPCs: enemies and other characters the GM controls in a room
+//
+// An NPC has a name (unique among the room's NPCs and participants), weapon and mastery ranks
+// from the room's ruleset, optional armor, an avatar and free-form stats. Rolling as an NPC
+// attributes the roll to it (userName is the NPC's name, npcId its id) and records who rolled
+// it in rolledBy. Action rolls made as an NPC always use the NPC's ranks.
+//
+// HP pools and status effects refer to targets by name, so an NPC's name cannot change.
+const crypto = require('crypto');
+const db = require('./database');
+const { isValidRank } = require('./rulesets');
+
+const ARMOR_TYPES = ['Light Armor', 'Medium Armor', 'Heavy Armor', 'Armor'];
+const MAX_STATS = 50;
+
+class NpcError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=400] - HTTP status the API responds with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NpcError';
+    this.status = status;
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Stats are a flat object of numbers or short strings, e.g. { "STR": 3, "Element": "Fire" }
+function readStats(stats) {
+  if (typeof stats !== 'object' || stats === null || Array.isArray(stats)) {
+    throw new NpcError('NPC stats must be an object.');
+  }
+  const entries = Object.entries(stats);
+  if (entries.length > MAX_STATS) {
+    throw new NpcError(`NPCs can have at most ${MAX_STATS} stats.`);
+  }
+  for (const [key, value] of entries) {
+    if (key.trim() === '' || !['number', 'string'].includes(typeof value)) {
+      throw new NpcError(`Stat "${key}" must have a number or string value.`);
+    }
+  }
+  return stats;
+}
+
+/**
+ * Validate NPC fields, merging them over an existing NPC for updates
+ * @throws {NpcError}
+ */
+function readNpc(input, ruleset, existing = null) {
+  const npc = { ...existing, ...input };
+  if (typeof npc.name !== 'string' || npc.name.trim() === '') {
+    throw new NpcError('NPC name is required.');
+  }
+  for (const field of ['weaponRank', 'masteryRank']) {
+    if (!isValidRank(ruleset, npc[field])) {
+      throw new NpcError(`${field} must be one of ${ruleset.ranks.join(', ')}.`);
+    }
+  }
+  if (!isBlank(npc.armorRank) && !isValidRank(ruleset, npc.armorRank)) {
+    throw new NpcError(`armorRank must be one of ${ruleset.ranks.join(', ')}.`);
+  }
+  if (!isBlank(npc.armorType) && !ARMOR_TYPES.includes(npc.armorType)) {
+    throw new NpcError(`armorType must be one of ${ARMOR_TYPES.join(', ')}.`);
+  }
+  if (!isBlank(npc.avatarUrl) && typeof npc.avatarUrl !== 'string') {
+    throw new NpcError('avatarUrl must be a string.');
+  }
+  return {
+    name: npc.name.trim(),
+    weaponRank: npc.weaponRank,
+    masteryRank: npc.masteryRank,
+    armorRank: isBlank(npc.armorRank) ? null : npc.armorRank,
+    armorType: isBlank(npc.armorType) ? null : npc.armorType,
+    avatarUrl: isBlank(npc.avatarUrl) ? null : npc.avatarUrl.trim(),
+    stats: npc.stats === undefined ? {} : readStats(npc.stats)
+  };
+}
+
+function getNpcOrThrow(roomId, npcId) {
+  const npc = db.getNpcById(npcId);
+  if (!npc || npc.roomId !== roomId) {
+    throw new NpcError('NPC not found', 404);
+  }
+  return npc;
+}
+
+/**
+ * Add an NPC to a room. { maxHp } also gives it an HP pool.
+ * @throws {NpcError} for invalid fields or a name already used in the room
+ */
+function createNpc(roomId, ruleset, input, createdBy = null) {
+  const npc = readNpc(input, ruleset);
+  if (db.getNpcByName(roomId, npc.name) || db.getParticipantByRoomAndName(roomId, npc.name)) {
+    throw new NpcError(`${npc.name} is already a participant or NPC in this room.`, 409);
+  }
+  if (input.maxHp !== undefined && (!Number.isInteger(input.maxHp) || input.maxHp <= 0)) {
+    throw new NpcError('maxHp must be a positive integer.');
+  }
+
+  const created = db.addNpc(crypto.randomUUID(), roomId, npc, createdBy);
+  if (input.maxHp !== undefined) {
+    db.setHpPool(roomId, created.name, input.maxHp, input.maxHp);
+  }
+  return created;
+}
+
+/**
+ * Update an NPC's ranks, armor, avatar or stats
+ * @throws {NpcError}
+ */
+function updateNpc(roomId, npcId, ruleset, input) {
+  const existing = getNpcOrThrow(roomId, npcId);
+  if (input.name !== undefined && (typeof input.name !== 'string' || input.name.trim() !== existing.name)) {
+    throw new NpcError('NPC names cannot be changed.');
+  }
+  return db.updateNpc(npcId, readNpc(input, ruleset, existing));
+}
+
+/**
+ * Check that an NPC's ranks exist in another ruleset, before its room switches to it
+ * @throws {NpcError}
+ */
+function checkNpcRuleset(npc, ruleset) {
+  readNpc({}, ruleset, npc);
+}
+
+/**
+ * Remove an NPC and its HP pool. Its rolls stay in the history.
+ */
+function deleteNpc(roomId, npcId) {
+  const npc = getNpcOrThrow(roomId, npcId);
+  db.deleteNpc(npc.id);
+  db.deleteHpPool(roomId, npc.name);
+  return npc;
+}
+
+/**
+ * Ranks for an action roll made as an NPC; client-supplied ranks must match the NPC's
+ * @returns {{ weaponRank, masteryRank, rankSources: { weaponRank, masteryRank } }}
+ * @throws {NpcError}
+ */
+function resolveNpcRanks(npc, requested) {
+  const mismatches = [];
+  if (requested.weaponRank && requested.weaponRank !== npc.weaponRank) {
+    mismatches.push(`weapon rank ${requested.weaponRank} (NPC: ${npc.weaponRank})`);
+  }
+  if (requested.masteryRank && requested.masteryRank !== npc.masteryRank) {
+    mismatches.push(`mastery rank ${requested.masteryRank} (NPC: ${npc.masteryRank})`);
+  }
+  if (mismatches.length > 0) {
+    throw new NpcError(`Ranks do not match ${npc.name}: ${mismatches.join(', ')}.`);
+  }
+  return {
+    weaponRank: npc.weaponRank,
+    masteryRank: npc.masteryRank,
+    rankSources: { weaponRank: 'npc', masteryRank: 'npc' }
+  };
+}
+
+/**
+ * Participants and NPCs in one list, each tagged with its kind ('participant' or 'npc')
+ */
+function listRoomCharacters(roomId) {
+  return [
+    ...db.getParticipantsForRoomDbQuery(roomId).map(participant => ({ kind: 'participant', ...participant })),
+    ...db.getNpcsForRoom(roomId).map(npc => ({ kind: 'npc', ...npc }))
+  ];
+}
+
+module.exports = {
+  ARMOR_TYPES,
+  NpcError,
+  getNpcOrThrow,
+  createNpc,
+  updateNpc,
+  checkNpcRuleset,
+  deleteNpc,
+  resolveNpcRanks,
+  listRoomCharacters
+};
@@ -0,0 +1,122 @@
+// Weapon and mastery ranks derived from a participant's stored TerraRP data
+//
+// Rooms choose where action roll ranks come from (rooms.rank_source):
+//   client  - the weaponRank/masteryRank sent with the roll are trusted (default)
+//   terrarp - WR comes from the participant's equipped weapon and MR from the mastery
+//             matching the action's category; client-supplied ranks must agree
+// ENFORCE_TERRARP_RANKS=true applies 'terrarp' to every room.
+// The TerraRP data is what the participant's client sent when joining, so 'terrarp' keeps
+// rolls consistent with that character rather than proving the character is real.
+const { isValidRank } = require('./rulesets');
+
+const RANK_SOURCES = ['client', 'terrarp'];
+
+class RankResolutionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RankResolutionError';
+  }
+}
+
+function getRoomRankSource(room) {
+  if (process.env.ENFORCE_TERRARP_RANKS === 'true') {
+    return 'terrarp';
+  }
+  return RANK_SOURCES.includes(room.rank_source) ? room.rank_source : 'client';
+}
+
+// Masteries come either as { "Offense Mastery": "B" } entries (like equipment) or as { name, rank }
+function readMastery(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+  if (typeof entry.name === 'string' && entry.rank !== undefined) {
+    return { name: entry.name, rank: entry.rank };
+  }
+  const [name] = Object.keys(entry);
+  return name ? { name, rank: entry[name] } : null;
+}
+
+/**
+ * The participant's mastery for an action: the one with the action's category as a word of
+ * its name ("Offense Mastery" for Offense), or the only mastery when there is just one.
+ * Actions without a category have no relevant mastery.
+ */
+function findRelevantMastery(masteries, action) {
+  const category = toWords(action.category || '');
+  if (category === ' ') {
+    return null;
+  }
+  const parsed = (masteries || []).map(readMastery).filter(Boolean);
+  const byCategory = parsed.find(mastery => toWords(mastery.name).includes(category));
+  if (byCategory) {
+    return byCategory;
+  }
+  return parsed.length === 1 ? parsed[0] : null;
+}
+
+// " offense mastery " for "Offense-Mastery", so names can be matched word by word
+function toWords(text) {
+  return ` ${text.toLowerCase().split(/\W+/).filter(Boolean).join(' ')} `;
+}
+
+/**
+ * Resolve the ranks for an action roll
+ * @param {string} rankSource - 'client' or 'terrarp'
+ * @param {Object|null} participant - Participant as returned by db.getParticipantByRoomAndName
+ * @param {Object} action - Action definition being rolled
+ * @param {Object} requested - { weaponRank, masteryRank } sent by the client (either may be missing)
+ * @param {Object} ruleset - The room's ruleset; TerraRP ranks must exist in its rank table
+ * @returns {{ weaponRank, masteryRank, rankSources: { weaponRank, masteryRank } }}
+ * @throws {RankResolutionError} when ranks cannot be derived or disagree with the requested ones
+ */
+function resolveRollRanks(rankSource, participant, action, requested, ruleset) {
+  if (rankSource !== 'terrarp') {
+    return {
+      weaponRank: requested.weaponRank,
+      masteryRank: requested.masteryRank,
+      rankSources: { weaponRank: 'client', masteryRank: 'client' }
+    };
+  }
+
+  if (!participant || !participant.terraRP) {
+    throw new RankResolutionError('This room derives ranks from TerraRP. Join the room with your TerraRP character first.');
+  }
+
+  const weaponRank = participant.terraRP.weapon_rank;
+  if (!isValidRank(ruleset, weaponRank)) {
+    throw new RankResolutionError('No weapon rank found in your TerraRP equipment.');
+  }
+
+  const mastery = findRelevantMastery(participant.terraRP.masteries, action);
+  if (!action.category || !action.category.trim()) {
+    throw new RankResolutionError(`${action.name} has no category to find your mastery rank by.`);
+  }
+  if (!mastery || !isValidRank(ruleset, mastery.rank)) {
+    throw new RankResolutionError(`No ${action.category} mastery rank found in your TerraRP masteries.`);
+  }
+
+  const mismatches = [];
+  if (requested.weaponRank && requested.weaponRank !== weaponRank) {
+    mismatches.push(`weapon rank ${requested.weaponRank} (TerraRP: ${weaponRank})`);
+  }
+  if (requested.masteryRank && requested.masteryRank !== mastery.rank) {
+    mismatches.push(`mastery rank ${requested.masteryRank} (TerraRP: ${mastery.rank})`);
+  }
+  if (mismatches.length > 0) {
+    throw new RankResolutionError(`Ranks do not match your TerraRP character: ${mismatches.join(', ')}.`);
+  }
+
+  return {
+    weaponRank,
+    masteryRank: mastery.rank,
+    rankSources: { weaponRank: 'terrarp:equipment', masteryRank: `terrarp:mastery:${mastery.name}` }
+  };
+}
+
+module.exports = {
+  RANK_SOURCES,
+  RankResolutionError,
+  getRoomRankSource,
+  resolveRollRanks
+};
@@ -0,0 +1,76 @@
+// Random sources for dice rolls
+// Every source exposes nextInt(sides) -> integer in [1, sides] and describe() -> metadata
+// that is stored with the roll in rollDetails.rng.
+const crypto = require('crypto');
+
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Non-replayable source backed directly by crypto.randomInt
+ */
+class CryptoRandomSource {
+  nextInt(sides) {
+    return crypto.randomInt(1, sides + 1);
+  }
+
+  describe() {
+    return { algorithm: 'crypto' };
+  }
+}
+
+/**
+ * Deterministic source: HMAC-SHA256(seed, blockCounter) is used as a keystream and
+ * each die consumes 32-bit words from it, with rejection sampling to avoid modulo bias.
+ * The same seed always produces the same sequence of rolls, so a roll can be replayed
+ * exactly from the seed stored in its rollDetails.
+ */
+class SeededRandomSource {
+  constructor(seed) {
+    if (seed === undefined || seed === null || `${seed}` === '') {
+      throw new Error('SeededRandomSource requires a seed');
+    }
+    this.seed = `${seed}`;
+    this.blockCounter = 0;
+    this.buffer = Buffer.alloc(0);
+    this.offset = 0;
+    this.draws = 0;
+  }
+
+  nextUint32() {
+    if (this.offset + 4 > this.buffer.length) {
+      this.buffer = crypto.createHmac('sha256', this.seed).update(`${this.blockCounter}`).digest();
+      this.blockCounter++;
+      this.offset = 0;
+    }
+    const value = this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  nextInt(sides) {
+    const limit = UINT32_RANGE - (UINT32_RANGE % sides);
+    let value = this.nextUint32();
+    while (value >= limit) {
+      value = this.nextUint32();
+    }
+    this.draws++;
+    return (value % sides) + 1;
+  }
+
+  describe() {
+    return { algorithm: 'hmac-sha256', seed: this.seed, draws: this.draws };
+  }
+}
+
+/**
+ * Generate a fresh seed from the crypto RNG
+ */
+function generateSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+module.exports = {
+  CryptoRandomSource,
+  SeededRandomSource,
+  generateSeed
+};
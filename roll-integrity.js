@@ -0,0 +1,204 @@
+// Roll integrity: HMAC signatures over stored rolls and per-room commit-reveal server seeds
+//
+// Signatures prove a stored roll has not been edited since the server created it.
+// Commit-reveal proves the server did not pick seeds to get a result: each room has a
+// secret server seed whose SHA-256 hash is published up front. Every roll's RNG seed is
+// derived as HMAC-SHA256(serverSeed, "roomId:nonce"). Once the server seed is revealed,
+// anyone can recompute the roll seeds and replay the rolls.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+
+const SIGNING_KEY_PATH = path.join(__dirname, 'data', 'roll-signing.key');
+
+let signingKey = null;
+
+function getSigningKey() {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  if (process.env.ROLL_SIGNING_SECRET) {
+    signingKey = process.env.ROLL_SIGNING_SECRET;
+    return signingKey;
+  }
+
+  // Fall back to a key persisted next to the database so signatures survive restarts
+  if (fs.existsSync(SIGNING_KEY_PATH)) {
+    signingKey = fs.readFileSync(SIGNING_KEY_PATH, 'utf8').trim();
+  } else {
+    console.warn(`ROLL_SIGNING_SECRET is not set. Generating a signing key at ${SIGNING_KEY_PATH}`);
+    signingKey = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(SIGNING_KEY_PATH, signingKey, { mode: 0o600 });
+  }
+  return signingKey;
+}
+
+/**
+ * Serialize the signed fields of a roll: room, user, action, ranks, dice and result.
+ * The rerolled roll, action hash, encounter tag and NPC attribution are only appended when set so signatures of older rolls stay valid.
+ */
+function canonicalRollPayload(roll) {
+  const payload = [
+    roll.id,
+    roll.roomId,
+    roll.userName,
+    roll.diceType,
+    roll.result,
+    roll.rawDiceResult || null,
+    new Date(roll.timestamp).toISOString(),
+    roll.actionName || null,
+    roll.weaponRank || null,
+    roll.masteryRank || null,
+    roll.rollDetails || null
+  ];
+  if (roll.rerollOf) {
+    payload.push(roll.rerollOf);
+  }
+  if (roll.actionHash) {
+    payload.push({ actionHash: roll.actionHash });
+  }
+  if (roll.encounterId) {
+    payload.push({ encounter: [roll.encounterId, roll.encounterRound, roll.encounterTurn] });
+  }
+  if (roll.npcId) {
+    payload.push({ npc: [roll.npcId, roll.rolledBy || null] });
+  }
+  return JSON.stringify(payload);
+}
+
+function signRoll(roll) {
+  return crypto.createHmac('sha256', getSigningKey()).update(canonicalRollPayload(roll)).digest('hex');
+}
+
+function verifyRollSignature(roll) {
+  if (!roll.signature) {
+    return false;
+  }
+  const expected = Buffer.from(signRoll(roll), 'hex');
+  const actual = Buffer.from(roll.signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function hashServerSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+function deriveRollSeed(serverSeed, roomId, nonce) {
+  return crypto.createHmac('sha256', serverSeed).update(`${roomId}:${nonce}`).digest('hex');
+}
+
+/**
+ * Get the room's current (unrevealed) server seed, creating one if needed
+ */
+function getActiveRoomSeed(roomId) {
+  const activeSeed = db.getActiveRoomSeed(roomId);
+  if (activeSeed) {
+    return activeSeed;
+  }
+  const seed = crypto.randomBytes(32).toString('hex');
+  return db.addRoomSeed(crypto.randomUUID(), roomId, seed, hashServerSeed(seed));
+}
+
+/**
+ * Derive the RNG seed for the room's next roll without reserving its nonce. Rolls are
+ * calculated with it and reserve the nonce (reserveRollSeed) only once they are saved, so
+ * rejected requests leave no gaps in the nonce sequence.
+ */
+function peekRollSeed(roomId) {
+  const roomSeed = getActiveRoomSeed(roomId);
+  const nonce = roomSeed.nonce + 1;
+  return {
+    seed: deriveRollSeed(roomSeed.seed, roomId, nonce),
+    commitment: { seedHash: roomSeed.seedHash, nonce }
+  };
+}
+
+/**
+ * Reserve the nonce of a seed from peekRollSeed
+ * @throws {Error} if the room seed moved on since it was peeked
+ */
+function reserveRollSeed(roomId, rollSeed) {
+  const roomSeed = getActiveRoomSeed(roomId);
+  if (roomSeed.seedHash !== rollSeed.commitment.seedHash) {
+    throw new Error(`Room seed of ${roomId} changed before the roll was saved`);
+  }
+  const nonce = db.incrementRoomSeedNonce(roomSeed.id);
+  if (nonce !== rollSeed.commitment.nonce) {
+    throw new Error(`Nonce ${rollSeed.commitment.nonce} of room ${roomId} was taken before the roll was saved`);
+  }
+  return rollSeed;
+}
+
+/**
+ * Reveal the room's current server seed and commit to a new one
+ */
+function rotateRoomSeed(roomId) {
+  const currentSeed = getActiveRoomSeed(roomId);
+  db.revealRoomSeed(currentSeed.id);
+  const nextSeed = getActiveRoomSeed(roomId);
+  return {
+    revealed: publicRoomSeed(db.getRoomSeedByHash(currentSeed.seedHash)),
+    next: publicRoomSeed(nextSeed)
+  };
+}
+
+/**
+ * Public view of a room seed: the seed itself is only included once revealed
+ */
+function publicRoomSeed(roomSeed) {
+  return {
+    seedHash: roomSeed.seedHash,
+    seed: roomSeed.revealedAt ? roomSeed.seed : undefined,
+    rollCount: roomSeed.nonce,
+    createdAt: new Date(roomSeed.createdAt),
+    revealedAt: roomSeed.revealedAt ? new Date(roomSeed.revealedAt) : undefined
+  };
+}
+
+/**
+ * Check a roll's commitment: whether its server seed is revealed and, if so,
+ * whether it matches the published hash and derives the stored RNG seed
+ */
+function verifyRollCommitment(roll) {
+  const rng = roll.rollDetails && roll.rollDetails.rng;
+  if (!rng || !rng.commitment) {
+    return { available: false };
+  }
+
+  const { seedHash, nonce } = rng.commitment;
+  const roomSeed = db.getRoomSeedByHash(seedHash);
+  if (!roomSeed || roomSeed.roomId !== roll.roomId) {
+    return { available: true, seedHash, nonce, revealed: false, valid: false };
+  }
+  if (!roomSeed.revealedAt) {
+    return { available: true, seedHash, nonce, revealed: false };
+  }
+
+  const seedMatchesCommitment = hashServerSeed(roomSeed.seed) === seedHash;
+  const rollSeedMatches = deriveRollSeed(roomSeed.seed, roll.roomId, nonce) === rng.seed;
+  return {
+    available: true,
+    seedHash,
+    nonce,
+    revealed: true,
+    serverSeed: roomSeed.seed,
+    seedMatchesCommitment,
+    rollSeedMatches,
+    valid: seedMatchesCommitment && rollSeedMatches
+  };
+}
+
+module.exports = {
+  signRoll,
+  verifyRollSignature,
+  hashServerSeed,
+  deriveRollSeed,
+  getActiveRoomSeed,
+  peekRollSeed,
+  reserveRollSeed,
+  rotateRoomSeed,
+  publicRoomSeed,
+  verifyRollCommitment
+};
@@ -0,0 +1,182 @@
+// Roll renderers: turn a stored roll and its rollDetails into plain text, Markdown,
+// XenForo BBCode (for TerraRP forum posts) or sanitized HTML.
+//
+// Every format renders the same outline, built once by describeRoll:
+//   <user> rolled <label>: <result>
+//   - one line per dice group, explosions, bonuses and modifiers
+//   - the roll comment, if any
+// User-provided text (names, comments, notation) is escaped for the target format.
+
+const ROLL_FORMATS = ['text', 'markdown', 'bbcode', 'html'];
+
+class RollFormatError extends Error {
+  constructor(format) {
+    super(`Unknown roll format '${format}' (known: ${ROLL_FORMATS.join(', ')})`);
+    this.name = 'RollFormatError';
+  }
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? `${value}` : `${Math.round(value * 100) / 100}`;
+}
+
+/**
+ * Build the format-independent outline of a roll. Text pieces are { text } for
+ * user-provided values, { raw } for labels built here, or { dice, dropped } for dice values.
+ */
+function describeRoll(roll) {
+  const details = roll.rollDetails || {};
+
+  let label;
+  if (roll.actionName) {
+    label = [{ text: roll.actionName }, { raw: ` (WR ${roll.weaponRank}, MR ${roll.masteryRank})` }];
+  } else if (details.notation) {
+    label = [{ text: details.notation }];
+  } else {
+    label = [{ raw: `1d${roll.diceType}` }];
+  }
+
+  const lines = [];
+  for (const group of details.diceGroups || []) {
+    const line = [{ text: group.notation || group.type }, { raw: ': ' }, { dice: group.rolls, dropped: group.dropped || [] }];
+    if (group.rerolled && group.rerolled.length > 0) {
+      line.push({ raw: ` (rerolled ${group.rerolled.join(', ')})` });
+    }
+    lines.push(line);
+  }
+
+  if (!details.notation && details.explosionRolls && details.explosionRolls.length > 0) {
+    const explosion = (details.modifierBreakdown || []).find(modifier => modifier.type === 'explosion');
+    lines.push([
+      { raw: 'Explosions: ' },
+      { dice: details.explosionRolls, dropped: [] },
+      { raw: explosion ? ` (${explosion.description})` : '' }
+    ]);
+  }
+
+  if (details.successPool) {
+    const { successes, botches, threshold, doubleOn, cancelOn } = details.successPool;
+    const rules = [`${threshold}+`];
+    if (doubleOn !== undefined) rules.push(`${doubleOn}+ count double`);
+    if (cancelOn !== undefined) rules.push(`${cancelOn} or less cancels`);
+    lines.push([{ raw: `Successes: ${successes}, botches: ${botches} (${rules.join(', ')})` }]);
+  }
+
+  for (const bonus of details.bonusBreakdown || []) {
+    if (bonus.value !== 0) {
+      lines.push([{ raw: `${bonus.value > 0 ? '+' : ''}${bonus.value} ${bonus.display}` }]);
+    }
+  }
+
+  for (const modifier of details.modifierBreakdown || []) {
+    if (modifier.type === 'explosion') {
+      continue; // Shown with the dice above
+    }
+    if (modifier.multiplier && modifier.multiplier !== 1) {
+      lines.push([{ raw: `×${formatNumber(modifier.multiplier)} ${modifier.description}` }]);
+    } else if (modifier.value) {
+      lines.push([{ raw: `${modifier.value > 0 ? '+' : ''}${modifier.value} ${modifier.description}` }]);
+    }
+  }
+
+  return {
+    userName: roll.userName,
+    label,
+    result: details.successPool
+      ? `${roll.result} ${roll.result === 1 ? 'success' : 'successes'}${details.successPool.isBotch ? ' (botch)' : ''}`
+      : roll.result,
+    isReroll: Boolean(roll.rerollOf),
+    lines,
+    comment: roll.comment || null
+  };
+}
+
+// Dice values are listed in roll order; dropped dice (keep/drop notation) are appended struck through
+function renderPieces(pieces, { escape, strike }) {
+  return pieces.map(piece => {
+    if (piece.text !== undefined) {
+      return escape(piece.text);
+    }
+    if (piece.dice !== undefined) {
+      return [...piece.dice.map(value => `${value}`), ...piece.dropped.map(value => strike(`${value}`))].join(', ');
+    }
+    return escape(piece.raw);
+  }).join('');
+}
+
+const renderers = {
+  text: {
+    escape: value => value,
+    strike: value => `(${value})`,
+    header: (user, label, result, reroll) => `${user} ${reroll ? 'rerolled' : 'rolled'} ${label}: ${result}`,
+    list: lines => lines.map(line => `  ${line}`).join('\n'),
+    comment: comment => `"${comment}"`,
+    join: parts => parts.join('\n')
+  },
+  markdown: {
+    // Only inline formatting characters; every escaped value sits mid-line
+    escape: value => value.replace(/[\\`*_[\]|~<>]/g, '\\$&'),
+    strike: value => `~~${value}~~`,
+    header: (user, label, result, reroll) => `**${user}** ${reroll ? 'rerolled' : 'rolled'} ${label}: **${result}**`,
+    list: lines => lines.map(line => `- ${line}`).join('\n'),
+    comment: comment => comment.split('\n').map(line => `> ${line}`).join('\n'),
+    join: parts => parts.join('\n\n')
+  },
+  bbcode: {
+    // XenForo has no escape sequence for brackets; [PLAIN] disables BBCode parsing inside it
+    escape: value => (/[[\]]/.test(value) ? `[PLAIN]${value.replace(/\[\/?plain\]/gi, '')}[/PLAIN]` : value),
+    strike: value => `[S]${value}[/S]`,
+    header: (user, label, result, reroll) => `[B]${user}[/B] ${reroll ? 'rerolled' : 'rolled'} ${label}: [B][SIZE=5]${result}[/SIZE][/B]`,
+    list: lines => `[LIST]\n${lines.map(line => `[*]${line}`).join('\n')}\n[/LIST]`,
+    comment: comment => `[I]${comment}[/I]`,
+    join: parts => parts.join('\n')
+  },
+  html: {
+    escape: value => value.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]),
+    strike: value => `<s>${value}</s>`,
+    header: (user, label, result, reroll) => `<p><strong>${user}</strong> ${reroll ? 'rerolled' : 'rolled'} ${label}: <strong>${result}</strong></p>`,
+    list: lines => `<ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>`,
+    comment: comment => `<blockquote>${comment}</blockquote>`,
+    join: parts => parts.join('\n')
+  }
+};
+
+/**
+ * Render a stored roll in one of ROLL_FORMATS
+ * @throws {RollFormatError} for unknown formats
+ */
+function renderRoll(roll, format = 'text') {
+  const renderer = renderers[format];
+  if (!renderer) {
+    throw new RollFormatError(format);
+  }
+
+  const outline = describeRoll(roll);
+  const parts = [renderer.header(
+    renderer.escape(outline.userName),
+    renderPieces(outline.label, renderer),
+    outline.result,
+    outline.isReroll
+  )];
+  if (outline.lines.length > 0) {
+    parts.push(renderer.list(outline.lines.map(line => renderPieces(line, renderer))));
+  }
+  if (outline.comment) {
+    parts.push(renderer.comment(renderer.escape(outline.comment)));
+  }
+  return renderer.join(parts);
+}
+
+/**
+ * Render a roll in several formats at once, as { format: text }
+ */
+function renderRollFormats(roll, formats) {
+  return Object.fromEntries(formats.map(format => [format, renderRoll(roll, format)]));
+}
+
+module.exports = {
+  ROLL_FORMATS,
+  RollFormatError,
+  renderRoll,
+  renderRollFormats
+};
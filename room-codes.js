@@ -0,0 +1,85 @@
+// Room codes of private rooms, stored as salted scrypt hashes ("salt:hash", both hex)
+//
+// A room with a code is private: joining it, subscribing to it over WebSocket and reading or
+// changing anything in it requires the code (X-Room-Code header, or roomCode in the body or
+// query). The public room list only shows its id and name.
+//
+// scrypt is slow on purpose, and private rooms check the code on every request, so hashing
+// runs off the event loop and verifications are remembered per stored hash. Changing a room's
+// code changes its hash, so results for the old code are never reused.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const MIN_ROOM_CODE_LENGTH = 4;
+const MAX_ROOM_CODE_LENGTH = 64;
+const KEY_LENGTH = 32;
+const MAX_CACHED_VERIFICATIONS = 1000;
+
+const scrypt = promisify(crypto.scrypt);
+
+// "storedHash:sha256 of the code" -> whether the code matched
+const verifications = new Map();
+
+/**
+ * Validation message for a room code, or null when it is acceptable
+ */
+function checkRoomCode(code) {
+  if (typeof code !== 'string' || code.trim().length < MIN_ROOM_CODE_LENGTH || code.trim().length > MAX_ROOM_CODE_LENGTH) {
+    return `Room code must be a string of ${MIN_ROOM_CODE_LENGTH} to ${MAX_ROOM_CODE_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Hash a room code for storage
+ * @returns {Promise<string>} "salt:hash"
+ */
+async function hashRoomCode(code) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(code.trim(), salt, KEY_LENGTH)).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Hash a room code on the event loop, for migrations, which run synchronously before the
+ * server starts
+ * @returns {string} "salt:hash"
+ */
+function hashRoomCodeSync(code) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(code.trim(), salt, KEY_LENGTH).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Whether a code matches a stored hash
+ * @returns {Promise<boolean>}
+ */
+async function verifyRoomCode(code, storedHash) {
+  if (typeof code !== 'string' || typeof storedHash !== 'string') {
+    return false;
+  }
+  const [salt, hash] = storedHash.split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+  const key = `${storedHash}:${crypto.createHash('sha256').update(code.trim()).digest('hex')}`;
+  if (verifications.has(key)) {
+    return verifications.get(key);
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(code.trim(), salt, KEY_LENGTH);
+  const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  if (verifications.size >= MAX_CACHED_VERIFICATIONS) {
+    verifications.delete(verifications.keys().next().value);
+  }
+  verifications.set(key, valid);
+  return valid;
+}
+
+module.exports = {
+  checkRoomCode,
+  hashRoomCode,
+  hashRoomCodeSync,
+  verifyRoomCode
+};
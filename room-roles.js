@@ -0,0 +1,214 @@
+// Participant roles: who may do what in a room
+//
+// Joining a room issues the participant a random token, returned only by that join (the creator
+// gets theirs from creating the room); the room keeps its SHA-256 hash. Requests act as a
+// participant by sending the token in the X-Participant-Token header (or participantToken in the
+// body), sockets in the join_room payload. Names are public, so a name alone identifies no one.
+//
+// The room's creator (creator_name) is its GM and can promote other participants to co-GM; in a
+// room without a creator the first participant to join becomes it. Players roll, apply and
+// resolve their rolls; GMs also run the game (HP pools, encounters, status effects). Spectators
+// only watch. Requests without a participant's token are refused.
+//
+// Tokens are never handed out for a name that has already joined. A GM can issue a participant
+// a new token (a lost token, or one who joined before tokens existed), and a participant who
+// joined before tokens can claim their name in a private room by proving the room code.
+const crypto = require('crypto');
+const db = require('./database');
+
+const ROLES = ['gm', 'player', 'spectator'];
+
+// Roles allowed each permission
+const PERMISSIONS = {
+  roll: ['gm', 'player'],
+  play: ['gm', 'player'], // applying rolls to HP and resolving defenses
+  runGame: ['gm'], // HP pools, encounters, status effects and rounds
+  manageNpcs: ['gm'],
+  editRoom: ['gm'], // room settings, custom actions, revealing the seed, deleting the room
+  moderate: ['gm'] // participant roles and removing participants
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  roll: 'roll',
+  play: 'change the game state',
+  runGame: 'run the game',
+  manageNpcs: 'manage NPCs',
+  editRoom: 'edit the room',
+  moderate: 'moderate participants'
+};
+
+class PermissionError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=403] - HTTP status the API responds with
+   */
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'PermissionError';
+    this.status = status;
+  }
+}
+
+const PARTICIPANT_TOKEN_BYTES = 32;
+
+function hashParticipantToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A new participant token and the hash the room stores
+ * @returns {{ token: string, tokenHash: string }}
+ */
+function createParticipantToken() {
+  const token = crypto.randomBytes(PARTICIPANT_TOKEN_BYTES).toString('hex');
+  return { token, tokenHash: hashParticipantToken(token) };
+}
+
+/**
+ * The participant of the room a token belongs to, or null
+ */
+function identifyParticipant(roomId, token) {
+  if (typeof token !== 'string' || token === '') {
+    return null;
+  }
+  return db.getParticipantByTokenHash(roomId, hashParticipantToken(token));
+}
+
+function isRoomCreator(room, participant) {
+  return participant.name === room.creator_name;
+}
+
+/**
+ * A participant's role in the room, or null for someone who has not joined
+ */
+function getRole(participant) {
+  return participant ? participant.role : null;
+}
+
+/**
+ * Check a participant may do something in the room
+ * @param {Object|null} participant - The participant the request's token identifies
+ * @param {string} permission - A key of PERMISSIONS
+ * @returns {string} The participant's role
+ * @throws {PermissionError} 401 without a participant, 403 if they lack the permission
+ */
+function requirePermission(room, participant, permission) {
+  if (!participant) {
+    throw new PermissionError('Join the room and send your participant token in the X-Participant-Token header.', 401);
+  }
+  if (!PERMISSIONS[permission].includes(participant.role)) {
+    throw new PermissionError(`A ${participant.role} cannot ${PERMISSION_DESCRIPTIONS[permission]}.`);
+  }
+  return participant.role;
+}
+
+/**
+ * Role for someone joining the room as a new participant: player or spectator, or gm for the
+ * first participant of a room without a creator (who becomes its creator). The creator's name
+ * is reserved for the creator, who joins when creating the room.
+ * @throws {PermissionError} for the creator's name or a role other than player or spectator
+ */
+function getJoinRole(room, userName, requestedRole = 'player') {
+  if (!room.creator_name) {
+    return 'gm';
+  }
+  if (isRoomCreator(room, { name: userName })) {
+    throw new PermissionError(`${userName} is the room creator's name.`, 409);
+  }
+  if (!['player', 'spectator'].includes(requestedRole)) {
+    throw new PermissionError('You can only join as a player or spectator.', 400);
+  }
+  return requestedRole;
+}
+
+// The participant a moderation targets; the creator cannot be moderated and only the creator
+// can moderate co-GMs
+function getModeratedParticipant(room, actor, targetName) {
+  requirePermission(room, actor, 'moderate');
+  const participant = db.getParticipantByRoomAndName(room.id, targetName);
+  if (!participant) {
+    throw new PermissionError('Participant not found', 404);
+  }
+  if (isRoomCreator(room, participant)) {
+    throw new PermissionError('The room creator is always its GM.');
+  }
+  if (participant.role === 'gm' && !isRoomCreator(room, actor)) {
+    throw new PermissionError('Only the room creator can moderate co-GMs.');
+  }
+  return participant;
+}
+
+/**
+ * Change a participant's role. Only the creator can promote co-GMs.
+ * @throws {PermissionError}
+ */
+function setParticipantRole(room, actor, targetName, role) {
+  if (!ROLES.includes(role)) {
+    throw new PermissionError(`Invalid role. Valid roles are: ${ROLES.join(', ')}`, 400);
+  }
+  const participant = getModeratedParticipant(room, actor, targetName);
+  if (role === 'gm' && !isRoomCreator(room, actor)) {
+    throw new PermissionError('Only the room creator can promote co-GMs.');
+  }
+  return db.updateParticipantRole(room.id, participant.name, role);
+}
+
+/**
+ * Issue a participant a new token, replacing the one they had
+ * @returns {{ participant: Object, token: string }}
+ * @throws {PermissionError}
+ */
+function issueParticipantToken(room, actor, targetName) {
+  const participant = getModeratedParticipant(room, actor, targetName);
+  const { token, tokenHash } = createParticipantToken();
+  db.setParticipantTokenHash(room.id, participant.name, tokenHash);
+  return { participant, token };
+}
+
+/**
+ * Give a participant who joined before tokens existed a token. Only private rooms allow it: the
+ * caller must have checked the room code, which is the only proof a claimant has.
+ * @returns {{ participant: Object, token: string }}
+ * @throws {PermissionError}
+ */
+function claimParticipant(room, targetName) {
+  const participant = db.getParticipantByRoomAndName(room.id, targetName);
+  if (!participant) {
+    throw new PermissionError('Participant not found', 404);
+  }
+  if (db.getParticipantTokenHash(room.id, participant.name)) {
+    throw new PermissionError(`${participant.name} already has a token; ask the GM to issue a new one.`, 409);
+  }
+  if (!db.getRoomCodeHash(room.id)) {
+    throw new PermissionError('Only private rooms can be claimed with their room code; ask the GM to issue you a token.');
+  }
+  const { token, tokenHash } = createParticipantToken();
+  db.setParticipantTokenHash(room.id, participant.name, tokenHash);
+  return { participant, token };
+}
+
+/**
+ * Remove a participant from the room. They can join again, as a new participant.
+ * @throws {PermissionError}
+ */
+function removeParticipant(room, actor, targetName) {
+  const participant = getModeratedParticipant(room, actor, targetName);
+  db.deleteParticipant(room.id, participant.name);
+  return participant;
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  PermissionError,
+  createParticipantToken,
+  hashParticipantToken,
+  identifyParticipant,
+  getRole,
+  requirePermission,
+  getJoinRole,
+  setParticipantRole,
+  issueParticipantToken,
+  claimParticipant,
+  removeParticipant
+};
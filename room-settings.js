@@ -0,0 +1,143 @@
+// Room settings: rules a GM sets for the rolls made in their room
+//
+//   allowedActions    - action names rolls may use (null: no restriction)
+//   allowedCategories - action categories from the ruleset rolls may use (null: no restriction)
+//   allowPlainDice    - whether single dice and dice notation rolls are allowed
+//   maxBonus          - highest bonus an action roll may add, buff stacks included (null: no cap)
+//   maxRank           - highest weapon and mastery rank action rolls may use (null: no cap)
+// With both allowedActions and allowedCategories set, an action is allowed when either lists it.
+// The settings apply to new rolls, including rolls made as NPCs, and to rerolls.
+const { isValidRank, getRankLevel } = require('./rulesets');
+
+const DEFAULT_ROOM_SETTINGS = {
+  allowedActions: null,
+  allowedCategories: null,
+  allowPlainDice: true,
+  maxBonus: null,
+  maxRank: null
+};
+
+class RoomSettingsError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=400] - HTTP status the API responds with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RoomSettingsError';
+    this.status = status;
+  }
+}
+
+/**
+ * The room's settings, with defaults for those its GM has not set
+ */
+function getRoomSettings(room) {
+  return { ...DEFAULT_ROOM_SETTINGS, ...room.settings };
+}
+
+function readNameList(value, field) {
+  if (value === null) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some(name => typeof name !== 'string' || name.trim() === '')) {
+    throw new RoomSettingsError(`${field} must be null or an array of names.`);
+  }
+  return [...new Set(value.map(name => name.trim()))];
+}
+
+/**
+ * Validate settings, merging them over the room's current ones. Unknown fields are rejected.
+ * @throws {RoomSettingsError}
+ */
+function readRoomSettings(input, ruleset, current = DEFAULT_ROOM_SETTINGS) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw new RoomSettingsError('Settings must be an object.');
+  }
+  const unknown = Object.keys(input).filter(field => !(field in DEFAULT_ROOM_SETTINGS));
+  if (unknown.length > 0) {
+    throw new RoomSettingsError(`Unknown settings: ${unknown.join(', ')}. Valid settings are: ${Object.keys(DEFAULT_ROOM_SETTINGS).join(', ')}`);
+  }
+  const settings = { ...current, ...input };
+
+  settings.allowedActions = readNameList(settings.allowedActions, 'allowedActions');
+  settings.allowedCategories = readNameList(settings.allowedCategories, 'allowedCategories');
+  const unknownCategories = (settings.allowedCategories || []).filter(category => !ruleset.categories.includes(category));
+  if (unknownCategories.length > 0) {
+    throw new RoomSettingsError(`Unknown categories: ${unknownCategories.join(', ')}. Valid categories are: ${ruleset.categories.join(', ')}`);
+  }
+  if (typeof settings.allowPlainDice !== 'boolean') {
+    throw new RoomSettingsError('allowPlainDice must be a boolean.');
+  }
+  if (settings.maxBonus !== null && (!Number.isInteger(settings.maxBonus) || settings.maxBonus < 0)) {
+    throw new RoomSettingsError('maxBonus must be null or a non-negative integer.');
+  }
+  if (settings.maxRank !== null && !isValidRank(ruleset, settings.maxRank)) {
+    throw new RoomSettingsError(`maxRank must be null or one of ${ruleset.ranks.join(', ')}.`);
+  }
+  return settings;
+}
+
+function isActionAllowed(settings, action) {
+  const { allowedActions, allowedCategories } = settings;
+  if (allowedActions === null && allowedCategories === null) {
+    return true;
+  }
+  return Boolean(allowedActions && allowedActions.includes(action.name))
+    || Boolean(allowedCategories && allowedCategories.includes(action.category));
+}
+
+/**
+ * Ranks up to the room's maxRank
+ */
+function getAllowedRanks(settings, ruleset) {
+  if (settings.maxRank === null) {
+    return ruleset.ranks;
+  }
+  return ruleset.ranks.slice(0, getRankLevel(ruleset, settings.maxRank) + 1);
+}
+
+/**
+ * Check a roll against the room's settings
+ * @param {Object} roll
+ * @param {Object|null} roll.action - The action of an action roll, null for plain dice
+ * @param {string} [roll.weaponRank]
+ * @param {string} [roll.masteryRank]
+ * @param {number} [roll.bonus]
+ * @param {number} [roll.buffBonus] - What the buff stacks the roll uses add on top of bonus
+ * @throws {RoomSettingsError} 403 when the room does not allow the roll
+ */
+function checkRoll(settings, ruleset, { action, weaponRank, masteryRank, bonus = 0, buffBonus = 0 }) {
+  if (!action) {
+    if (!settings.allowPlainDice) {
+      throw new RoomSettingsError('Plain dice rolls are disabled in this room; roll an action instead.', 403);
+    }
+    return;
+  }
+  if (!isActionAllowed(settings, action)) {
+    throw new RoomSettingsError(`${action.name} is not allowed in this room.`, 403);
+  }
+  const allowedRanks = getAllowedRanks(settings, ruleset);
+  // Invalid ranks are left to the roll's own validation
+  const overCap = [['Weapon', weaponRank], ['Mastery', masteryRank]]
+    .filter(([, rank]) => isValidRank(ruleset, rank) && !allowedRanks.includes(rank))
+    .map(([label, rank]) => `${label} rank ${rank}`);
+  if (overCap.length > 0) {
+    throw new RoomSettingsError(`${overCap.join(' and ')} ${overCap.length > 1 ? 'are' : 'is'} above this room's maximum rank ${settings.maxRank}.`, 403);
+  }
+  const totalBonus = bonus + buffBonus;
+  if (settings.maxBonus !== null && totalBonus > settings.maxBonus) {
+    const fromBuffs = buffBonus !== 0 ? ` (${buffBonus} of it from buff stacks; roll with useBuffs: false to leave them)` : '';
+    throw new RoomSettingsError(`Bonus ${totalBonus}${fromBuffs} is above this room's cap of ${settings.maxBonus}.`, 403);
+  }
+}
+
+module.exports = {
+  DEFAULT_ROOM_SETTINGS,
+  RoomSettingsError,
+  getRoomSettings,
+  readRoomSettings,
+  isActionAllowed,
+  getAllowedRanks,
+  checkRoll
+};
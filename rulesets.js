@@ -0,0 +1,151 @@
+// Rulesets: a named rank table, action list and category list. Every room is bound to one
+// ruleset (rooms.ruleset); the roll route, action listing and FormulaCalculator resolve ranks,
+// rank bonuses and actions through it.
+//
+// A ruleset declares:
+//   id, name, description
+//   ranks       - rank letters from lowest to highest; a rank's level is its index
+//                 (used by the MR_LEVEL/WR_LEVEL dice counts), the lowest rank is the
+//                 fallback for rank maps that do not list a rank
+//   rankBonuses - flat bonus per rank added by the MR/WR bonuses
+//   categories  - action categories
+//   armorReduction - damage taken off incoming attacks by armor type and rank, e.g.
+//                 { 'Heavy Armor': { E: 5, ..., S: 30 } } (see defense-resolution.js). Defaults
+//                 to none; resolving an attack against armor without values is refused. The
+//                 TerraRP values are not known yet, so TerraRP declares none.
+//   actions     - action definitions, validated against this ruleset at startup
+//
+// To host another campaign without a code change, put its ruleset in a JSON file (the fields
+// above) in the rulesets directory, RULESETS_DIR or rulesets/ next to this file. Every *.json
+// file there is registered at startup.
+const fs = require('fs');
+const path = require('path');
+const { ACTIONS, ACTION_CATEGORIES, RANK_BONUSES } = require('./actions');
+
+const DEFAULT_RULESET_ID = 'terrarp';
+
+const rulesets = new Map();
+
+/**
+ * Register a ruleset
+ * @returns {Object} The registered ruleset, with defaults for the optional fields
+ */
+function registerRuleset(ruleset) {
+  const { id, ranks, rankBonuses = {} } = ruleset;
+  if (typeof id !== 'string' || id.trim() === '') {
+    throw new Error('Rulesets must have an id');
+  }
+  if (rulesets.has(id)) {
+    throw new Error(`Ruleset '${id}' is already registered`);
+  }
+  if (!Array.isArray(ranks) || ranks.length === 0) {
+    throw new Error(`Ruleset '${id}' must declare at least one rank`);
+  }
+  const missingBonus = ranks.find(rank => typeof rankBonuses[rank] !== 'number');
+  if (missingBonus !== undefined) {
+    throw new Error(`Ruleset '${id}' has no bonus for rank '${missingBonus}'`);
+  }
+  for (const [armorType, byRank] of Object.entries(ruleset.armorReduction || {})) {
+    const valid = typeof byRank === 'object' && byRank !== null && typeof byRank[ranks[0]] === 'number' &&
+      Object.entries(byRank).every(([rank, value]) => ranks.includes(rank) && typeof value === 'number');
+    if (!valid) {
+      throw new Error(`Ruleset '${id}' armorReduction for '${armorType}' must map its ranks to numbers, including '${ranks[0]}'`);
+    }
+  }
+  if (!Array.isArray(ruleset.categories) || !Array.isArray(ruleset.actions)) {
+    throw new Error(`Ruleset '${id}' must declare its categories and actions as arrays`);
+  }
+  const registered = { description: '', armorReduction: {}, ...ruleset };
+  rulesets.set(id, registered);
+  return registered;
+}
+
+function getRuleset(id) {
+  return rulesets.get(id) || null;
+}
+
+function getRulesets() {
+  return [...rulesets.values()];
+}
+
+function isValidRank(ruleset, rank) {
+  return ruleset.ranks.includes(rank);
+}
+
+/**
+ * Level of a rank (0 for the lowest); unknown ranks count as level 0
+ */
+function getRankLevel(ruleset, rank) {
+  return Math.max(0, ruleset.ranks.indexOf(rank));
+}
+
+/**
+ * Pick a rank-based value, falling back to the ruleset's lowest rank when the map has no
+ * entry for the rank (an entry of 0 is a value, not a missing entry)
+ */
+function getRankValue(ruleset, rankMap, rank) {
+  return Object.prototype.hasOwnProperty.call(rankMap, rank) ? rankMap[rank] : rankMap[ruleset.ranks[0]];
+}
+
+// Public description of a ruleset (without the action definitions)
+function describeRuleset(ruleset) {
+  return {
+    id: ruleset.id,
+    name: ruleset.name,
+    description: ruleset.description,
+    ranks: ruleset.ranks,
+    rankBonuses: ruleset.rankBonuses,
+    categories: ruleset.categories,
+    armorReduction: ruleset.armorReduction,
+    actionCount: ruleset.actions.length
+  };
+}
+
+/**
+ * Register the rulesets in a directory's JSON files, in file name order
+ * @returns {Object[]} The registered rulesets
+ */
+function loadRulesets(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      try {
+        return registerRuleset(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+      } catch (error) {
+        throw new Error(`Ruleset file ${file}: ${error.message}`);
+      }
+    });
+}
+
+// --- Rulesets ---
+
+registerRuleset({
+  id: DEFAULT_RULESET_ID,
+  name: 'TerraRP',
+  description: 'TerraRP ranks E-S and the standard action list',
+  ranks: ['E', 'D', 'C', 'B', 'A', 'S'],
+  rankBonuses: RANK_BONUSES,
+  categories: ACTION_CATEGORIES,
+  actions: ACTIONS
+});
+
+const DEFAULT_RULESET = getRuleset(DEFAULT_RULESET_ID);
+
+loadRulesets(process.env.RULESETS_DIR || path.join(__dirname, 'rulesets'));
+
+module.exports = {
+  DEFAULT_RULESET_ID,
+  DEFAULT_RULESET,
+  registerRuleset,
+  loadRulesets,
+  getRuleset,
+  getRulesets,
+  isValidRank,
+  getRankLevel,
+  getRankValue,
+  describeRuleset
+};
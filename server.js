@@ -7,8 +7,39 @@ const crypto = require('crypto'); // For generating IDs, similar to client-side
 const http = require('http');
 const WebSocket = require('ws');
 const db = require('./database');
-const { ACTIONS, ACTION_CATEGORIES, RANK_BONUSES } = require('./actions');
+const { DEFAULT_RULESET, DEFAULT_RULESET_ID, getRuleset, getRulesets, isValidRank, describeRuleset } = require('./rulesets');
 const FormulaCalculator = require('./formula-calculator');
+const { DiceNotationError } = require('./dice-notation');
+const rollIntegrity = require('./roll-integrity');
+const { calculateActionDistribution } = require('./action-distribution');
+const { validateActions, validateActionDefinition } = require('./action-schema');
+const { ROLL_FORMATS, renderRoll, renderRollFormats } = require('./roll-renderer');
+const { RANK_SOURCES, RankResolutionError, getRoomRankSource, resolveRollRanks } = require('./participant-ranks');
+const {
+  StatusEffectError,
+  applyStatusEffect,
+  removeStatusEffect,
+  cleanseStatusEffects,
+  endStatusEffectRound,
+  applyRollStatusEffects,
+  revertRollStatusEffects
+} = require('./status-effects');
+const encounters = require('./encounters');
+const { HpPoolError, setHpPool, applyRollToTargets, undoHpApplication } = require('./hp-pools');
+const npcs = require('./npcs');
+const buffStacks = require('./buff-stacks');
+const { DefenseResolutionError, resolveDefense, undoDefenseResolution } = require('./defense-resolution');
+const { checkRoomCode, hashRoomCode, verifyRoomCode } = require('./room-codes');
+const roomRoles = require('./room-roles');
+const roomSettings = require('./room-settings');
+const {
+  ACTION_DEFINITION_FIELDS,
+  rulesetScope,
+  hashAction,
+  recordActionVersion,
+  getRollActionDefinition,
+  getActionChanges
+} = require('./action-versions');
 
 const Dice = {
   D4: 4,
@@ -21,206 +52,1772 @@ const Dice = {
 };
 Object.freeze(Dice);
 
+// Refuse to boot with invalid action definitions
+try {
+  getRulesets().forEach(ruleset => validateActions(ruleset.actions, ruleset));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Snapshot the built-in definitions so edits to a ruleset's actions show up in the action history
+getRulesets().forEach(ruleset => {
+  ruleset.actions.forEach(action => recordActionVersion(rulesetScope(ruleset), action));
+});
+
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Rerolls each participant's (or NPC's) rolls may get per room
+const REROLLS_PER_PARTICIPANT = process.env.REROLLS_PER_PARTICIPANT !== undefined ? Number(process.env.REROLLS_PER_PARTICIPANT) : 3;
 
 // Reusable FormulaCalculator instance
 const formulaCalculator = new FormulaCalculator();
 
-// Middleware
-app.use(cors()); // Enable CORS for all routes
-app.use(express.json({ limit: '1mb' })); // Parse JSON request bodies with size limit
+// Middleware
+app.use(cors()); // Enable CORS for all routes
+app.use(express.json({ limit: '1mb' })); // Parse JSON request bodies with size limit
+
+// Simple rate limiting middleware
+const requestCounts = new Map();
+const RATE_LIMIT_WINDOW = 60000; // 1 minute
+const MAX_REQUESTS_PER_WINDOW = Number(process.env.RATE_LIMIT_MAX) || 100;
+
+function rateLimit(req, res, next) {
+  const clientId = req.ip || req.connection.remoteAddress;
+  const now = Date.now();
+  
+  if (!requestCounts.has(clientId)) {
+    requestCounts.set(clientId, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
+    return next();
+  }
+  
+  const clientData = requestCounts.get(clientId);
+  
+  if (now > clientData.resetTime) {
+    clientData.count = 1;
+    clientData.resetTime = now + RATE_LIMIT_WINDOW;
+    return next();
+  }
+  
+  if (clientData.count >= MAX_REQUESTS_PER_WINDOW) {
+    return res.status(429).json({ error: 'Rate limit exceeded. Try again later.' });
+  }
+  
+  clientData.count++;
+  next();
+}
+
+app.use(rateLimit);
+
+// --- API Endpoints ---
+
+// Actions are served with their content hash so clients can tell definitions apart
+function withActionHash(action) {
+  return { ...action, hash: hashAction(action) };
+}
+
+// The ruleset a room plays with; rooms bound to a ruleset that no longer exists fall back to the default
+function getRoomRuleset(room) {
+  return (room && getRuleset(room.ruleset)) || DEFAULT_RULESET;
+}
+
+// What in a room does not fit another ruleset: custom actions that fail its validation or clash
+// with its actions, NPC ranks it does not have and settings it cannot apply
+function checkRulesetChange(room, ruleset) {
+  const problems = [];
+  for (const action of db.getCustomActionsForRoom(room.id)) {
+    problems.push(...validateActionDefinition(pickCustomActionDefinition(action), ruleset));
+    if (ruleset.actions.some(builtIn => builtIn.name === action.name)) {
+      problems.push(`${action.name}: '${ruleset.id}' has a built-in action with this name`);
+    }
+  }
+  for (const npc of db.getNpcsForRoom(room.id)) {
+    try {
+      npcs.checkNpcRuleset(npc, ruleset);
+    } catch (error) {
+      problems.push(`NPC ${npc.name}: ${error.message}`);
+    }
+  }
+  try {
+    roomSettings.readRoomSettings({}, ruleset, roomSettings.getRoomSettings(room));
+  } catch (error) {
+    problems.push(`Settings: ${error.message}`);
+  }
+  return problems;
+}
+
+/**
+ * Ruleset for a request: the room's when ?roomId= is given, otherwise ?ruleset= or the default.
+ * Returns null for an unknown ruleset id.
+ */
+function resolveRequestRuleset({ roomId, ruleset }) {
+  if (roomId) {
+    return getRoomRuleset(db.getRoomById(roomId));
+  }
+  return getRuleset(ruleset || DEFAULT_RULESET_ID);
+}
+
+/**
+ * Find an action by name: the ruleset's built-in actions first, then the room's custom actions
+ */
+function resolveAction(ruleset, roomId, actionName) {
+  const builtIn = ruleset.actions.find(a => a.name === actionName);
+  if (builtIn) {
+    return builtIn;
+  }
+  return roomId ? db.getCustomActionByName(roomId, actionName) : null;
+}
+
+/**
+ * The action definition a stored roll was made with, falling back to the current one for rolls
+ * made before action versioning
+ */
+function getStoredRollAction(ruleset, roll) {
+  return getRollActionDefinition(roll) || resolveAction(ruleset, roll.roomId, roll.actionName);
+}
+
+// Available rulesets, without their action definitions
+app.get('/api/rulesets', (req, res) => {
+  res.json(getRulesets().map(describeRuleset));
+});
+
+// A room's custom actions (?roomId=) need the code of a private room
+app.use('/api/actions', async (req, res, next) => {
+  try {
+    if (req.query.roomId && await rejectWithoutRoomCode(req, res, req.query.roomId)) {
+      return;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get actions and ranks of a ruleset. With ?roomId= the list includes the room's custom actions
+// and only has the actions, categories and ranks the room's settings allow.
+app.get('/api/actions', (req, res) => {
+  const { roomId } = req.query;
+  try {
+    const ruleset = resolveRequestRuleset(req.query);
+    if (!ruleset) {
+      return res.status(404).json({ error: `Unknown ruleset: ${req.query.ruleset}` });
+    }
+    const room = roomId ? db.getRoomById(roomId) : null;
+    if (!room) {
+      return res.json({
+        ruleset: { id: ruleset.id, name: ruleset.name },
+        actions: ruleset.actions.map(withActionHash),
+        categories: ruleset.categories,
+        ranks: ruleset.ranks,
+        rankBonuses: ruleset.rankBonuses
+      });
+    }
+
+    const settings = roomSettings.getRoomSettings(room);
+    const actions = [...ruleset.actions, ...db.getCustomActionsForRoom(roomId)]
+      .filter(action => roomSettings.isActionAllowed(settings, action));
+    const restricted = settings.allowedActions !== null || settings.allowedCategories !== null;
+    res.json({
+      ruleset: { id: ruleset.id, name: ruleset.name },
+      actions: actions.map(withActionHash),
+      categories: restricted ? ruleset.categories.filter(category => actions.some(action => action.category === category)) : ruleset.categories,
+      ranks: roomSettings.getAllowedRanks(settings, ruleset),
+      rankBonuses: ruleset.rankBonuses,
+      settings
+    });
+  } catch (error) {
+    console.error('Failed to get actions:', error);
+    res.status(500).json({ error: 'Failed to retrieve actions' });
+  }
+});
+
+// Definition history of a ruleset's built-in actions (plus a room's custom actions with ?roomId=),
+// oldest first with the fields that changed; ?name= limits it to one action
+app.get('/api/actions/changes', (req, res) => {
+  const { roomId, name } = req.query;
+  try {
+    const ruleset = resolveRequestRuleset(req.query);
+    if (!ruleset) {
+      return res.status(404).json({ error: `Unknown ruleset: ${req.query.ruleset}` });
+    }
+    res.json(getActionChanges(ruleset, roomId || null, name || null));
+  } catch (error) {
+    console.error('Failed to get action changes:', error);
+    res.status(500).json({ error: 'Failed to retrieve action changes' });
+  }
+});
+
+// Result distribution of an action at the given ranks and bonus
+app.get('/api/actions/:name/distribution', (req, res) => {
+  const { name } = req.params;
+  const { bonus, samples, bins, seed, conditions, roomId } = req.query;
+
+  try {
+    // Archived rooms take no more rolls to plan
+    if (roomId && rejectIfArchived(res, db.getRoomById(roomId))) {
+      return;
+    }
+
+    const ruleset = resolveRequestRuleset(req.query);
+    if (!ruleset) {
+      return res.status(404).json({ error: `Unknown ruleset: ${req.query.ruleset}` });
+    }
+
+    const action = resolveAction(ruleset, roomId, name);
+    if (!action) {
+      return res.status(404).json({ error: `Unknown action: ${name}` });
+    }
+
+    // Ranks default to the ruleset's lowest rank
+    const { weaponRank = ruleset.ranks[0], masteryRank = ruleset.ranks[0] } = req.query;
+    if (!isValidRank(ruleset, weaponRank) || !isValidRank(ruleset, masteryRank)) {
+      return res.status(400).json({ error: 'Invalid weapon or mastery rank' });
+    }
+
+    const actionBonus = parseInt(bonus) || 0;
+    const distribution = calculateActionDistribution(action, weaponRank, masteryRank, actionBonus, {
+      samples: parseInt(samples) || undefined,
+      bins: parseInt(bins) || undefined,
+      seed: typeof seed === 'string' && seed !== '' ? seed : undefined,
+      ruleset,
+      // Claimed roll-context conditions as a comma-separated list, e.g. "adjacent,aoe"
+      context: typeof conditions === 'string'
+        ? Object.fromEntries(conditions.split(',').map(c => c.trim()).filter(Boolean).map(c => [c, true]))
+        : undefined
+    });
+
+    res.json({
+      action: action.name,
+      ruleset: ruleset.id,
+      weaponRank,
+      masteryRank,
+      bonus: actionBonus,
+      ...distribution
+    });
+  } catch (error) {
+    console.error(`Failed to calculate distribution for ${name}:`, error);
+    res.status(500).json({ error: 'Failed to calculate distribution' });
+  }
+});
+
+// Rooms
+// The code of a private room: the X-Room-Code header, or roomCode in the body or query
+function readRoomCode(req) {
+  return req.get('X-Room-Code') || (req.body && req.body.roomCode) || req.query.roomCode;
+}
+
+// Reject requests to a private room without its code; unknown rooms pass so routes can 404
+async function rejectWithoutRoomCode(req, res, roomId) {
+  const codeHash = db.getRoomCodeHash(roomId);
+  if (codeHash && !(await verifyRoomCode(readRoomCode(req), codeHash))) {
+    res.status(403).json({ error: 'This room is private. A valid room code is required.' });
+    return true;
+  }
+  return false;
+}
+
+// Archived rooms are read-only: reject changes to them, except editing or deleting the room
+// itself and revealing its seed so its rolls can still be verified
+function rejectIfArchived(res, room) {
+  if (room && room.archived_at) {
+    res.status(409).json({ error: 'Room is archived and read-only.' });
+    return true;
+  }
+  return false;
+}
+
+// Who makes a request: the participant whose token is in the X-Participant-Token header (or
+// participantToken in the body), or null
+function identifyActor(req, room) {
+  return roomRoles.identifyParticipant(room.id, req.get('X-Participant-Token') || (req.body && req.body.participantToken));
+}
+
+// Name recorded as who applied, created, resolved or undid something
+function readActorName(req, roomId) {
+  const actor = identifyActor(req, { id: roomId });
+  return actor ? actor.name : null;
+}
+
+// Reject requests by participants whose role in the room lacks the permission
+function rejectWithoutPermission(req, res, room, permission) {
+  try {
+    roomRoles.requirePermission(room, identifyActor(req, room), permission);
+    return false;
+  } catch (error) {
+    if (error instanceof roomRoles.PermissionError) {
+      res.status(error.status).json({ error: error.message });
+      return true;
+    }
+    throw error;
+  }
+}
+
+// Permission a change under /api/rooms/:roomId needs. Joining and claiming a name are open to
+// everyone and rolls check the roller themselves.
+function getRoomChangePermission(path) {
+  if (path === '/join' || path === '/rolls' || /^\/participants\/[^/]+\/claim$/.test(path)) {
+    return null;
+  }
+  if (path === '/' || path === '/seed/reveal' || path === '/settings' || path.startsWith('/actions')) {
+    return 'editRoom';
+  }
+  if (path.startsWith('/npcs')) {
+    return 'manageNpcs';
+  }
+  if (path.startsWith('/participants')) {
+    return 'moderate';
+  }
+  if (path.startsWith('/hp') || path.startsWith('/encounters') || path.startsWith('/status-effects')) {
+    return 'runGame';
+  }
+  return 'play';
+}
+
+app.use('/api/rooms/:roomId', async (req, res, next) => {
+  try {
+    if (await rejectWithoutRoomCode(req, res, req.params.roomId)) {
+      return;
+    }
+    if (req.method === 'GET') {
+      return next();
+    }
+    const room = db.getRoomById(req.params.roomId);
+    if (!room) {
+      return next();
+    }
+    if (req.path !== '/' && req.path !== '/seed/reveal' && rejectIfArchived(res, room)) {
+      return;
+    }
+    const permission = getRoomChangePermission(req.path);
+    if (!permission || !rejectWithoutPermission(req, res, room, permission)) {
+      next();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use('/api/rolls/:rollId', async (req, res, next) => {
+  try {
+    const roll = db.getRollById(req.params.rollId);
+    if (!roll) {
+      return next();
+    }
+    if (await rejectWithoutRoomCode(req, res, roll.roomId)) {
+      return;
+    }
+    if (req.method === 'GET') {
+      return next();
+    }
+    const room = db.getRoomById(roll.roomId);
+    if (rejectIfArchived(res, room)) {
+      return;
+    }
+    if (!rejectWithoutPermission(req, res, room, req.path === '/reroll' ? 'roll' : 'play')) {
+      next();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Room fields for room_updated events (without rolls and participants)
+function describeRoom(room) {
+  const { rolls, participants, npcs: roomNpcs, ...summary } = room;
+  return summary;
+}
+
+// Private rooms are listed with just enough to find and join them with their code
+function redactPrivateRoom(room) {
+  if (!room.is_private) {
+    return room;
+  }
+  const { id, name, ruleset, is_private, archived_at, created_at, updated_at } = room;
+  return { id, name, ruleset, is_private, archived_at, created_at, updated_at };
+}
+
+app.get('/api/rooms', (req, res) => {
+  try {
+    const rooms = db.getRooms().map(redactPrivateRoom);
+    res.json(rooms);
+  } catch (error) {
+    console.error('Failed to get rooms:', error);
+    res.status(500).json({ error: 'Failed to retrieve rooms' });
+  }
+});
+
+app.post('/api/rooms', async (req, res) => {
+  const { name, creatorName, creatorTerraRpId, creatorTerraRPData, roomCode, rankSource = 'client', ruleset = DEFAULT_RULESET_ID } = req.body;
+  if (!name || typeof name !== 'string' || name.trim() === '') {
+    return res.status(400).json({ error: 'Room name is required and must be a non-empty string.' });
+  }
+  if (!RANK_SOURCES.includes(rankSource)) {
+    return res.status(400).json({ error: `Invalid rank source. Valid sources are: ${RANK_SOURCES.join(', ')}` });
+  }
+  if (!getRuleset(ruleset)) {
+    return res.status(400).json({ error: `Invalid ruleset. Valid rulesets are: ${getRulesets().map(r => r.id).join(', ')}` });
+  }
+  // A room code makes the room private
+  const isPrivate = roomCode !== undefined && roomCode !== null && roomCode !== '';
+  const roomCodeError = isPrivate ? checkRoomCode(roomCode) : null;
+  if (roomCodeError) {
+    return res.status(400).json({ error: roomCodeError });
+  }
+  if (typeof creatorName !== 'string' || creatorName.trim() === '') {
+    return res.status(400).json({ error: 'Creator name is required; the creator is the room\'s GM.' });
+  }
+  const id = crypto.randomUUID();
+  try {
+    const creator = creatorName.trim();
+    const roomCodeHash = isPrivate ? await hashRoomCode(roomCode) : null;
+    db.addRoom(id, name.trim(), creator, creatorTerraRpId, roomCodeHash, rankSource, ruleset);
+    // The creator joins as GM, with their TerraRP character like a join's terraRPData; their
+    // token is only ever returned here
+    const { token, tokenHash } = roomRoles.createParticipantToken();
+    db.addParticipant(id, creator, creatorTerraRPData || null, 'gm', tokenHash);
+    res.status(201).json({ ...db.getRoomById(id), participantToken: token });
+  } catch (error) {
+    console.error('Failed to create room:', error);
+    res.status(500).json({ error: 'Failed to create room' });
+  }
+});
+
+// Rename a room, change its rank source, archive it ({ archived: true }) / reopen it, or set its
+// code ({ newRoomCode: null } makes it public). Changing the code disconnects the room's sockets,
+// which have to join again with the new code.
+app.patch('/api/rooms/:roomId', async (req, res) => {
+  const { roomId } = req.params;
+  const { name, rankSource, archived, newRoomCode, ruleset: rulesetId } = req.body;
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    return res.status(400).json({ error: 'Room name must be a non-empty string.' });
+  }
+  if (rankSource !== undefined && !RANK_SOURCES.includes(rankSource)) {
+    return res.status(400).json({ error: `Invalid rank source. Valid sources are: ${RANK_SOURCES.join(', ')}` });
+  }
+  if (archived !== undefined && typeof archived !== 'boolean') {
+    return res.status(400).json({ error: 'archived must be a boolean.' });
+  }
+  const roomCodeError = newRoomCode !== undefined && newRoomCode !== null ? checkRoomCode(newRoomCode) : null;
+  if (roomCodeError) {
+    return res.status(400).json({ error: roomCodeError });
+  }
+  const ruleset = rulesetId !== undefined ? getRuleset(rulesetId) : null;
+  if (rulesetId !== undefined && !ruleset) {
+    return res.status(400).json({ error: `Invalid ruleset. Valid rulesets are: ${getRulesets().map(r => r.id).join(', ')}` });
+  }
+
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    // Only archiving or reopening is allowed while archived
+    const edits = [name, rankSource, newRoomCode, rulesetId].some(value => value !== undefined);
+    if (archived !== false && edits && rejectIfArchived(res, room)) {
+      return;
+    }
+    // Switching rulesets must leave the room's custom actions, NPCs and settings valid
+    const rulesetProblems = ruleset && ruleset.id !== room.ruleset ? checkRulesetChange(room, ruleset) : [];
+    if (rulesetProblems.length > 0) {
+      return res.status(409).json({ error: `The room does not fit ruleset '${ruleset.id}'.`, details: rulesetProblems });
+    }
+
+    let archivedAt;
+    if (archived === true) {
+      archivedAt = room.archived_at || new Date().toISOString();
+    } else if (archived === false) {
+      archivedAt = null;
+    }
+    const updated = db.updateRoom(roomId, {
+      name: name !== undefined ? name.trim() : undefined,
+      rankSource,
+      ruleset: ruleset ? ruleset.id : undefined,
+      archivedAt,
+      roomCodeHash: newRoomCode === undefined ? undefined : newRoomCode && await hashRoomCode(newRoomCode)
+    });
+    broadcastToRoom(roomId, { type: 'room_updated', roomId, payload: describeRoom(updated) });
+    if (newRoomCode !== undefined) {
+      closeRoomConnections(roomId, 'code_changed');
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error(`Failed to update room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to update room' });
+  }
+});
+
+// Delete a room with its rolls, participants and everything else in it
+app.delete('/api/rooms/:roomId', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    if (!db.deleteRoom(roomId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    closeRoomConnections(roomId, 'deleted');
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Failed to delete room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to delete room' });
+  }
+});
+
+app.get('/api/rooms/:roomId', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (room) {
+      res.json(room);
+    } else {
+      res.status(404).json({ error: 'Room not found' });
+    }
+  } catch (error) {
+    console.error(`Failed to get room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve room' });
+  }
+});
+
+// Room settings (see room-settings.js), with defaults for those the GM has not set
+app.get('/api/rooms/:roomId/settings', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(roomSettings.getRoomSettings(room));
+  } catch (error) {
+    console.error(`Failed to get settings of room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve room settings' });
+  }
+});
+
+// Change room settings; fields left out keep their value and null lifts a restriction
+app.patch('/api/rooms/:roomId/settings', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    // roomCode and participantToken may come along for private rooms and to identify the GM
+    const { roomCode, participantToken, ...input } = req.body;
+    const settings = roomSettings.readRoomSettings(input, getRoomRuleset(room), roomSettings.getRoomSettings(room));
+    db.updateRoom(roomId, { settings });
+    broadcastToRoom(roomId, { type: 'room_settings_updated', roomId, payload: settings });
+    res.json(settings);
+  } catch (error) {
+    if (error instanceof roomSettings.RoomSettingsError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Failed to update settings of room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to update room settings' });
+  }
+});
+
+// Rolls
+
+/**
+ * Calculate a roll from request parameters: an action roll (action name and ranks),
+ * a free-form dice notation roll (rollFormula without diceType) or a single die.
+ * Returns { status, error } when the parameters are invalid.
+ */
+function calculateRoll({ roomId, ruleset, actionName, weaponRank, masteryRank, rankSources, bonus, bonusSuccesses, buffs, context, rollFormula, diceType }, seed) {
+  // Check if this is an action roll or dice roll
+  const isActionRoll = actionName && weaponRank && masteryRank;
+
+  if (isActionRoll) {
+    // Find the action definition (built-in or one of the room's custom actions)
+    const action = resolveAction(ruleset, roomId, actionName);
+    if (!action) {
+      return { status: 400, error: `Unknown action: ${actionName}` };
+    }
+
+    // Validate ranks against the room's rank table
+    if (!isValidRank(ruleset, weaponRank) || !isValidRank(ruleset, masteryRank)) {
+      return { status: 400, error: 'Invalid weapon or mastery rank' };
+    }
+
+    // Validate roll context, e.g. { adjacent: true, aoe: true, targets: [...] }
+    if (context !== undefined && (typeof context !== 'object' || context === null || Array.isArray(context))) {
+      return { status: 400, error: 'Roll context must be an object.' };
+    }
+    if (context && context.targets !== undefined && !Array.isArray(context.targets)) {
+      return { status: 400, error: 'Roll context targets must be an array.' };
+    }
+
+    if (bonusSuccesses !== undefined && (action.calculableFormula.evaluation !== 'count_successes' || !Number.isInteger(bonusSuccesses))) {
+      return { status: 400, error: 'bonusSuccesses must be an integer and only applies to success pool actions.' };
+    }
+
+    // Use shared formula calculator for action rolls
+    const actionBonus = parseInt(bonus) || 0;
+    const rollResult = formulaCalculator.calculateActionRoll(action, weaponRank, masteryRank, actionBonus, { seed, context, ruleset, buffs, bonusSuccesses });
+    if (rankSources) {
+      rollResult.details.rankSources = rankSources; // Where each rank came from, see participant-ranks.js
+    }
+    return {
+      result: rollResult.result,
+      rawDiceResult: rollResult.rawDiceResult,
+      rollDetails: rollResult.details,
+      diceType: 100, // Store as d100 for action rolls (for compatibility)
+      // Snapshot the definition this roll was evaluated with
+      actionHash: recordActionVersion(action.custom ? roomId : rulesetScope(ruleset), action)
+    };
+  }
+
+  if (diceType === undefined && typeof rollFormula === 'string' && rollFormula.trim() !== '') {
+    // Free-form dice notation roll, e.g. "4d6kh3 + 2d8!>7 - 1d4 + 5"
+    let rollResult;
+    try {
+      rollResult = formulaCalculator.calculateNotationRoll(rollFormula, { seed });
+    } catch (error) {
+      if (error instanceof DiceNotationError) {
+        return { status: 400, error: `Invalid dice notation: ${error.message}` };
+      }
+      throw error;
+    }
+    return {
+      result: rollResult.result,
+      rawDiceResult: rollResult.rawDiceResult,
+      rollDetails: rollResult.details,
+      // Store the largest die in the notation as the dice type (for compatibility)
+      diceType: Math.max(...rollResult.details.diceGroups.map(group => group.sides))
+    };
+  }
+
+  // For regular dice rolls, validate dice type
+  const validDiceValues = Object.values(Dice).filter(v => typeof v === 'number');
+  if (diceType === undefined || !validDiceValues.includes(Number(diceType))) {
+    return { status: 400, error: `Invalid dice type. Valid types are: ${validDiceValues.join(', ')}` };
+  }
+
+  const rollResult = formulaCalculator.calculateDiceRoll(Number(diceType), { seed });
+  return {
+    result: rollResult.result,
+    rawDiceResult: rollResult.rawDiceResult, // For regular dice rolls, raw result equals final result
+    rollDetails: rollResult.details,
+    diceType: Number(diceType)
+  };
+}
+
+/**
+ * Store and sign a calculated roll, returning the API response for it
+ */
+function saveRoll(roomId, userName, calculated, { comment, actionName, weaponRank, masteryRank, rollFormula, avatarUrl, rerollOf, encounterTag, npcId, rolledBy }) {
+  const newRollId = crypto.randomUUID();
+  const timestamp = new Date();
+  const tag = encounterTag || {};
+
+  const newRoll = db.addRoll(
+    newRollId, 
+    roomId, 
+    userName, 
+    calculated.diceType, 
+    calculated.result, 
+    timestamp, 
+    comment,
+    actionName,
+    weaponRank,
+    masteryRank,
+    rollFormula,
+    calculated.rollDetails,
+    calculated.rawDiceResult,
+    avatarUrl,
+    rerollOf,
+    calculated.actionHash,
+    tag.encounterId,
+    tag.encounterRound,
+    tag.encounterTurn,
+    npcId,
+    rolledBy
+  );
+
+  // Sign the stored roll so later edits can be detected
+  newRoll.signature = rollIntegrity.signRoll(newRoll);
+  db.setRollSignature(newRollId, newRoll.signature);
+  
+  // Update participant activity when they make a roll (the GM's when rolling as an NPC)
+  db.updateParticipantActivity(roomId, rolledBy || userName);
+  
+  // Include roll details in response for action rolls
+  const response = { ...newRoll };
+  if (calculated.rollDetails) {
+    response.calculationDetails = calculated.rollDetails;
+  }
+  return response;
+}
+
+app.post('/api/rooms/:roomId/rolls', (req, res) => {
+  const { roomId } = req.params;
+  const { userName, diceType, comment, actionName, weaponRank, masteryRank, rollFormula, avatarUrl, bonus, bonusSuccesses, context, npcId, useBuffs } = req.body;
+
+  let actor;
+  let rollSeed;
+  let ruleset;
+  let npc = null;
+  let action = null;
+  let ranks = { weaponRank, masteryRank };
+  let buffs = [];
+  try {
+    const room = db.getRoomById(roomId); // Check if room exists
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found. Cannot add roll.' });
+    }
+    ruleset = getRoomRuleset(room);
+
+    // The roller is the participant the token identifies; a userName sent along must be theirs.
+    // Spectators cannot roll; rolling as an NPC (attributed to the NPC, audited to the roller)
+    // takes a GM
+    actor = identifyActor(req, room);
+    roomRoles.requirePermission(room, actor, 'roll');
+    if (userName !== undefined && userName !== null && (typeof userName !== 'string' || userName.trim() !== actor.name)) {
+      return res.status(403).json({ error: 'You can only roll as yourself.' });
+    }
+    if (npcId !== undefined && npcId !== null) {
+      roomRoles.requirePermission(room, actor, 'manageNpcs');
+      npc = npcs.getNpcOrThrow(roomId, npcId);
+    }
+
+    // Resolve action roll ranks from the NPC, the client or the participant's TerraRP data
+    action = actionName ? resolveAction(ruleset, roomId, actionName) : null;
+    if (action && npc) {
+      ranks = npcs.resolveNpcRanks(npc, { weaponRank, masteryRank });
+    } else if (action) {
+      ranks = resolveRollRanks(getRoomRankSource(room), actor, action, { weaponRank, masteryRank }, ruleset);
+    }
+
+    // Success pools add bonusSuccesses rather than a flat bonus or buff stacks
+    const isSuccessPool = Boolean(action) && action.calculableFormula.evaluation === 'count_successes';
+    if (isSuccessPool && (parseInt(bonus) || 0) !== 0) {
+      return res.status(400).json({ error: `${action.name} counts successes; use bonusSuccesses instead of bonus.` });
+    }
+
+    // Action rolls the roller's buff stacks apply to use them unless { useBuffs: false }
+    if (action && !isSuccessPool && useBuffs !== false) {
+      buffs = buffStacks.getStacksForRoll(roomId, npc ? npc.name : actor.name, action);
+    }
+
+    // The room's settings decide which actions, dice, ranks and bonuses are allowed. Unknown
+    // actions are left to calculateRoll.
+    const isActionRoll = Boolean(actionName && ranks.weaponRank && ranks.masteryRank);
+    if (!isActionRoll || action) {
+      roomSettings.checkRoll(roomSettings.getRoomSettings(room), ruleset, {
+        action: isActionRoll ? action : null,
+        weaponRank: ranks.weaponRank,
+        masteryRank: ranks.masteryRank,
+        bonus: parseInt(bonus) || 0,
+        buffBonus: buffs.reduce((sum, stack) => sum + stack.value, 0)
+      });
+    }
+
+    // Derive this roll's RNG seed from the room's committed server seed; its nonce is only
+    // reserved once the roll is valid and saved
+    rollSeed = rollIntegrity.peekRollSeed(roomId);
+  } catch (error) {
+    if (error instanceof RankResolutionError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof npcs.NpcError || error instanceof roomRoles.PermissionError || error instanceof roomSettings.RoomSettingsError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Failed to prepare roll for room ${roomId}:`, error);
+    return res.status(500).json({ error: 'Failed to add roll' });
+  }
+
+  try {
+    const calculated = calculateRoll({
+      roomId,
+      ruleset,
+      actionName,
+      weaponRank: ranks.weaponRank,
+      masteryRank: ranks.masteryRank,
+      rankSources: ranks.rankSources,
+      bonus,
+      bonusSuccesses,
+      buffs: buffStacks.toRollBuffs(buffs),
+      context,
+      rollFormula,
+      diceType
+    }, rollSeed.seed);
+    if (calculated.error) {
+      return res.status(calculated.status).json({ error: calculated.error });
+    }
+    calculated.rollDetails.rng.commitment = rollSeed.commitment;
+
+    if (action && action.buffStacks && calculated.actionHash) {
+      buffStacks.checkBuffTargets(action, context);
+    }
+
+    // The roll and what it changes are saved together, and only announced once saved
+    let consumedBuffs = [];
+    const response = db.runInTransaction(() => {
+      rollIntegrity.reserveRollSeed(roomId, rollSeed);
+      const saved = saveRoll(roomId, npc ? npc.name : actor.name, calculated, {
+        comment,
+        actionName,
+        weaponRank: ranks.weaponRank,
+        masteryRank: ranks.masteryRank,
+        rollFormula,
+        avatarUrl: npc ? npc.avatarUrl : avatarUrl,
+        // Tag the roll with the active encounter's round and turn
+        encounterTag: encounters.getRollEncounterTag(roomId),
+        npcId: npc ? npc.id : null,
+        rolledBy: npc ? actor.name : null
+      });
+
+      // Use up the buff stacks the roll added, and hand out the stacks of a buff roll
+      consumedBuffs = calculated.actionHash ? buffStacks.consumeBuffStacks(buffs, saved.id) : [];
+      if (action && action.buffStacks && calculated.actionHash) {
+        saved.buffStacks = buffStacks.applyRollBuffStacks(roomId, saved, action);
+      }
+
+      // Apply the statuses the action causes, e.g. Ultra Counter's Vulnerability
+      if (action && calculated.actionHash) {
+        const statusChanges = applyRollStatusEffects(roomId, saved, action, ruleset);
+        if (statusChanges.length > 0) {
+          saved.statusEffectChanges = statusChanges;
+        }
+      }
+      return saved;
+    });
+
+    // Broadcast new roll to all clients in the room
+    broadcastNewRoll(roomId, response);
+    if (consumedBuffs.length > 0 || response.buffStacks) {
+      broadcastBuffs(roomId);
+    }
+    if (response.statusEffectChanges) {
+      broadcastStatusEffects(roomId, response.statusEffectChanges);
+    }
+
+    res.status(201).json(response);
+  } catch (error) {
+    if (error instanceof buffStacks.BuffStackError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Failed to add roll to room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to add roll' });
+  }
+});
+
+// Reroll a stored roll with the same parameters. The original stays in the history and
+// the new roll references it. Each roll can only be rerolled once, rerolls cannot be
+// rerolled and each participant (or NPC) has REROLLS_PER_PARTICIPANT rerolls per room.
+app.post('/api/rolls/:rollId/reroll', (req, res) => {
+  const { rollId } = req.params;
+  const { comment } = req.body;
+
+  let original;
+  let ruleset;
+  let rollSeed;
+  try {
+    original = db.getRollById(rollId);
+    if (!original) {
+      return res.status(404).json({ error: 'Roll not found' });
+    }
+    const room = db.getRoomById(original.roomId);
+    ruleset = getRoomRuleset(room);
+    // Players can only reroll their own rolls (the rolls middleware checked they can roll)
+    const actor = identifyActor(req, room);
+    if ((original.rolledBy || original.userName) !== actor.name && actor.role !== 'gm') {
+      return res.status(403).json({ error: 'Only GMs can reroll other participants\' rolls.' });
+    }
+    const existingReroll = db.getRerollOfRoll(rollId);
+    if (existingReroll) {
+      return res.status(409).json({ error: 'Roll has already been rerolled.', rerollId: existingReroll.id });
+    }
+    if (original.rerollOf) {
+      return res.status(409).json({ error: 'A reroll cannot be rerolled again.', rerollOf: original.rerollOf });
+    }
+    if (db.countRerollsForUser(original.roomId, original.userName) >= REROLLS_PER_PARTICIPANT) {
+      return res.status(409).json({ error: `${original.userName} has used all ${REROLLS_PER_PARTICIPANT} rerolls in this room.` });
+    }
+
+    // The room's settings apply to the reroll as they stand now
+    const details = original.rollDetails || {};
+    const isActionRoll = Boolean(original.actionName && original.weaponRank && original.masteryRank);
+    const action = isActionRoll ? resolveAction(ruleset, original.roomId, original.actionName) : null;
+    if (!isActionRoll || action) {
+      roomSettings.checkRoll(roomSettings.getRoomSettings(room), ruleset, {
+        action,
+        weaponRank: original.weaponRank,
+        masteryRank: original.masteryRank,
+        bonus: details.otherBonuses || 0,
+        buffBonus: (details.buffs || []).reduce((sum, buff) => sum + buff.value, 0)
+      });
+    }
+    rollSeed = rollIntegrity.peekRollSeed(original.roomId);
+  } catch (error) {
+    if (error instanceof roomSettings.RoomSettingsError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Failed to prepare reroll of roll ${rollId}:`, error);
+    return res.status(500).json({ error: 'Failed to reroll' });
+  }
+
+  const details = original.rollDetails || {};
+  try {
+    const calculated = calculateRoll({
+      roomId: original.roomId,
+      ruleset,
+      actionName: original.actionName,
+      weaponRank: original.weaponRank,
+      masteryRank: original.masteryRank,
+      rankSources: details.rankSources,
+      bonus: details.otherBonuses,
+      bonusSuccesses: details.successPool ? details.successPool.bonusSuccesses : undefined,
+      // The buffs the original used stay used by the roll that replaces it
+      buffs: details.buffs,
+      context: original.actionName ? formulaCalculator.denormalizeRollContext(details.context) : undefined,
+      rollFormula: details.notation,
+      diceType: original.actionName || details.notation ? undefined : original.diceType
+    }, rollSeed.seed);
+    if (calculated.error) {
+      return res.status(calculated.status).json({ error: calculated.error });
+    }
+    calculated.rollDetails.rng.commitment = rollSeed.commitment;
+
+    // The reroll and what it changes are saved together, and only announced once saved
+    let transferredBuffs = [];
+    const response = db.runInTransaction(() => {
+      rollIntegrity.reserveRollSeed(original.roomId, rollSeed);
+      const saved = saveRoll(original.roomId, original.userName, calculated, {
+        comment: comment !== undefined ? comment : original.comment,
+        actionName: original.actionName,
+        weaponRank: original.weaponRank,
+        masteryRank: original.masteryRank,
+        rollFormula: original.rollFormula,
+        avatarUrl: original.avatarUrl,
+        rerollOf: original.id,
+        npcId: original.npcId,
+        rolledBy: original.rolledBy,
+        // A reroll replaces the original, so it keeps the original's encounter turn
+        encounterTag: original.encounterId
+          ? { encounterId: original.encounterId, encounterRound: original.encounterRound, encounterTurn: original.encounterTurn }
+          : null
+      });
+
+      // A rerolled buff roll's unused stacks take the new result
+      if (original.actionName) {
+        transferredBuffs = buffStacks.transferBuffStacks(original, saved);
+      }
+
+      // The reroll's statuses replace the original's, e.g. Ultra Counter's Vulnerability is
+      // removed again only if the reroll succeeds
+      if (original.actionName && calculated.actionHash) {
+        const action = resolveAction(ruleset, original.roomId, original.actionName);
+        const statusChanges = [
+          ...revertRollStatusEffects(original.roomId, original, saved.id),
+          ...applyRollStatusEffects(original.roomId, saved, action, ruleset)
+        ];
+        if (statusChanges.length > 0) {
+          saved.statusEffectChanges = statusChanges;
+        }
+      }
+      return saved;
+    });
+
+    broadcastToRoom(original.roomId, {
+      type: 'roll_rerolled',
+      roomId: original.roomId,
+      payload: { originalRollId: original.id, roll: response }
+    });
+    if (transferredBuffs.length > 0) {
+      broadcastBuffs(original.roomId);
+    }
+    if (response.statusEffectChanges) {
+      broadcastStatusEffects(original.roomId, response.statusEffectChanges);
+    }
+
+    res.status(201).json(response);
+  } catch (error) {
+    console.error(`Failed to reroll roll ${rollId}:`, error);
+    res.status(500).json({ error: 'Failed to reroll' });
+  }
+});
+
+// Get a single roll, optionally rendered as text, markdown, bbcode or html (?format=)
+app.get('/api/rolls/:rollId', (req, res) => {
+  const { rollId } = req.params;
+  const { format } = req.query;
+
+  if (format !== undefined && !ROLL_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format. Valid formats are: ${ROLL_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const roll = db.getRollById(rollId);
+    if (!roll) {
+      return res.status(404).json({ error: 'Roll not found' });
+    }
+
+    const response = { ...roll, actionDefinition: getRollActionDefinition(roll) || undefined };
+    if (format) {
+      return res.json({ ...response, format, rendered: renderRoll(roll, format) });
+    }
+    res.json(response);
+  } catch (error) {
+    console.error(`Failed to get roll ${rollId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve roll' });
+  }
+});
+
+// Verify a roll's signature, replay it from its seed and check the room seed commitment
+app.get('/api/rolls/:rollId/verify', (req, res) => {
+  const { rollId } = req.params;
+
+  try {
+    const roll = db.getRollById(rollId);
+    if (!roll) {
+      return res.status(404).json({ error: 'Roll not found' });
+    }
+
+    const signatureValid = rollIntegrity.verifyRollSignature(roll);
+
+    // Replay with the definition the roll was made with, falling back to the current one for older rolls
+    const ruleset = getRoomRuleset(db.getRoomById(roll.roomId));
+    const action = roll.actionName ? getRollActionDefinition(roll) || resolveAction(ruleset, roll.roomId, roll.actionName) : null;
+    const replayed = formulaCalculator.replayRoll(roll, action, ruleset);
+    const replay = replayed
+      ? { available: true, result: replayed.result, matches: replayed.result === roll.result }
+      : { available: false };
+
+    const commitment = rollIntegrity.verifyRollCommitment(roll);
+
+    // A roll whose server seed is still secret cannot be checked against its commitment yet:
+    // it is 'pending' until the seed is revealed. Rolls made before commit-reveal have no
+    // commitment and are checked by signature and replay alone.
+    const checksPass = signatureValid && replay.available && replay.matches && commitment.valid !== false;
+    let status = checksPass ? 'verified' : 'failed';
+    if (checksPass && commitment.available && !commitment.revealed) {
+      status = 'pending';
+    }
+    res.json({
+      rollId,
+      roomId: roll.roomId,
+      result: roll.result,
+      signed: Boolean(roll.signature),
+      signatureValid,
+      replay,
+      commitment,
+      status,
+      verified: status === 'verified'
+    });
+  } catch (error) {
+    console.error(`Failed to verify roll ${rollId}:`, error);
+    res.status(500).json({ error: 'Failed to verify roll' });
+  }
+});
+
+// Current server seed commitment for a room, plus previously revealed seeds
+app.get('/api/rooms/:roomId/seed', (req, res) => {
+  const { roomId } = req.params;
+
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    res.json({
+      current: rollIntegrity.publicRoomSeed(rollIntegrity.getActiveRoomSeed(roomId)),
+      revealed: db.getRevealedRoomSeeds(roomId).map(rollIntegrity.publicRoomSeed)
+    });
+  } catch (error) {
+    console.error(`Failed to get seed for room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve room seed' });
+  }
+});
+
+// Reveal the room's server seed so past rolls can be checked, and commit to a new one
+app.post('/api/rooms/:roomId/seed/reveal', (req, res) => {
+  const { roomId } = req.params;
+
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const rotation = rollIntegrity.rotateRoomSeed(roomId);
+
+    broadcastToRoom(roomId, {
+      type: 'seed_revealed',
+      roomId: roomId,
+      payload: rotation
+    });
+
+    res.json(rotation);
+  } catch (error) {
+    console.error(`Failed to reveal seed for room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to reveal room seed' });
+  }
+});
+
+// Status effects: [Protected], Vulnerability and curable conditions on the room's participants
+function broadcastStatusEffects(roomId, changes) {
+  broadcastToRoom(roomId, {
+    type: 'status_effects_updated',
+    roomId,
+    payload: { changes, effects: db.getActiveStatusEffects(roomId) }
+  });
+}
+
+// Active effects in the room, optionally for one target (?target=)
+app.get('/api/rooms/:roomId/status-effects', (req, res) => {
+  const { roomId } = req.params;
+  const { target } = req.query;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(db.getActiveStatusEffects(roomId, typeof target === 'string' && target !== '' ? target : null));
+  } catch (error) {
+    console.error(`Failed to get status effects for room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve status effects' });
+  }
+});
+
+// Apply an effect to a target, adding stacks if it already has it
+app.post('/api/rooms/:roomId/status-effects', (req, res) => {
+  const { roomId } = req.params;
+  const { targetName, effect, stacks, rounds, cleansable, maxStacks } = req.body;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const change = applyStatusEffect(roomId, targetName, {
+      effect,
+      stacks,
+      rounds: rounds === undefined ? null : rounds,
+      cleansable,
+      maxStacks,
+      appliedBy: readActorName(req, roomId)
+    });
+    broadcastStatusEffects(roomId, [change]);
+    res.status(change.change === 'applied' ? 201 : 200).json(change);
+  } catch (error) {
+    if (error instanceof StatusEffectError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Failed to apply status effect in room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to apply status effect' });
+  }
+});
+
+app.delete('/api/rooms/:roomId/status-effects/:effectId', (req, res) => {
+  const { roomId, effectId } = req.params;
+  try {
+    const effect = db.getStatusEffectById(effectId);
+    if (!effect || effect.roomId !== roomId || effect.endedAt) {
+      return res.status(404).json({ error: 'Status effect not found' });
+    }
+
+    const change = removeStatusEffect(effect, 'removed');
+    broadcastStatusEffects(roomId, [change]);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Failed to remove status effect ${effectId}:`, error);
+    res.status(500).json({ error: 'Failed to remove status effect' });
+  }
+});
+
+// Cleanse curable conditions from a target, one per charge
+app.post('/api/rooms/:roomId/status-effects/cleanse', (req, res) => {
+  const { roomId } = req.params;
+  const { targetName, charges = 1 } = req.body;
+  if (typeof targetName !== 'string' || targetName.trim() === '') {
+    return res.status(400).json({ error: 'Status effect target is required.' });
+  }
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const change = cleanseStatusEffects(roomId, targetName.trim(), charges);
+    broadcastStatusEffects(roomId, [change]);
+    res.json(change);
+  } catch (error) {
+    if (error instanceof StatusEffectError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Failed to cleanse status effects in room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to cleanse status effects' });
+  }
+});
+
+// End the round: timed effects count down and expire
+app.post('/api/rooms/:roomId/status-effects/end-round', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const changes = endStatusEffectRound(roomId);
+    const expiredBuffs = buffStacks.endBuffStackRound(roomId);
+    broadcastStatusEffects(roomId, changes);
+    if (expiredBuffs.length > 0) {
+      broadcastBuffs(roomId, expiredBuffs);
+    }
+    res.json({ expired: changes.map(change => change.effect), effects: db.getActiveStatusEffects(roomId), expiredBuffs });
+  } catch (error) {
+    console.error(`Failed to end round for room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to end round' });
+  }
+});
+
+// Buff stacks handed out by buff rolls, used up by their targets' next action rolls
+function broadcastBuffs(roomId, expired = []) {
+  broadcastToRoom(roomId, {
+    type: 'buffs_updated',
+    roomId,
+    payload: { stacks: db.getActiveBuffStacks(roomId), expired }
+  });
+}
+
+// Active stacks in the room, optionally for one target (?target=)
+app.get('/api/rooms/:roomId/buffs', (req, res) => {
+  const { roomId } = req.params;
+  const { target } = req.query;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(db.getActiveBuffStacks(roomId, typeof target === 'string' && target !== '' ? target : null));
+  } catch (error) {
+    console.error(`Failed to get buff stacks for room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve buff stacks' });
+  }
+});
+
+// Encounters: combatants, rounds and turns inside a room
+function broadcastEncounter(type, encounter) {
+  broadcastToRoom(encounter.roomId, { type, roomId: encounter.roomId, payload: encounter });
+}
+
+// Broadcast an encounter change, plus the status effects and buff stacks that expired if a round ended
+function broadcastEncounterChange({ encounter, roundEnded, statusChanges = [], expiredBuffs = [] }) {
+  broadcastEncounter('encounter_updated', { ...encounter, roundEnded });
+  if (statusChanges.length > 0) {
+    broadcastStatusEffects(encounter.roomId, statusChanges);
+  }
+  if (expiredBuffs.length > 0) {
+    broadcastBuffs(encounter.roomId, expiredBuffs);
+  }
+}
+
+function sendEncounterError(res, error, action) {
+  if (error instanceof encounters.EncounterError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Failed to ${action}:`, error);
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+app.get('/api/rooms/:roomId/encounters', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(db.getEncountersForRoom(roomId).map(encounters.describeEncounter));
+  } catch (error) {
+    sendEncounterError(res, error, 'retrieve encounters');
+  }
+});
+
+app.get('/api/rooms/:roomId/encounters/active', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const encounter = db.getActiveEncounter(roomId);
+    if (!encounter) {
+      return res.status(404).json({ error: 'No active encounter' });
+    }
+    res.json(encounters.describeEncounter(encounter));
+  } catch (error) {
+    sendEncounterError(res, error, 'retrieve encounter');
+  }
+});
+
+app.get('/api/rooms/:roomId/encounters/:encounterId', (req, res) => {
+  const { roomId, encounterId } = req.params;
+  try {
+    const encounter = db.getEncounterById(encounterId);
+    if (!encounter || encounter.roomId !== roomId) {
+      return res.status(404).json({ error: 'Encounter not found' });
+    }
+    res.json(encounters.describeEncounter(encounter));
+  } catch (error) {
+    sendEncounterError(res, error, 'retrieve encounter');
+  }
+});
+
+// Start an encounter with { name, combatants: [name | { name, initiative }] }
+app.post('/api/rooms/:roomId/encounters', (req, res) => {
+  const { roomId } = req.params;
+  const { name, combatants } = req.body;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const encounter = encounters.startEncounter(roomId, {
+      name: typeof name === 'string' && name.trim() !== '' ? name.trim() : null,
+      combatants: combatants === undefined ? [] : combatants,
+      createdBy: readActorName(req, roomId)
+    });
+    broadcastEncounter('encounter_started', encounter);
+    res.status(201).json(encounter);
+  } catch (error) {
+    sendEncounterError(res, error, 'start encounter');
+  }
+});
+
+app.post('/api/rooms/:roomId/encounters/:encounterId/advance', (req, res) => {
+  const { roomId, encounterId } = req.params;
+  try {
+    const change = encounters.advanceTurn(roomId, encounterId);
+    broadcastEncounterChange(change);
+    res.json({ ...change.encounter, roundEnded: change.roundEnded });
+  } catch (error) {
+    sendEncounterError(res, error, 'advance turn');
+  }
+});
+
+app.post('/api/rooms/:roomId/encounters/:encounterId/combatants', (req, res) => {
+  const { roomId, encounterId } = req.params;
+  const { name, initiative } = req.body;
+  try {
+    const encounter = encounters.addCombatant(roomId, encounterId, { name, initiative });
+    broadcastEncounterChange({ encounter, roundEnded: false });
+    res.status(201).json(encounter);
+  } catch (error) {
+    sendEncounterError(res, error, 'add combatant');
+  }
+});
+
+app.delete('/api/rooms/:roomId/encounters/:encounterId/combatants/:combatantId', (req, res) => {
+  const { roomId, encounterId, combatantId } = req.params;
+  try {
+    const change = encounters.removeCombatant(roomId, encounterId, combatantId);
+    broadcastEncounterChange(change);
+    res.json({ ...change.encounter, roundEnded: change.roundEnded });
+  } catch (error) {
+    sendEncounterError(res, error, 'remove combatant');
+  }
+});
+
+app.post('/api/rooms/:roomId/encounters/:encounterId/end', (req, res) => {
+  const { roomId, encounterId } = req.params;
+  try {
+    const encounter = encounters.endEncounter(roomId, encounterId);
+    broadcastEncounter('encounter_ended', encounter);
+    res.json(encounter);
+  } catch (error) {
+    sendEncounterError(res, error, 'end encounter');
+  }
+});
+
+// HP pools and roll results applied to them as damage or healing
+function broadcastHp(roomId, application = null) {
+  broadcastToRoom(roomId, {
+    type: 'hp_updated',
+    roomId,
+    payload: { pools: db.getHpPoolsForRoom(roomId), application }
+  });
+}
+
+function sendHpError(res, error, action) {
+  if (error instanceof HpPoolError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Failed to ${action}:`, error);
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+app.get('/api/rooms/:roomId/hp', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(db.getHpPoolsForRoom(roomId));
+  } catch (error) {
+    sendHpError(res, error, 'retrieve HP');
+  }
+});
+
+// Applications of roll results, newest first
+app.get('/api/rooms/:roomId/hp/applications', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(db.getHpApplicationsForRoom(roomId));
+  } catch (error) {
+    sendHpError(res, error, 'retrieve HP applications');
+  }
+});
+
+// Create or update a target's HP pool with { hp, maxHp }
+app.put('/api/rooms/:roomId/hp/:targetName', (req, res) => {
+  const { roomId, targetName } = req.params;
+  const { hp, maxHp } = req.body;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const pool = setHpPool(roomId, targetName, { hp, maxHp });
+    broadcastHp(roomId);
+    res.json(pool);
+  } catch (error) {
+    sendHpError(res, error, 'update HP');
+  }
+});
+
+app.delete('/api/rooms/:roomId/hp/:targetName', (req, res) => {
+  const { roomId, targetName } = req.params;
+  try {
+    if (!db.deleteHpPool(roomId, targetName)) {
+      return res.status(404).json({ error: 'HP pool not found' });
+    }
+    broadcastHp(roomId);
+    res.status(204).end();
+  } catch (error) {
+    sendHpError(res, error, 'delete HP pool');
+  }
+});
+
+// Apply an action roll's result to its targets (or { targets: [...] }) as damage or healing
+app.post('/api/rolls/:rollId/apply', (req, res) => {
+  const { rollId } = req.params;
+  const { targets } = req.body;
+  try {
+    const roll = db.getRollById(rollId);
+    if (!roll) {
+      return res.status(404).json({ error: 'Roll not found' });
+    }
+    if (!roll.actionName) {
+      return res.status(400).json({ error: 'Only action rolls can be applied to HP.' });
+    }
+    const reroll = db.getRerollOfRoll(rollId);
+    if (reroll) {
+      return res.status(409).json({ error: 'Roll has been rerolled; apply the reroll instead.', rerollId: reroll.id });
+    }
 
-// Simple rate limiting middleware
-const requestCounts = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const MAX_REQUESTS_PER_WINDOW = 100;
+    const ruleset = getRoomRuleset(db.getRoomById(roll.roomId));
+    const action = getStoredRollAction(ruleset, roll);
+    if (!action) {
+      return res.status(400).json({ error: `Unknown action: ${roll.actionName}` });
+    }
 
-function rateLimit(req, res, next) {
-  const clientId = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  
-  if (!requestCounts.has(clientId)) {
-    requestCounts.set(clientId, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-    return next();
+    const application = applyRollToTargets(roll, action, ruleset, {
+      targets,
+      appliedBy: readActorName(req, roll.roomId)
+    });
+    broadcastHp(roll.roomId, application);
+    res.status(201).json(application);
+  } catch (error) {
+    sendHpError(res, error, 'apply roll');
   }
-  
-  const clientData = requestCounts.get(clientId);
-  
-  if (now > clientData.resetTime) {
-    clientData.count = 1;
-    clientData.resetTime = now + RATE_LIMIT_WINDOW;
-    return next();
+});
+
+app.post('/api/rooms/:roomId/hp/applications/:applicationId/undo', (req, res) => {
+  const { roomId, applicationId } = req.params;
+  try {
+    const application = undoHpApplication(roomId, applicationId, readActorName(req, roomId));
+    broadcastHp(roomId, application);
+    res.json(application);
+  } catch (error) {
+    sendHpError(res, error, 'undo HP application');
   }
-  
-  if (clientData.count >= MAX_REQUESTS_PER_WINDOW) {
-    return res.status(429).json({ error: 'Rate limit exceeded. Try again later.' });
+});
+
+// NPCs the GM controls; rolls can be made as them with { npcId } on the roll route
+function broadcastNpcs(roomId) {
+  broadcastToRoom(roomId, {
+    type: 'npcs_updated',
+    roomId,
+    payload: { npcs: db.getNpcsForRoom(roomId) }
+  });
+}
+
+function sendNpcError(res, error, action) {
+  if (error instanceof npcs.NpcError) {
+    return res.status(error.status).json({ error: error.message });
   }
-  
-  clientData.count++;
-  next();
+  console.error(`Failed to ${action}:`, error);
+  res.status(500).json({ error: `Failed to ${action}` });
 }
 
-app.use(rateLimit);
+app.get('/api/rooms/:roomId/npcs', (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(room.npcs);
+  } catch (error) {
+    sendNpcError(res, error, 'retrieve NPCs');
+  }
+});
 
-// --- API Endpoints ---
+// Create an NPC with { name, weaponRank, masteryRank, armorRank, armorType, avatarUrl, stats, maxHp }
+app.post('/api/rooms/:roomId/npcs', (req, res) => {
+  const { roomId } = req.params;
+  const fields = req.body;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const npc = npcs.createNpc(roomId, getRoomRuleset(room), fields, readActorName(req, roomId));
+    broadcastNpcs(roomId);
+    if (fields.maxHp !== undefined) {
+      broadcastHp(roomId);
+    }
+    res.status(201).json(npc);
+  } catch (error) {
+    sendNpcError(res, error, 'create NPC');
+  }
+});
 
-// Get actions and ranks
-app.get('/api/actions', (req, res) => {
+app.put('/api/rooms/:roomId/npcs/:npcId', (req, res) => {
+  const { roomId, npcId } = req.params;
+  const { weaponRank, masteryRank, armorRank, armorType, avatarUrl, stats, name } = req.body;
   try {
-    res.json({
-      actions: ACTIONS,
-      categories: ACTION_CATEGORIES,
-      rankBonuses: RANK_BONUSES
-    });
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const fields = Object.fromEntries(
+      Object.entries({ name, weaponRank, masteryRank, armorRank, armorType, avatarUrl, stats }).filter(([, value]) => value !== undefined)
+    );
+    const npc = npcs.updateNpc(roomId, npcId, getRoomRuleset(room), fields);
+    broadcastNpcs(roomId);
+    res.json(npc);
   } catch (error) {
-    console.error('Failed to get actions:', error);
-    res.status(500).json({ error: 'Failed to retrieve actions' });
+    sendNpcError(res, error, 'update NPC');
   }
 });
 
-// Rooms
-app.get('/api/rooms', (req, res) => {
+app.delete('/api/rooms/:roomId/npcs/:npcId', (req, res) => {
+  const { roomId, npcId } = req.params;
   try {
-    const rooms = db.getRooms();
-    res.json(rooms);
+    npcs.deleteNpc(roomId, npcId);
+    broadcastNpcs(roomId);
+    broadcastHp(roomId);
+    res.status(204).end();
   } catch (error) {
-    console.error('Failed to get rooms:', error);
-    res.status(500).json({ error: 'Failed to retrieve rooms' });
+    sendNpcError(res, error, 'delete NPC');
   }
 });
 
-app.post('/api/rooms', (req, res) => {
-  const { name, creatorName, creatorTerraRpId, roomCode } = req.body;
-  if (!name || typeof name !== 'string' || name.trim() === '') {
-    return res.status(400).json({ error: 'Room name is required and must be a non-empty string.' });
+// Defense resolution: attacks against one target, mitigated by defensive rolls and armor
+function broadcastDefenseResolution(roomId, resolution) {
+  broadcastToRoom(roomId, {
+    type: 'defense_resolutions_updated',
+    roomId,
+    payload: { resolution }
+  });
+}
+
+function sendDefenseError(res, error, action) {
+  if (error instanceof DefenseResolutionError) {
+    return res.status(error.status).json({ error: error.message });
   }
-  const id = crypto.randomUUID();
+  console.error(`Failed to ${action}:`, error);
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+app.get('/api/rooms/:roomId/defense-resolutions', (req, res) => {
+  const { roomId } = req.params;
   try {
-    const newRoom = db.addRoom(id, name.trim(), creatorName, creatorTerraRpId, roomCode);
-    res.status(201).json(newRoom);
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(db.getDefenseResolutionsForRoom(roomId));
   } catch (error) {
-    console.error('Failed to create room:', error);
-    res.status(500).json({ error: 'Failed to create room' });
+    sendDefenseError(res, error, 'retrieve defense resolutions');
   }
 });
 
-app.get('/api/rooms/:roomId', (req, res) => {
+// Resolve an attack roll against { targetName, defenses: [{ rollId, mitigation? }] }
+app.post('/api/rolls/:rollId/resolve-defense', (req, res) => {
+  const { rollId } = req.params;
+  const { targetName, defenses, ignoreArmor } = req.body;
+  try {
+    const roll = db.getRollById(rollId);
+    if (!roll) {
+      return res.status(404).json({ error: 'Roll not found' });
+    }
+    const ruleset = getRoomRuleset(db.getRoomById(roll.roomId));
+    const resolution = resolveDefense(roll, {
+      targetName,
+      defenses,
+      ignoreArmor,
+      resolvedBy: readActorName(req, roll.roomId)
+    }, { ruleset, getAction: stored => getStoredRollAction(ruleset, stored) });
+    broadcastDefenseResolution(roll.roomId, resolution);
+    res.status(201).json(resolution);
+  } catch (error) {
+    sendDefenseError(res, error, 'resolve defense');
+  }
+});
+
+app.post('/api/rooms/:roomId/defense-resolutions/:resolutionId/undo', (req, res) => {
+  const { roomId, resolutionId } = req.params;
+  try {
+    const resolution = undoDefenseResolution(roomId, resolutionId, readActorName(req, roomId));
+    broadcastDefenseResolution(roomId, resolution);
+    res.json(resolution);
+  } catch (error) {
+    sendDefenseError(res, error, 'undo defense resolution');
+  }
+});
+
+// Custom actions: homebrew actions scoped to one room, validated like the built-ins
+function pickCustomActionDefinition(body) {
+  const definition = { type: 'Roll' };
+  for (const field of ACTION_DEFINITION_FIELDS) {
+    if (body[field] !== undefined) {
+      definition[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  }
+  return definition;
+}
+
+// Validate a custom action, returning { status, error } or null when it can be stored
+function checkCustomAction(room, definition, actionId = null) {
+  const ruleset = getRoomRuleset(room);
+  const errors = validateActionDefinition(definition, ruleset);
+  if (errors.length > 0) {
+    return { status: 400, error: 'Invalid action definition.', details: errors };
+  }
+  if (ruleset.actions.some(a => a.name === definition.name)) {
+    return { status: 409, error: `'${definition.name}' is a built-in action.` };
+  }
+  const existing = db.getCustomActionByName(room.id, definition.name);
+  if (existing && existing.id !== actionId) {
+    return { status: 409, error: `This room already has an action named '${definition.name}'.` };
+  }
+  return null;
+}
+
+function broadcastCustomActions(roomId) {
+  broadcastToRoom(roomId, {
+    type: 'custom_actions_updated',
+    roomId,
+    payload: { actions: db.getCustomActionsForRoom(roomId) }
+  });
+}
+
+app.get('/api/rooms/:roomId/actions', (req, res) => {
   const { roomId } = req.params;
   try {
     const room = db.getRoomById(roomId);
-    if (room) {
-      res.json(room);
-    } else {
-      res.status(404).json({ error: 'Room not found' });
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
     }
+    res.json(db.getCustomActionsForRoom(roomId).map(withActionHash));
   } catch (error) {
-    console.error(`Failed to get room ${roomId}:`, error);
-    res.status(500).json({ error: 'Failed to retrieve room' });
+    console.error(`Failed to get custom actions for room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve custom actions' });
   }
 });
 
-// Rolls
-app.post('/api/rooms/:roomId/rolls', async (req, res) => {
+app.post('/api/rooms/:roomId/actions', (req, res) => {
   const { roomId } = req.params;
-  const { userName, diceType, comment, actionName, weaponRank, masteryRank, rollFormula, avatarUrl, bonus } = req.body;
+  const definition = pickCustomActionDefinition(req.body);
 
-  if (!userName || typeof userName !== 'string' || userName.trim() === '') {
-    return res.status(400).json({ error: 'User name is required.' });
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const problem = checkCustomAction(room, definition);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error, details: problem.details });
+    }
+
+    const { name, ...rest } = definition;
+    const customAction = db.addCustomAction(crypto.randomUUID(), roomId, name, rest, readActorName(req, roomId));
+    recordActionVersion(roomId, customAction);
+    broadcastCustomActions(roomId);
+    res.status(201).json(withActionHash(customAction));
+  } catch (error) {
+    console.error(`Failed to create custom action in room ${roomId}:`, error);
+    res.status(500).json({ error: 'Failed to create custom action' });
   }
+});
 
-  // Check if this is an action roll or dice roll
-  const isActionRoll = actionName && weaponRank && masteryRank;
-  
-  let result;
-  let rawDiceResult = null;
-  let actualDiceType = null;
-  let rollDetails = null;
+// Replace a custom action's definition
+app.put('/api/rooms/:roomId/actions/:actionId', (req, res) => {
+  const { roomId, actionId } = req.params;
+  const definition = pickCustomActionDefinition(req.body);
 
-  if (isActionRoll) {
-    // Find the action definition
-    const action = ACTIONS.find(a => a.name === actionName);
-    if (!action) {
-      return res.status(400).json({ error: `Unknown action: ${actionName}` });
+  try {
+    const existing = db.getCustomActionById(actionId);
+    if (!existing || existing.roomId !== roomId) {
+      return res.status(404).json({ error: 'Custom action not found' });
     }
 
-    // Validate ranks
-    if (RANK_BONUSES[weaponRank] === undefined || RANK_BONUSES[masteryRank] === undefined) {
-      return res.status(400).json({ error: 'Invalid weapon or mastery rank' });
+    const problem = checkCustomAction(db.getRoomById(roomId), definition, actionId);
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error, details: problem.details });
     }
 
-    // Use shared formula calculator for action rolls
-    const actionBonus = parseInt(bonus) || 0;
-    const rollResult = formulaCalculator.calculateActionRoll(action, weaponRank, masteryRank, actionBonus);
-    result = rollResult.result;
-    rawDiceResult = rollResult.rawDiceResult;
-    rollDetails = rollResult.details;
-    actualDiceType = 100; // Store as d100 for action rolls (for compatibility)
-  } else {
-    // For regular dice rolls, validate dice type
-    const validDiceValues = Object.values(Dice).filter(v => typeof v === 'number');
-    if (diceType === undefined || !validDiceValues.includes(Number(diceType))) {
-       return res.status(400).json({ error: `Invalid dice type. Valid types are: ${validDiceValues.join(', ')}` });
-    }
-    
-    actualDiceType = Number(diceType);
-    result = Math.floor(Math.random() * actualDiceType) + 1;
-    rawDiceResult = result; // For regular dice rolls, raw result equals final result
+    const { name, ...rest } = definition;
+    const customAction = db.updateCustomAction(actionId, name, rest);
+    recordActionVersion(roomId, customAction);
+    broadcastCustomActions(roomId);
+    res.json(withActionHash(customAction));
+  } catch (error) {
+    console.error(`Failed to update custom action ${actionId}:`, error);
+    res.status(500).json({ error: 'Failed to update custom action' });
   }
+});
 
-  const newRollId = crypto.randomUUID();
-  const timestamp = new Date();
+app.delete('/api/rooms/:roomId/actions/:actionId', (req, res) => {
+  const { roomId, actionId } = req.params;
 
   try {
-    const room = db.getRoomById(roomId); // Check if room exists
-    if (!room) {
-      return res.status(404).json({ error: 'Room not found. Cannot add roll.' });
+    const existing = db.getCustomActionById(actionId);
+    if (!existing || existing.roomId !== roomId) {
+      return res.status(404).json({ error: 'Custom action not found' });
     }
 
-    const newRoll = db.addRoll(
-      newRollId, 
-      roomId, 
-      userName.trim(), 
-      actualDiceType, 
-      result, 
-      timestamp, 
-      comment,
-      actionName,
-      weaponRank,
-      masteryRank,
-      rollFormula,
-      rollDetails,
-      rawDiceResult,
-      avatarUrl
-    );
-    
-    // Update participant activity when they make a roll
-    db.updateParticipantActivity(roomId, userName.trim());
-    
-    // Include roll details in response for action rolls
-    const response = { ...newRoll };
-    if (rollDetails) {
-      response.calculationDetails = rollDetails;
-    }
-    
-    // Broadcast new roll to all clients in the room
-    broadcastToRoom(roomId, {
-      type: 'new_roll',
-      roomId: roomId,
-      payload: response
-    });
-    
-    res.status(201).json(response);
+    db.deleteCustomAction(actionId);
+    broadcastCustomActions(roomId);
+    res.status(204).end();
   } catch (error) {
-    console.error(`Failed to add roll to room ${roomId}:`, error);
-    res.status(500).json({ error: 'Failed to add roll' });
+    console.error(`Failed to delete custom action ${actionId}:`, error);
+    res.status(500).json({ error: 'Failed to delete custom action' });
   }
 });
 
-// Join a room as a participant
+// Join a room as a participant ({ role: 'spectator' } to only watch). New participants get their
+// participantToken in the response, and only there; participants joining again send it along and
+// keep their role. The creator joined as GM when creating the room.
 app.post('/api/rooms/:roomId/join', (req, res) => {
   const { roomId } = req.params;
-  const { userName, terraRPData } = req.body;
+  const { userName, terraRPData, role } = req.body;
 
   if (!userName || typeof userName !== 'string' || userName.trim() === '') {
     return res.status(400).json({ error: 'User name is required.' });
@@ -242,13 +1839,35 @@ app.post('/api/rooms/:roomId/join', (req, res) => {
     }
 
     if (existingParticipant) {
+      // Joining again takes the participant's token. Those who joined before tokens get one from
+      // the GM or by claiming their name with the room code, never by joining.
+      if (!db.getParticipantTokenHash(roomId, existingParticipant.name)) {
+        return res.status(403).json({
+          error: `${existingParticipant.name} joined before participant tokens. Ask the GM to issue you a token, or claim the name with the room code of a private room.`
+        });
+      }
+      const actor = identifyActor(req, room);
+      if (!actor || actor.name !== existingParticipant.name) {
+        return res.status(403).json({ error: `${existingParticipant.name} has already joined; send their participant token to join again.` });
+      }
       // Update last activity for existing participant
       db.updateParticipantActivity(roomId, existingParticipant.name);
       return res.json(existingParticipant);
     }
 
-    // Create new participant
-    const newParticipant = db.addParticipant(roomId, userName.trim(), terraRPData);
+    if (db.getNpcByName(roomId, userName.trim())) {
+      return res.status(409).json({ error: `${userName.trim()} is an NPC in this room.` });
+    }
+
+    // Create new participant; the first one in a room without a creator becomes it
+    const joinRole = roomRoles.getJoinRole(room, userName.trim(), role);
+    const { token, tokenHash } = roomRoles.createParticipantToken();
+    const newParticipant = db.runInTransaction(() => {
+      if (!room.creator_name) {
+        db.updateRoom(roomId, { creatorName: userName.trim() });
+      }
+      return db.addParticipant(roomId, userName.trim(), terraRPData, joinRole, tokenHash);
+    });
     
     // Broadcast new participant to all clients in the room
     broadcastToRoom(roomId, {
@@ -257,16 +1876,20 @@ app.post('/api/rooms/:roomId/join', (req, res) => {
       payload: newParticipant
     });
     
-    res.status(201).json(newParticipant);
+    res.status(201).json({ ...newParticipant, participantToken: token });
   } catch (error) {
+    if (error instanceof roomRoles.PermissionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error joining room as participant:', error);
     res.status(500).json({ error: 'Failed to join room' });
   }
 });
 
-// Get room participants
+// Get room participants; ?includeNpcs=true adds the room's NPCs, each entry tagged with its kind
 app.get('/api/rooms/:roomId/participants', (req, res) => {
   const { roomId } = req.params;
+  const { includeNpcs } = req.query;
   
   try {
     const room = db.getRoomById(roomId);
@@ -274,6 +1897,9 @@ app.get('/api/rooms/:roomId/participants', (req, res) => {
       return res.status(404).json({ error: 'Room not found' });
     }
 
+    if (includeNpcs === 'true') {
+      return res.json(npcs.listRoomCharacters(roomId));
+    }
     const participants = db.getParticipantsForRoomDbQuery(roomId);
     res.json(participants);
   } catch (error) {
@@ -282,6 +1908,81 @@ app.get('/api/rooms/:roomId/participants', (req, res) => {
   }
 });
 
+function sendModerationError(res, error, action) {
+  if (error instanceof roomRoles.PermissionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Failed to ${action}:`, error);
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+// Change a participant's role with { role: 'gm' | 'player' | 'spectator' }; only the room's
+// creator can promote or demote co-GMs
+app.put('/api/rooms/:roomId/participants/:name/role', (req, res) => {
+  const { roomId, name } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const participant = roomRoles.setParticipantRole(room, identifyActor(req, room), name, req.body.role);
+    broadcastToRoom(roomId, { type: 'participant_updated', roomId, payload: participant });
+    res.json(participant);
+  } catch (error) {
+    sendModerationError(res, error, 'change participant role');
+  }
+});
+
+// Issue a participant a new token (they lost theirs, or joined before tokens existed); the old
+// token stops working and their sockets are taken out of the room
+app.post('/api/rooms/:roomId/participants/:name/token', (req, res) => {
+  const { roomId, name } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const { participant, token } = roomRoles.issueParticipantToken(room, identifyActor(req, room), name);
+    removeUserConnections(roomId, participant.name);
+    res.json({ ...participant, participantToken: token });
+  } catch (error) {
+    sendModerationError(res, error, 'issue participant token');
+  }
+});
+
+// Claim a name that joined before tokens existed, with the room code of a private room
+app.post('/api/rooms/:roomId/participants/:name/claim', (req, res) => {
+  const { roomId, name } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const { participant, token } = roomRoles.claimParticipant(room, name);
+    db.updateParticipantActivity(roomId, participant.name);
+    res.json({ ...participant, participantToken: token });
+  } catch (error) {
+    sendModerationError(res, error, 'claim participant');
+  }
+});
+
+// Remove a participant; their sockets are taken out of the room
+app.delete('/api/rooms/:roomId/participants/:name', (req, res) => {
+  const { roomId, name } = req.params;
+  try {
+    const room = db.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const participant = roomRoles.removeParticipant(room, identifyActor(req, room), name);
+    broadcastToRoom(roomId, { type: 'participant_removed', roomId, payload: { name: participant.name } });
+    removeUserConnections(roomId, participant.name);
+    res.status(204).end();
+  } catch (error) {
+    sendModerationError(res, error, 'remove participant');
+  }
+});
+
 // Proxy endpoint for TerraRP API
 app.get('/api/terrarp-user/:userId', async (req, res) => {
   const { userId } = req.params;
@@ -343,6 +2044,8 @@ const server = http.createServer(app);
 // WebSocket connection management
 const roomConnections = new Map(); // roomId -> Set<websocket>
 const connectionRooms = new Map(); // websocket -> roomId
+const connectionRenderFormats = new Map(); // websocket -> roll formats rendered into new_roll events
+const connectionUsers = new Map(); // websocket -> name of the participant whose token it joined with
 
 // Create WebSocket server
 const wss = new WebSocket.Server({ server });
@@ -380,7 +2083,7 @@ function handleWebSocketMessage(ws, data) {
   switch (type) {
     case 'join_room':
       if (roomId) {
-        joinRoom(ws, roomId, payload);
+        joinRoom(ws, roomId, payload).catch(error => console.error(`Failed to join room ${roomId} over WebSocket:`, error));
       } else {
         ws.send(JSON.stringify({ type: 'error', message: 'Room ID required' }));
       }
@@ -403,14 +2106,29 @@ function handleWebSocketMessage(ws, data) {
   }
 }
 
-function joinRoom(ws, roomId, payload = {}) {
+async function joinRoom(ws, roomId, payload = {}) {
   // Verify room exists
+  let room;
+  let participant = null;
   try {
-    const room = db.getRoomById(roomId);
+    room = db.getRoomById(roomId);
     if (!room) {
       ws.send(JSON.stringify({ type: 'error', message: 'Room not found' }));
       return;
     }
+    const codeHash = db.getRoomCodeHash(roomId);
+    if (codeHash && !(await verifyRoomCode(payload.roomCode, codeHash))) {
+      ws.send(JSON.stringify({ type: 'error', roomId, message: 'This room is private. A valid room code is required.' }));
+      return;
+    }
+    // Joining as a participant takes their token; without one the socket only watches
+    if (payload.participantToken !== undefined || payload.userName !== undefined) {
+      participant = roomRoles.identifyParticipant(roomId, payload.participantToken);
+      if (!participant) {
+        ws.send(JSON.stringify({ type: 'error', roomId, message: 'Send the participant token /join gave you to join as a participant.' }));
+        return;
+      }
+    }
   } catch (error) {
     ws.send(JSON.stringify({ type: 'error', message: 'Invalid room ID' }));
     return;
@@ -429,16 +2147,40 @@ function joinRoom(ws, roomId, payload = {}) {
   
   roomConnections.get(roomId).add(ws);
   connectionRooms.set(ws, roomId);
+
+  // Clients can ask for rendered rolls, e.g. { renderFormats: ['bbcode'] }
+  const renderFormats = Array.isArray(payload.renderFormats)
+    ? payload.renderFormats.filter(format => ROLL_FORMATS.includes(format))
+    : [];
+  if (renderFormats.length > 0) {
+    connectionRenderFormats.set(ws, renderFormats);
+  } else {
+    connectionRenderFormats.delete(ws);
+  }
+
+  // Sockets are tied to the participant they join as, so removing the participant closes them;
+  // the reply tells the client its name and role (null when watching without having joined)
+  if (participant) {
+    connectionUsers.set(ws, participant.name);
+  } else {
+    connectionUsers.delete(ws);
+  }
   
   console.log(`Client joined room: ${roomId}`);
-  ws.send(JSON.stringify({ type: 'joined_room', roomId, payload }));
+  // Never echo the room code or token back
+  const { roomCode, participantToken, userName, ...joinedPayload } = payload;
+  ws.send(JSON.stringify({
+    type: 'joined_room',
+    roomId,
+    payload: { ...joinedPayload, userName: participant ? participant.name : null, role: roomRoles.getRole(participant) }
+  }));
   
   // Notify other clients in the room (optional)
-  if (payload.userName) {
+  if (participant) {
     broadcastToRoom(roomId, {
       type: 'user_joined',
       roomId,
-      payload: { userName: payload.userName }
+      payload: { userName: participant.name }
     }, ws); // Exclude the sender
   }
 }
@@ -453,11 +2195,32 @@ function leaveRoom(ws, roomId) {
   }
   
   connectionRooms.delete(ws);
+  connectionRenderFormats.delete(ws);
+  connectionUsers.delete(ws);
   console.log(`Client left room: ${roomId}`);
   
   ws.send(JSON.stringify({ type: 'left_room', roomId }));
 }
 
+// Tell the room's sockets it is gone and take them out of it
+function closeRoomConnections(roomId, reason) {
+  broadcastToRoom(roomId, { type: 'room_closed', roomId, payload: { reason } });
+  const connections = roomConnections.get(roomId);
+  if (connections) {
+    [...connections].forEach(clientWs => leaveRoom(clientWs, roomId));
+  }
+}
+
+// Take a removed participant's sockets out of the room
+function removeUserConnections(roomId, userName) {
+  const connections = roomConnections.get(roomId);
+  if (connections) {
+    [...connections]
+      .filter(clientWs => connectionUsers.get(clientWs) === userName)
+      .forEach(clientWs => leaveRoom(clientWs, roomId));
+  }
+}
+
 function broadcastToRoom(roomId, message, excludeWs = null) {
   const connections = roomConnections.get(roomId);
   if (!connections) return;
@@ -470,7 +2233,32 @@ function broadcastToRoom(roomId, message, excludeWs = null) {
   });
 }
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`Backend server with WebSocket support listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Broadcast a new roll, adding the rendered formats each client asked for when joining
+function broadcastNewRoll(roomId, roll) {
+  const connections = roomConnections.get(roomId);
+  if (!connections) return;
+
+  const plainMessage = JSON.stringify({ type: 'new_roll', roomId, payload: roll });
+  connections.forEach(clientWs => {
+    if (clientWs.readyState !== WebSocket.OPEN) return;
+    const renderFormats = connectionRenderFormats.get(clientWs);
+    if (!renderFormats) {
+      clientWs.send(plainMessage);
+      return;
+    }
+    clientWs.send(JSON.stringify({
+      type: 'new_roll',
+      roomId,
+      payload: { ...roll, rendered: renderRollFormats(roll, renderFormats) }
+    }));
+  });
+}
+
+// Start server when run directly; tests require the module and listen on a port of their own
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Backend server with WebSocket support listening on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { app, server };
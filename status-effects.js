@@ -0,0 +1,276 @@
+// Status effects on the participants of a room: [Protected], Vulnerability and curable conditions
+//
+// Effects are tracked per target (a participant name). Applying an effect the target already
+// has adds stacks (up to maxStacks) and keeps the longer duration. Effects with a duration
+// count down when a round ends and expire at zero; effects without one last until removed.
+// Cleansing removes curable (cleansable) conditions, oldest first, one per charge.
+//
+// Actions declare what their rolls do to statuses in `statusEffects`, applied in order:
+//   { apply: 'vulnerability', to: 'self', rounds: 1 }
+//   { remove: 'vulnerability', to: 'self', when: 'success' }
+//   { cleanse: { E: 2, D: 2, C: 2, B: 3, A: 3, S: 4 }, to: 'targets' }
+// `to` is 'self' (the roller) or 'targets' (rollDetails.context.targets), `when` is
+// 'always' (default), 'success' or 'failure' (rollDetails.succeeded) and cleanse takes a
+// charge count or a map of charges by mastery rank. A cleanse may set hpPerUnusedCharge,
+// healing extra HP for every charge that found nothing to cleanse (see hp-pools.js).
+const crypto = require('crypto');
+const db = require('./database');
+const { getRankValue } = require('./rulesets');
+
+// Statuses the actions refer to; any other effect is treated as a curable condition
+const STATUS_EFFECTS = {
+  protected: { name: 'Protected', cleansable: false, maxStacks: 1 },
+  vulnerability: { name: 'Vulnerability', cleansable: false, maxStacks: 1 }
+};
+const CONDITION_DEFAULTS = { cleansable: true, maxStacks: 1 };
+const MAX_STACKS_LIMIT = 99;
+
+class StatusEffectError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StatusEffectError';
+  }
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// "Curable Poison" and "curable poison" are the same effect
+function effectKey(effect) {
+  return effect.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// null (no duration) outlasts any number of rounds
+function longerDuration(a, b) {
+  return a === null || b === null ? null : Math.max(a, b);
+}
+
+/**
+ * Apply an effect to a target, or add stacks to it if the target already has it
+ * @param {Object} options
+ * @param {string} options.effect - Effect name, e.g. 'Vulnerability' or 'Poisoned'
+ * @param {number} [options.stacks=1]
+ * @param {number|null} [options.rounds] - Rounds until it expires; null lasts until removed
+ * @param {boolean} [options.cleansable] - Overrides the effect's default
+ * @param {number} [options.maxStacks] - Overrides the effect's default
+ * @returns {{ change: 'applied'|'stacked', targetName, effect }}
+ * @throws {StatusEffectError} for invalid options
+ */
+function applyStatusEffect(roomId, targetName, options) {
+  const { effect, stacks = 1, rounds = null, appliedBy = null, sourceRollId = null } = options;
+  if (typeof targetName !== 'string' || targetName.trim() === '') {
+    throw new StatusEffectError('Status effect target is required.');
+  }
+  if (typeof effect !== 'string' || effect.trim() === '') {
+    throw new StatusEffectError('Status effect name is required.');
+  }
+  if (!isPositiveInteger(stacks)) {
+    throw new StatusEffectError('Stacks must be a positive integer.');
+  }
+  if (rounds !== null && !isPositiveInteger(rounds)) {
+    throw new StatusEffectError('Rounds must be a positive integer or null.');
+  }
+  if (options.maxStacks !== undefined && (!isPositiveInteger(options.maxStacks) || options.maxStacks > MAX_STACKS_LIMIT)) {
+    throw new StatusEffectError(`maxStacks must be an integer between 1 and ${MAX_STACKS_LIMIT}.`);
+  }
+  if (options.cleansable !== undefined && typeof options.cleansable !== 'boolean') {
+    throw new StatusEffectError('cleansable must be a boolean.');
+  }
+
+  const key = effectKey(effect);
+  const target = targetName.trim();
+  const existing = db.getActiveStatusEffect(roomId, target, key);
+  if (existing) {
+    const updated = db.updateStatusEffect(
+      existing.id,
+      Math.min(existing.maxStacks, existing.stacks + stacks),
+      longerDuration(existing.roundsRemaining, rounds)
+    );
+    return { change: 'stacked', targetName: target, effect: updated };
+  }
+
+  const definition = STATUS_EFFECTS[key] || { name: effect.trim(), ...CONDITION_DEFAULTS };
+  const maxStacks = options.maxStacks !== undefined ? options.maxStacks : definition.maxStacks;
+  const cleansable = options.cleansable !== undefined ? options.cleansable : definition.cleansable;
+  const created = db.addStatusEffect(
+    crypto.randomUUID(), roomId, target, key, definition.name,
+    Math.min(maxStacks, stacks), maxStacks, cleansable, rounds, appliedBy, sourceRollId
+  );
+  return { change: 'applied', targetName: target, effect: created };
+}
+
+/**
+ * End an active effect, returning the change or null if it was not active
+ * @param {string} [rollId] - The roll that ended it, if any
+ */
+function removeStatusEffect(effect, reason = 'removed', rollId = null) {
+  if (!db.endStatusEffect(effect.id, reason, rollId)) {
+    return null;
+  }
+  return { change: reason, targetName: effect.targetName, effect: db.getStatusEffectById(effect.id) };
+}
+
+/**
+ * Remove up to `charges` cleansable effects from a target, oldest first
+ * @returns {{ change: 'cleanse', targetName, charges, cleansed: Object[], unusedCharges }}
+ */
+function cleanseStatusEffects(roomId, targetName, charges, rollId = null) {
+  if (!Number.isInteger(charges) || charges < 0) {
+    throw new StatusEffectError('Cleanse charges must be a non-negative integer.');
+  }
+  const cleansable = db.getActiveStatusEffects(roomId, targetName).filter(effect => effect.cleansable);
+  const cleansed = cleansable.slice(0, charges)
+    .map(effect => removeStatusEffect(effect, 'cleansed', rollId))
+    .filter(Boolean)
+    .map(change => change.effect);
+  return { change: 'cleanse', targetName, charges, cleansed, unusedCharges: charges - cleansed.length };
+}
+
+/**
+ * Count down every timed effect in the room, expiring those that run out
+ * @returns {Object[]} Changes ('expired') for the effects that ended
+ */
+function endStatusEffectRound(roomId) {
+  const changes = [];
+  for (const effect of db.getActiveStatusEffects(roomId)) {
+    if (effect.roundsRemaining === null) {
+      continue;
+    }
+    if (effect.roundsRemaining <= 1) {
+      const change = removeStatusEffect(effect, 'expired');
+      if (change) {
+        changes.push(change);
+      }
+    } else {
+      db.updateStatusEffect(effect.id, effect.stacks, effect.roundsRemaining - 1);
+    }
+  }
+  return changes;
+}
+
+// Target names from the roll context; targets may be names or { name } objects
+function getRollTargets(roll) {
+  const context = roll.rollDetails && roll.rollDetails.context;
+  const targets = (context && context.targets) || [];
+  const names = targets
+    .map(target => (typeof target === 'string' ? target : target && target.name))
+    .filter(name => typeof name === 'string' && name.trim() !== '')
+    .map(name => name.trim());
+  return [...new Set(names)];
+}
+
+function conditionMet(when = 'always', succeeded) {
+  if (when === 'success') return succeeded === true;
+  if (when === 'failure') return succeeded === false;
+  return true;
+}
+
+// Entries of the action's statusEffects that apply to this roll's outcome
+function triggeredEntries(roll, action) {
+  const succeeded = roll.rollDetails ? roll.rollDetails.succeeded : undefined;
+  return (action.statusEffects || []).filter(entry => conditionMet(entry.when, succeeded));
+}
+
+function getCleanseCharges(entry, roll, ruleset) {
+  return typeof entry.cleanse === 'number'
+    ? entry.cleanse
+    : getRankValue(ruleset, entry.cleanse, roll.masteryRank) || 0;
+}
+
+/**
+ * Extra healing for a target from the roll's cleanse charges that had nothing to cleanse
+ * (cleanse entries with hpPerUnusedCharge, e.g. Power Heal's +5 HP per unused charge)
+ */
+function getUnusedCleanseHealing(roll, action, ruleset, targetName) {
+  const entries = triggeredEntries(roll, action).filter(entry =>
+    entry.cleanse !== undefined && entry.hpPerUnusedCharge &&
+    (entry.to === 'self' ? roll.userName === targetName : getRollTargets(roll).includes(targetName))
+  );
+  let cleansed = db.countStatusEffectsEndedByRoll(roll.id, targetName, 'cleansed');
+  let healing = 0;
+  for (const entry of entries) {
+    const charges = getCleanseCharges(entry, roll, ruleset);
+    const used = Math.min(charges, cleansed);
+    cleansed -= used;
+    healing += (charges - used) * entry.hpPerUnusedCharge;
+  }
+  return healing;
+}
+
+/**
+ * Apply the status effects an action declares for a stored roll
+ * @param {Object} roll - The stored roll (userName, masteryRank, rollDetails)
+ * @param {Object} action - Action definition with optional statusEffects
+ * @param {Object} ruleset - The room's ruleset, for rank-based cleanse charges
+ * @returns {Object[]} The changes, in the order they were made
+ */
+function applyRollStatusEffects(roomId, roll, action, ruleset) {
+  const changes = [];
+  const targets = getRollTargets(roll);
+
+  for (const entry of triggeredEntries(roll, action)) {
+    const recipients = entry.to === 'self' ? [roll.userName] : targets;
+    for (const targetName of recipients) {
+      if (entry.apply !== undefined) {
+        changes.push(applyStatusEffect(roomId, targetName, {
+          effect: entry.apply,
+          stacks: entry.stacks,
+          rounds: entry.rounds,
+          appliedBy: roll.userName,
+          sourceRollId: roll.id
+        }));
+      } else if (entry.remove !== undefined) {
+        const active = db.getActiveStatusEffect(roomId, targetName, effectKey(entry.remove));
+        const change = active && removeStatusEffect(active, 'removed', roll.id);
+        if (change) {
+          changes.push(change);
+        }
+      } else if (entry.cleanse !== undefined) {
+        changes.push(cleanseStatusEffects(roomId, targetName, getCleanseCharges(entry, roll, ruleset), roll.id));
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Undo the status changes of a roll a reroll replaces: effects it applied end as 'reverted'
+ * and effects it removed or cleansed become active again, unless the target has gained the
+ * effect again since. Stacks and rounds it added to effects the target already had stay.
+ * @param {string} [rerollId] - The roll replacing it
+ * @returns {Object[]} The changes ('reverted' and 'restored')
+ */
+function revertRollStatusEffects(roomId, roll, rerollId = null) {
+  const changes = [];
+  for (const effect of db.getStatusEffectsAppliedByRoll(roll.id)) {
+    const change = !effect.endedAt && removeStatusEffect(effect, 'reverted', rerollId);
+    if (change) {
+      changes.push(change);
+    }
+  }
+  for (const effect of db.getStatusEffectsEndedByRoll(roll.id)) {
+    // Effects the roll applied and then removed itself (e.g. Ultra Counter's Vulnerability
+    // on a success) stay ended, as do those it reverted when rerolling an earlier roll
+    if (effect.sourceRollId === roll.id || effect.endReason === 'reverted' || db.getActiveStatusEffect(roomId, effect.targetName, effect.effect)) {
+      continue;
+    }
+    if (db.restoreStatusEffect(effect.id)) {
+      changes.push({ change: 'restored', targetName: effect.targetName, effect: db.getStatusEffectById(effect.id) });
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  STATUS_EFFECTS,
+  StatusEffectError,
+  applyStatusEffect,
+  removeStatusEffect,
+  cleanseStatusEffects,
+  endStatusEffectRound,
+  getRollTargets,
+  applyRollStatusEffects,
+  revertRollStatusEffects,
+  getUnusedCleanseHealing
+};
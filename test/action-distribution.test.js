@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ACTIONS } = require('../actions');
+const { calculateActionDistribution } = require('../action-distribution');
+const { startServer, createRoom } = require('./helpers');
+
+const actionNamed = name => ACTIONS.find(action => action.name === name);
+
+test('computes distributions without sampling when it can', () => {
+  // 1d100 at rank E, doubled on a natural 100
+  const distribution = calculateActionDistribution(actionNamed('Attack'), 'E', 'E', 0, { bins: 10 });
+  assert.strictEqual(distribution.method, 'exact');
+  assert.strictEqual(distribution.min, 1);
+  assert.strictEqual(distribution.max, 200);
+  assert.strictEqual(distribution.mean, 51.5);
+  assert.strictEqual(distribution.percentiles.p50, 50);
+  const total = distribution.histogram.reduce((sum, bin) => sum + bin.probability, 0);
+  assert.ok(Math.abs(total - 1) < 1e-6);
+});
+
+test('samples explosions with a repeatable seed', () => {
+  const options = { samples: 2000, seed: 'burst' };
+  const first = calculateActionDistribution(actionNamed('Burst Attack'), 'D', 'D', 0, options);
+  const second = calculateActionDistribution(actionNamed('Burst Attack'), 'D', 'D', 0, options);
+  assert.strictEqual(first.method, 'monte_carlo');
+  assert.strictEqual(first.samples, 2000);
+  assert.deepStrictEqual(first, second);
+});
+
+test('distribution route', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+
+  await t.test('adds the bonus and defaults to the lowest rank', async () => {
+    const { status, body } = await api.request('GET', '/actions/Attack/distribution?bonus=10');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.weaponRank, 'E');
+    assert.strictEqual(body.min, 11);
+  });
+
+  await t.test('rejects unknown actions and ranks', async () => {
+    assert.strictEqual((await api.request('GET', '/actions/Nope/distribution')).status, 404);
+    assert.strictEqual((await api.request('GET', '/actions/Attack/distribution?weaponRank=Z')).status, 400);
+  });
+
+  await t.test('plans rolls with a room\'s custom actions', async () => {
+    const room = await createRoom(api);
+    await api.request('POST', `/rooms/${room.id}/actions`, {
+      category: 'Offense',
+      name: 'Poke',
+      type: 'Roll',
+      subtype: 'Damage',
+      calculableFormula: { dice: [{ count: 1, sides: 4 }], bonuses: [], modifiers: [] }
+    }, room.gmHeaders);
+    const { status, body } = await api.request('GET', `/actions/Poke/distribution?roomId=${room.id}`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.mean, 2.5);
+  });
+});
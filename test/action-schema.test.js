@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_RULESET } = require('../rulesets');
+const { validateActionDefinition, validateActions } = require('../action-schema');
+const FormulaCalculator = require('../formula-calculator');
+
+function customAction(calculableFormula) {
+  return {
+    category: 'Offense',
+    name: 'Custom',
+    type: 'Roll',
+    subtype: 'Damage',
+    calculableFormula: { dice: [{ count: 1, sides: 20 }], bonuses: [], ...calculableFormula }
+  };
+}
+
+function errorsFor(calculableFormula) {
+  return validateActionDefinition(customAction(calculableFormula), DEFAULT_RULESET);
+}
+
+test('accepts the built-in actions', () => {
+  assert.doesNotThrow(() => validateActions(DEFAULT_RULESET.actions, DEFAULT_RULESET));
+});
+
+test('rejects unknown modifiers and parameters', () => {
+  assert.ok(errorsFor({ modifiers: [{ type: 'nope' }] }).some(error => /unknown type 'nope'/.test(error)));
+  assert.ok(errorsFor({ modifiers: [{ type: 'conditional', condition: 'adjacent', value: 5, extra: 1 }] })
+    .some(error => /unknown parameter 'extra'/.test(error)));
+});
+
+test('requires rank maps to include the lowest rank', () => {
+  const errors = errorsFor({ dice: [{ count: 'DICE_BY_RANK', sides: 20, diceByRank: { D: 1, S: 2 } }] });
+  assert.ok(errors.some(error => /must include the lowest rank 'E'/.test(error)), errors.join('\n'));
+});
+
+test('rolls Ultra Counter at the lowest rank', () => {
+  const calculator = new FormulaCalculator();
+  const ultraCounter = DEFAULT_RULESET.actions.find(action => action.name === 'Ultra Counter');
+  for (let i = 0; i < 20; i++) {
+    const roll = calculator.calculateActionRoll(ultraCounter, 'E', 'E', 0, { seed: `ultra-${i}` });
+    assert.ok(Number.isFinite(roll.result), `seed ultra-${i} gave ${roll.result}`);
+  }
+});
+
+test('caps dice at the dice notation limits', () => {
+  assert.strictEqual(errorsFor({ dice: [{ count: 100, sides: 1000 }] }).length, 0);
+  assert.ok(errorsFor({ dice: [{ count: 101, sides: 20 }] }).some(error => /count/.test(error)));
+  assert.ok(errorsFor({ dice: [{ count: 1, sides: 1001 }] }).some(error => /sides/.test(error)));
+  assert.ok(errorsFor({ dice: [{ count: 'DICE_BY_RANK', sides: 20, diceByRank: { E: 1, S: 500 } }] })
+    .some(error => /diceByRank/.test(error)));
+});
+
+test('caps explosions, rerolls and bonus conversion', () => {
+  const explosion = fields => ({ modifiers: [{ type: 'explosion', threshold: 20, extraDice: { count: 1, sides: 20 }, ...fields }] });
+  assert.strictEqual(errorsFor(explosion({})).length, 0);
+  assert.ok(errorsFor(explosion({ extraDice: { count: 1000, sides: 20 } })).some(error => /extraDice/.test(error)));
+  assert.ok(errorsFor(explosion({ extraDice: { count: 1, sides: 5000 } })).some(error => /extraDice/.test(error)));
+  assert.ok(errorsFor(explosion({ threshold: 1 })).some(error => /every face/.test(error)));
+  assert.ok(errorsFor(explosion({ threshold: -5 })).some(error => /every face/.test(error)));
+
+  assert.ok(errorsFor({ modifiers: [{ type: 'reroll', threshold: 1, mode: 'until', maxRerolls: 1e9 }] })
+    .some(error => /maxRerolls/.test(error)));
+  assert.ok(errorsFor({ modifiers: [{ type: 'bonus_conversion', conversionRate: 0.001, convertToDice: { count: 1, sides: 100 } }] })
+    .some(error => /conversionRate/.test(error)));
+});
+
+test('stops explosions after 1000 extra rolls', () => {
+  const action = customAction({
+    dice: [{ count: 100, sides: 1000 }],
+    modifiers: [{ type: 'explosion', threshold: 2, extraDice: { count: 100, sides: 1000 }, maxChain: 100 }]
+  });
+  assert.strictEqual(validateActionDefinition(action, DEFAULT_RULESET).length, 0);
+  const roll = new FormulaCalculator().calculateActionRoll(action, 'E', 'E', 0, { seed: 'explosions' });
+  assert.strictEqual(roll.details.explosionRolls.length, 1000);
+});
+
+test('limits buff stacks to categories of the ruleset', () => {
+  const buff = appliesTo => ({ ...customAction({}), buffStacks: { stacks: 3, maxTargets: 3, rounds: 1, appliesTo } });
+  assert.strictEqual(validateActionDefinition(buff(['Offense']), DEFAULT_RULESET).length, 0);
+  assert.ok(validateActionDefinition(buff(['Magic']), DEFAULT_RULESET).some(error => /appliesTo/.test(error)));
+  assert.ok(validateActionDefinition(buff([]), DEFAULT_RULESET).some(error => /appliesTo/.test(error)));
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashAction } = require('../action-versions');
+const { startServer, createRoom } = require('./helpers');
+
+const SWING = {
+  category: 'Offense',
+  name: 'Swing',
+  type: 'Roll',
+  subtype: 'Damage',
+  calculableFormula: { dice: [{ count: 1, sides: 8 }], bonuses: [], modifiers: [] }
+};
+
+test('hashes the definition, not key order or bookkeeping fields', () => {
+  const reordered = { calculableFormula: { modifiers: [], bonuses: [], dice: [{ sides: 8, count: 1 }] }, subtype: 'Damage', type: 'Roll', name: 'Swing', category: 'Offense' };
+  assert.strictEqual(hashAction(reordered), hashAction(SWING));
+  assert.strictEqual(hashAction({ ...SWING, id: 'abc', roomId: 'room' }), hashAction(SWING));
+  assert.notStrictEqual(hashAction({ ...SWING, subtype: 'Heal' }), hashAction(SWING));
+});
+
+test('action versions', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const { body: swing } = await api.request('POST', `/rooms/${room.id}/actions`, SWING, room.gmHeaders);
+  const { body: roll } = await api.request('POST', `/rooms/${room.id}/rolls`, {
+    actionName: 'Swing', weaponRank: 'E', masteryRank: 'E'
+  }, room.gmHeaders);
+  await api.request('PUT', `/rooms/${room.id}/actions/${swing.id}`, {
+    ...SWING, calculableFormula: { ...SWING.calculableFormula, dice: [{ count: 1, sides: 100 }] }
+  }, room.gmHeaders);
+
+  await t.test('explains and replays old rolls with the definition they used', async () => {
+    const { body: stored } = await api.request('GET', `/rolls/${roll.id}`);
+    assert.strictEqual(stored.actionHash, swing.hash);
+    assert.deepStrictEqual(stored.actionDefinition.calculableFormula.dice, [{ count: 1, sides: 8 }]);
+    const verify = await api.request('GET', `/rolls/${roll.id}/verify`);
+    assert.strictEqual(verify.body.replay.matches, true);
+  });
+
+  await t.test('lists what changed between versions', async () => {
+    const { status, body } = await api.request('GET', `/actions/changes?roomId=${room.id}&name=Swing`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.length, 2);
+    assert.strictEqual(body[1].previousHash, swing.hash);
+    assert.deepStrictEqual(body[1].changes, [{ path: 'calculableFormula.dice[0].sides', from: 8, to: 100 }]);
+  });
+
+  await t.test('snapshots the built-in actions', async () => {
+    const { body } = await api.request('GET', '/actions/changes?name=Attack');
+    assert.strictEqual(body.length, 1);
+    assert.strictEqual(body[0].scope, 'ruleset:terrarp');
+  });
+});
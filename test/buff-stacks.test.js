@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createRoom, joinRoom } = require('./helpers');
+
+test('buff stacks', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const alice = await joinRoom(api, room, 'alice');
+  const bob = await joinRoom(api, room, 'bob');
+  const buff = (targets, headers = alice.headers) => api.request('POST', `/rooms/${room.id}/rolls`, {
+    actionName: 'Buff', weaponRank: 'E', masteryRank: 'E', context: { targets }
+  }, headers);
+  const attack = fields => api.request('POST', `/rooms/${room.id}/rolls`, {
+    actionName: 'Attack', weaponRank: 'E', masteryRank: 'E', ...fields
+  }, bob.headers);
+  const stacksOn = async target => (await api.request('GET', `/rooms/${room.id}/buffs?target=${target}`)).body;
+  const endRound = () => api.request('POST', `/rooms/${room.id}/status-effects/end-round`, {}, room.gmHeaders);
+
+  await t.test('puts every stack on a single target', async () => {
+    const { status, body } = await buff(['bob']);
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.buffStacks.stacks.length, 3);
+    assert.strictEqual(body.buffStacks.lost, 0);
+    const stacks = await stacksOn('bob');
+    assert.strictEqual(stacks.length, 3);
+    assert.ok(stacks.every(stack => stack.value === body.result && stack.source === 'alice'));
+  });
+
+  await t.test('uses one stack per buff roll on the target\'s next action roll', async () => {
+    const [stack] = await stacksOn('bob');
+    const { body } = await attack();
+    const buffBonus = body.rollDetails.bonusBreakdown.find(bonus => /alice's Buff/.test(bonus.display));
+    assert.strictEqual(buffBonus.value, stack.value);
+    assert.strictEqual((await stacksOn('bob')).length, 2);
+
+    await attack({ useBuffs: false });
+    assert.strictEqual((await stacksOn('bob')).length, 2);
+  });
+
+  await t.test('leaves the stacks on rolls outside the categories the buff applies to', async () => {
+    const roll = actionName => api.request('POST', `/rooms/${room.id}/rolls`, {
+      actionName, weaponRank: 'E', masteryRank: 'E', context: actionName === 'Buff' ? { targets: ['alice'] } : {}
+    }, bob.headers);
+    const { body: protect } = await roll('Protect');
+    assert.ok(!protect.rollDetails.bonusBreakdown.some(bonus => /alice's Buff/.test(bonus.display)));
+    await roll('Buff');
+    assert.strictEqual((await stacksOn('bob')).length, 2);
+  });
+
+  await t.test('expires unused stacks when the round ends', async () => {
+    const { body } = await endRound();
+    assert.strictEqual(body.expiredBuffs.filter(stack => stack.targetName === 'bob').length, 2);
+    assert.deepStrictEqual(await stacksOn('bob'), []);
+  });
+
+  await t.test('puts one stack on each of several targets', async () => {
+    const { body } = await buff(['bob', 'gm']);
+    assert.deepStrictEqual(body.buffStacks.stacks.map(stack => stack.targetName).sort(), ['bob', 'gm']);
+    assert.strictEqual(body.buffStacks.lost, 1);
+    assert.strictEqual((await buff(['bob', 'gm', 'alice', 'carol'])).status, 400);
+    await endRound();
+  });
+
+  await t.test('moves unused stacks to a reroll of the buff', async () => {
+    const { body: original } = await buff(['bob']);
+    await attack();
+    const { body: reroll } = await api.request('POST', `/rolls/${original.id}/reroll`, {}, alice.headers);
+    const stacks = await stacksOn('bob');
+    assert.strictEqual(stacks.length, 2);
+    assert.ok(stacks.every(stack => stack.sourceRollId === reroll.id && stack.value === reroll.result));
+  });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FormulaCalculator = require('../formula-calculator');
+const { validateActionDefinition } = require('../action-schema');
+const { FixedRandomSource } = require('./helpers');
+
+// 1d20 doubled from 15 and again from 30, with the given critical policy
+function smite(critical) {
+  return {
+    category: 'Offense',
+    name: 'Smite',
+    type: 'Roll',
+    subtype: 'Damage',
+    calculableFormula: {
+      dice: [{ count: 1, sides: 20 }],
+      bonuses: [],
+      modifiers: [
+        { type: 'threshold_multiplier', threshold: 15, multiplier: 2 },
+        { type: 'threshold_multiplier', threshold: 30, multiplier: 2 }
+      ],
+      ...(critical && { critical })
+    }
+  };
+}
+
+function rollFace(action, face) {
+  const calculator = new FormulaCalculator({ randomSource: new FixedRandomSource([face]) });
+  return calculator.calculateActionRoll(action, 'E', 'E', 0).result;
+}
+
+test('only crits on a natural 100 by default', () => {
+  assert.strictEqual(rollFace(smite(), 20), 40);
+});
+
+test('crits on the declared faces with the declared multiplier', () => {
+  const action = smite({ triggerSides: 20, triggerFaces: [19, 20], multiplier: 3 });
+  assert.strictEqual(rollFace(action, 19), 114);
+  assert.strictEqual(rollFace(action, 10), 10);
+  assert.strictEqual(rollFace(smite({ triggerSides: 20, triggerFaces: [20], multiplier: 1 }), 20), 40);
+});
+
+test('stacks critical multipliers as the stacking rule says', () => {
+  const policy = { triggerSides: 20, triggerFaces: [20], multiplier: 3 };
+  assert.strictEqual(rollFace(smite({ ...policy, stacking: 'separate' }), 20), 120);
+  assert.strictEqual(rollFace(smite({ ...policy, stacking: 'none' }), 20), 40);
+  assert.strictEqual(rollFace(smite({ ...policy, stacking: 'all' }), 20), 240);
+});
+
+test('validates critical policies', () => {
+  assert.deepStrictEqual(validateActionDefinition(smite({ triggerSides: 20, triggerFaces: [20] })), []);
+  assert.ok(validateActionDefinition(smite({ stacking: 'sometimes' })).length > 0);
+  assert.ok(validateActionDefinition(smite({ triggerFaces: [] })).length > 0);
+  assert.ok(validateActionDefinition(smite({ multiplier: 0 })).length > 0);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createRoom, joinRoom } = require('./helpers');
+
+const JAB = {
+  category: 'Offense',
+  name: 'Jab',
+  type: 'Roll',
+  subtype: 'Damage',
+  calculableFormula: { dice: [{ count: 1, sides: 10 }], bonuses: [], modifiers: [] }
+};
+
+test('custom actions', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const actionsPath = `/rooms/${room.id}/actions`;
+  const { status, body: jab } = await api.request('POST', actionsPath, JAB, room.gmHeaders);
+  assert.strictEqual(status, 201);
+
+  await t.test('stores the action with its creator', async () => {
+    assert.strictEqual(jab.name, 'Jab');
+    assert.strictEqual(jab.createdBy, room.gm);
+    const { body: listed } = await api.request('GET', actionsPath);
+    assert.deepStrictEqual(listed.map(action => action.name), ['Jab']);
+    const { body: merged } = await api.request('GET', `/actions?roomId=${room.id}`);
+    const names = JSON.stringify(merged);
+    assert.ok(names.includes('"Jab"') && names.includes('"Attack"'));
+  });
+
+  await t.test('rolls the action in its room only', async () => {
+    const roll = { actionName: 'Jab', weaponRank: 'E', masteryRank: 'E' };
+    const { status: rolled, body } = await api.request('POST', `/rooms/${room.id}/rolls`, roll, room.gmHeaders);
+    assert.strictEqual(rolled, 201);
+    assert.ok(body.result >= 1 && body.result <= 10);
+    const other = await createRoom(api);
+    const elsewhere = await api.request('POST', `/rooms/${other.id}/rolls`, roll, other.gmHeaders);
+    assert.strictEqual(elsewhere.status, 400);
+  });
+
+  await t.test('rejects invalid, built-in and duplicate names', async () => {
+    const invalid = await api.request('POST', actionsPath, { ...JAB, name: 'Broken', calculableFormula: { dice: [] } }, room.gmHeaders);
+    assert.strictEqual(invalid.status, 400);
+    assert.ok(invalid.body.details.length > 0);
+    assert.strictEqual((await api.request('POST', actionsPath, { ...JAB, name: 'Attack' }, room.gmHeaders)).status, 409);
+    assert.strictEqual((await api.request('POST', actionsPath, JAB, room.gmHeaders)).status, 409);
+  });
+
+  await t.test('only lets GMs edit actions', async () => {
+    const alice = await joinRoom(api, room, 'alice');
+    const { status: denied } = await api.request('POST', actionsPath, { ...JAB, name: 'Hook' }, alice.headers);
+    assert.strictEqual(denied, 403);
+  });
+
+  await t.test('updates and deletes the action', async () => {
+    const updated = await api.request('PUT', `${actionsPath}/${jab.id}`, {
+      ...JAB, calculableFormula: { ...JAB.calculableFormula, dice: [{ count: 2, sides: 10 }] }
+    }, room.gmHeaders);
+    assert.strictEqual(updated.status, 200);
+    assert.deepStrictEqual(updated.body.calculableFormula.dice, [{ count: 2, sides: 10 }]);
+    assert.notStrictEqual(updated.body.hash, jab.hash);
+
+    assert.strictEqual((await api.request('DELETE', `${actionsPath}/${jab.id}`, undefined, room.gmHeaders)).status, 204);
+    assert.strictEqual((await api.request('DELETE', `${actionsPath}/${jab.id}`, undefined, room.gmHeaders)).status, 404);
+  });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_RULESET, registerRuleset } = require('../rulesets');
+const { startServer, createRoom } = require('./helpers');
+
+// TerraRP with armor values, registered before the server validates the rulesets
+registerRuleset({
+  ...DEFAULT_RULESET,
+  id: 'armored',
+  name: 'Armored',
+  armorReduction: { 'Heavy Armor': { E: 5, B: 20 } }
+});
+
+test('rejects armor reductions without the lowest rank', () => {
+  assert.throws(() => registerRuleset({
+    ...DEFAULT_RULESET,
+    id: 'broken-armor',
+    armorReduction: { 'Heavy Armor': { B: 20 } }
+  }), /including 'E'/);
+});
+
+test('defense resolution', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+
+  async function setUp(ruleset) {
+    const room = await createRoom(api, { ruleset });
+    const headers = room.gmHeaders;
+    await api.request('POST', `/rooms/${room.id}/npcs`, {
+      name: 'goblin', weaponRank: 'D', masteryRank: 'D', armorType: 'Heavy Armor', armorRank: 'B', maxHp: 1000
+    }, headers);
+    const roll = actionName => api.request('POST', `/rooms/${room.id}/rolls`, {
+      actionName, weaponRank: 'D', masteryRank: 'D', context: { targets: ['goblin'] }
+    }, headers);
+    return { room, headers, roll };
+  }
+
+  await t.test('takes defenses and the ruleset\'s armor reduction off the attack', async () => {
+    const { headers, roll } = await setUp('armored');
+    const { body: attack } = await roll('Attack');
+    const { body: counter } = await roll('Counter');
+    const { status, body } = await api.request('POST', `/rolls/${attack.id}/resolve-defense`, {
+      targetName: 'goblin', defenses: [{ rollId: counter.id, mitigation: 10 }]
+    }, headers);
+    assert.strictEqual(status, 201);
+    const steps = body.breakdown.steps.map(step => step.step);
+    assert.deepStrictEqual(steps, ['incoming', 'counter', 'armor']);
+    const armor = body.breakdown.steps[2];
+    assert.strictEqual(armor.mitigation, 20);
+    assert.strictEqual(body.finalDamage, Math.max(0, attack.result - 10 - 20));
+
+    const applied = await api.request('POST', `/rolls/${attack.id}/apply`, {}, headers);
+    assert.strictEqual(applied.body.changes[0].amount, body.finalDamage);
+  });
+
+  await t.test('refuses armor the ruleset has no values for unless told to ignore it', async () => {
+    const { headers, roll } = await setUp('terrarp');
+    const { body: attack } = await roll('Attack');
+    const resolve = fields => api.request('POST', `/rolls/${attack.id}/resolve-defense`, { targetName: 'goblin', ...fields }, headers);
+    const refused = await resolve();
+    assert.strictEqual(refused.status, 409);
+    assert.match(refused.body.error, /no armor reduction for Heavy Armor/);
+
+    const { status, body } = await resolve({ ignoreArmor: true });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.breakdown.steps[1].ignored, true);
+    assert.match(body.breakdown.text, /0\(B Heavy Armor, ignored\)/);
+    assert.strictEqual(body.finalDamage, attack.result);
+  });
+
+  await t.test('only resolves attacks', async () => {
+    const { headers, roll } = await setUp('armored');
+    const { body: counter } = await roll('Counter');
+    const { status } = await api.request('POST', `/rolls/${counter.id}/resolve-defense`, { targetName: 'goblin' }, headers);
+    assert.strictEqual(status, 400);
+  });
+});
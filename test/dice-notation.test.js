@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DiceNotationError, parseDiceNotation } = require('../dice-notation');
+const FormulaCalculator = require('../formula-calculator');
+const { startServer, createRoom } = require('./helpers');
+
+test('parses dice groups, keep/drop and arithmetic', () => {
+  const expression = parseDiceNotation('4d6kh3 + 2');
+  assert.strictEqual(expression.type, 'binary');
+  assert.strictEqual(expression.left.count, 4);
+  assert.strictEqual(expression.left.sides, 6);
+});
+
+test('rejects notation beyond the dice limits', () => {
+  assert.throws(() => parseDiceNotation('101d6'), DiceNotationError);
+  assert.throws(() => parseDiceNotation('1d1001'), DiceNotationError);
+  assert.throws(() => parseDiceNotation('1d6!>0'), DiceNotationError);
+  assert.throws(() => parseDiceNotation('2 + 3'), DiceNotationError);
+});
+
+// Calculator whose dice land on the given faces in order
+function loadedCalculator(faces) {
+  const loaded = new FormulaCalculator();
+  const remaining = [...faces];
+  loaded.rollDie = () => remaining.shift();
+  return loaded;
+}
+
+test('counts subtracted dice groups negatively in the raw dice total', () => {
+  const roll = loadedCalculator([15, 3]).calculateNotationRoll('1d20 - 1d4');
+  assert.strictEqual(roll.rawDiceResult, 12);
+  assert.strictEqual(roll.result, 12);
+  const negated = loadedCalculator([2, 5]).calculateNotationRoll('-(2d6) + 3');
+  assert.strictEqual(negated.rawDiceResult, -7);
+  assert.strictEqual(negated.result, -4);
+});
+
+test('applies multiplication and division to the raw dice total', () => {
+  const doubled = loadedCalculator([4, 5]).calculateNotationRoll('(2d6 + 1) * 2 + 3');
+  assert.strictEqual(doubled.result, 23);
+  assert.strictEqual(doubled.rawDiceResult, 20);
+  const halved = loadedCalculator([7]).calculateNotationRoll('1d8 / 2 - 1');
+  assert.strictEqual(halved.result, 2);
+  assert.strictEqual(halved.rawDiceResult, 3);
+});
+
+test('only counts kept exploded dice in the explosion breakdown', () => {
+  // 2d6 exploding on 6: 6 and 1, the 6 explodes into a 2; keeping the highest two drops the 1
+  const kept = loadedCalculator([6, 1, 2]).calculateNotationRoll('2d6!kh2');
+  assert.strictEqual(kept.result, 8);
+  assert.strictEqual(kept.details.modifierBreakdown[0].value, 2);
+  const dropped = loadedCalculator([6, 5, 1]).calculateNotationRoll('2d6!kh2');
+  assert.strictEqual(dropped.result, 11);
+  assert.strictEqual(dropped.details.modifierBreakdown[0].value, 0);
+  const subtracted = loadedCalculator([3, 6, 4]).calculateNotationRoll('1d20 - 1d6!');
+  assert.strictEqual(subtracted.details.modifierBreakdown[0].value, -4);
+});
+
+test('rejects keeping or dropping zero dice', () => {
+  assert.throws(() => parseDiceNotation('4d6kh0'), /Keep count must be at least 1/);
+  assert.throws(() => parseDiceNotation('4d6dl0'), /Drop count must be at least 1/);
+});
+
+test('roll route', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+
+  await t.test('rolls dice notation', async () => {
+    const { status, body } = await api.request('POST', `/rooms/${room.id}/rolls`, { rollFormula: '2d6 + 1' }, room.gmHeaders);
+    assert.strictEqual(status, 201);
+    assert.ok(body.result >= 3 && body.result <= 13);
+    assert.strictEqual(body.diceType, 6);
+  });
+
+  await t.test('answers invalid notation and dice with 400', async () => {
+    const notation = await api.request('POST', `/rooms/${room.id}/rolls`, { rollFormula: '1d6 +' }, room.gmHeaders);
+    assert.strictEqual(notation.status, 400);
+    assert.match(notation.body.error, /Invalid dice notation/);
+    const division = await api.request('POST', `/rooms/${room.id}/rolls`, { rollFormula: '1d6 / (1d1 - 1)' }, room.gmHeaders);
+    assert.strictEqual(division.status, 400);
+    const dice = await api.request('POST', `/rooms/${room.id}/rolls`, { diceType: 7 }, room.gmHeaders);
+    assert.strictEqual(dice.status, 400);
+  });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createRoom } = require('./helpers');
+
+test('encounters', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const headers = room.gmHeaders;
+  const { status, body: encounter } = await api.request('POST', `/rooms/${room.id}/encounters`, {
+    name: 'Ambush',
+    combatants: [{ name: 'alice', initiative: 15 }, { name: 'goblin', initiative: 8 }]
+  }, headers);
+  assert.strictEqual(status, 201);
+  const encounterPath = `/rooms/${room.id}/encounters/${encounter.id}`;
+
+  await t.test('orders combatants by initiative', () => {
+    assert.deepStrictEqual(encounter.combatants.map(c => c.name), ['alice', 'goblin']);
+    assert.strictEqual(encounter.round, 1);
+  });
+
+  await t.test('adds a combatant to an active encounter', async () => {
+    const added = await api.request('POST', `${encounterPath}/combatants`, { name: 'bob', initiative: 10 }, headers);
+    assert.strictEqual(added.status, 201);
+    assert.deepStrictEqual(added.body.combatants.map(c => c.name), ['alice', 'bob', 'goblin']);
+    const duplicate = await api.request('POST', `${encounterPath}/combatants`, { name: 'bob' }, headers);
+    assert.strictEqual(duplicate.status, 409);
+  });
+
+  await t.test('tags rolls with the round and turn', async () => {
+    const { body: roll } = await api.request('POST', `/rooms/${room.id}/rolls`, { diceType: 20 }, headers);
+    assert.strictEqual(roll.encounterId, encounter.id);
+    assert.strictEqual(roll.encounterRound, 1);
+  });
+
+  await t.test('starts a new round after the last turn', async () => {
+    let change;
+    for (let i = 0; i < 3; i++) {
+      change = await api.request('POST', `${encounterPath}/advance`, {}, headers);
+      assert.strictEqual(change.status, 200);
+    }
+    assert.strictEqual(change.body.roundEnded, true);
+    assert.strictEqual(change.body.round, 2);
+  });
+
+  await t.test('ends the encounter', async () => {
+    const ended = await api.request('POST', `${encounterPath}/end`, {}, headers);
+    assert.strictEqual(ended.status, 200);
+    const active = await api.request('GET', `/rooms/${room.id}/encounters/active`);
+    assert.strictEqual(active.status, 404);
+  });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FormulaCalculator = require('../formula-calculator');
+const { FixedRandomSource } = require('./helpers');
+
+// 2d6 (two groups of 1d6) exploding on a 6
+function blast(explosion = {}) {
+  return {
+    category: 'Offense',
+    name: 'Blast',
+    type: 'Roll',
+    subtype: 'Damage',
+    calculableFormula: {
+      dice: [{ count: 1, sides: 6 }, { count: 1, sides: 6 }],
+      bonuses: [],
+      modifiers: [{ type: 'explosion', threshold: 6, extraDice: { count: 1, sides: 6 }, ...explosion }]
+    }
+  };
+}
+
+function rollFaces(action, faces) {
+  const calculator = new FormulaCalculator({ randomSource: new FixedRandomSource(faces) });
+  return calculator.calculateActionRoll(action, 'E', 'E', 0);
+}
+
+test('chains standard explosions', () => {
+  const roll = rollFaces(blast(), [6, 3, 6, 2]);
+  assert.strictEqual(roll.result, 17);
+  assert.deepStrictEqual(roll.details.explosionRolls, [6, 2]);
+  const [root] = roll.details.explosionTree;
+  assert.strictEqual(root.roll, 6);
+  assert.strictEqual(root.explosions[0].explosions[0].roll, 2);
+});
+
+test('adds compound explosions to the die that started them', () => {
+  const roll = rollFaces(blast({ mode: 'compound' }), [6, 3, 6, 2]);
+  assert.strictEqual(roll.result, 17);
+  assert.deepStrictEqual(roll.details.explosionRolls, [8]);
+});
+
+test('takes one off each penetrating explosion', () => {
+  const roll = rollFaces(blast({ mode: 'penetrating' }), [6, 3, 6, 2]);
+  assert.strictEqual(roll.result, 15);
+  assert.deepStrictEqual(roll.details.explosionRolls, [5, 1]);
+});
+
+test('only explodes the dice group it applies to', () => {
+  const roll = rollFaces(blast({ diceGroup: 1 }), [6, 6, 4]);
+  assert.strictEqual(roll.result, 16);
+  assert.deepStrictEqual(roll.details.explosionTree.map(root => root.diceGroup), [1]);
+});
+
+test('caps explosion chains at maxChain', () => {
+  const roll = rollFaces(blast({ maxChain: 2 }), [6, 1, 6, 6, 6]);
+  assert.strictEqual(roll.result, 19);
+  const explosion = roll.details.modifierBreakdown.find(entry => /explosions/.test(entry.description));
+  assert.match(explosion.description, /capped at 2/);
+});
@@ -0,0 +1,88 @@
+// Shared test setup: a throwaway database and the app on a random port for tests that go through
+// the REST API (each test file runs in its own process, so each gets its own database), and a
+// loaded die for calculator tests.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function useTempDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dice-roller-test-'));
+  process.env.DB_PATH = path.join(dir, 'diceroller.db');
+  process.env.ROLL_SIGNING_SECRET = 'test-signing-secret';
+  process.env.RATE_LIMIT_MAX = '100000';
+  return dir;
+}
+
+/**
+ * Start the app on a random port
+ * @returns {Promise<{ base: string, request: Function, close: Function }>}
+ */
+async function startServer() {
+  const dir = useTempDatabase();
+  const { server } = require('../server');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON request; resolves to { status, body }
+  async function request(method, urlPath, body, headers = {}) {
+    const response = await fetch(`${base}/api${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { base, request, close };
+}
+
+/**
+ * Create a room; its creator joins as GM
+ * @returns {Promise<Object>} The room, with gm set to the creator's name and gmHeaders to the
+ *   headers that act as them
+ */
+async function createRoom(api, fields = {}) {
+  const { body: room } = await api.request('POST', '/rooms', { name: 'Test room', creatorName: 'gm', ...fields });
+  return { ...room, gm: room.creator_name, gmHeaders: { 'X-Participant-Token': room.participantToken } };
+}
+
+/**
+ * Join a room as a new participant
+ * @returns {Promise<Object>} The participant, with headers set to the headers that act as them
+ */
+async function joinRoom(api, room, userName, fields = {}) {
+  const { status, body } = await api.request('POST', `/rooms/${room.id}/join`, { userName, ...fields });
+  if (status !== 201) {
+    throw new Error(`Joining as ${userName} failed with ${status}: ${body.error}`);
+  }
+  return { ...body, headers: { 'X-Participant-Token': body.participantToken } };
+}
+
+// Random source that rolls the given faces in order
+class FixedRandomSource {
+  constructor(values) {
+    this.values = [...values];
+  }
+
+  nextInt() {
+    return this.values.shift();
+  }
+
+  describe() {
+    return { algorithm: 'fixed' };
+  }
+}
+
+module.exports = {
+  FixedRandomSource,
+  useTempDatabase,
+  startServer,
+  createRoom,
+  joinRoom
+};
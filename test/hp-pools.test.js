@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createRoom } = require('./helpers');
+
+test('HP pools', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const headers = room.gmHeaders;
+  const roll = (actionName, fields = {}) => api.request('POST', `/rooms/${room.id}/rolls`, {
+    actionName, weaponRank: 'D', masteryRank: 'D', context: { targets: ['goblin'] }, ...fields
+  }, headers);
+
+  await t.test('sets a pool at max HP', async () => {
+    const { status, body } = await api.request('PUT', `/rooms/${room.id}/hp/goblin`, { maxHp: 500 }, headers);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.hp, 500);
+    const invalid = await api.request('PUT', `/rooms/${room.id}/hp/goblin`, { maxHp: 0 }, headers);
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  await t.test('applies damage and undoes it', async () => {
+    const { body: attack } = await roll('Attack');
+    const applied = await api.request('POST', `/rolls/${attack.id}/apply`, {}, headers);
+    assert.strictEqual(applied.status, 201);
+    const [change] = applied.body.changes;
+    assert.strictEqual(change.hpAfter, Math.max(0, 500 - attack.result));
+
+    const again = await api.request('POST', `/rolls/${attack.id}/apply`, {}, headers);
+    assert.strictEqual(again.status, 409);
+
+    const undone = await api.request('POST', `/rooms/${room.id}/hp/applications/${applied.body.id}/undo`, {}, headers);
+    assert.strictEqual(undone.status, 200);
+    const { body: pools } = await api.request('GET', `/rooms/${room.id}/hp`);
+    assert.strictEqual(pools.find(pool => pool.targetName === 'goblin').hp, 500);
+  });
+
+  await t.test('does not apply defensive actions', async () => {
+    for (const actionName of ['Counter', 'Protect']) {
+      const { body: defense } = await roll(actionName);
+      const { status, body } = await api.request('POST', `/rolls/${defense.id}/apply`, {}, headers);
+      assert.strictEqual(status, 400);
+      assert.match(body.error, /is a defense/);
+    }
+  });
+});
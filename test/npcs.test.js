@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createRoom, joinRoom } = require('./helpers');
+
+test('NPCs', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const alice = await joinRoom(api, room, 'alice');
+  const npcsPath = `/rooms/${room.id}/npcs`;
+  const { status, body: goblin } = await api.request('POST', npcsPath, {
+    name: 'goblin', weaponRank: 'D', masteryRank: 'C', armorType: 'Light Armor', armorRank: 'E', stats: { STR: 3 }, maxHp: 120
+  }, room.gmHeaders);
+  assert.strictEqual(status, 201);
+
+  await t.test('creates an NPC with an HP pool', async () => {
+    assert.strictEqual(goblin.createdBy, room.gm);
+    const { body: pools } = await api.request('GET', `/rooms/${room.id}/hp`);
+    assert.strictEqual(pools.find(pool => pool.targetName === 'goblin').hp, 120);
+    const { body: characters } = await api.request('GET', `/rooms/${room.id}/participants?includeNpcs=true`);
+    assert.deepStrictEqual(characters.map(character => [character.kind, character.name]), [
+      ['participant', 'gm'], ['participant', 'alice'], ['npc', 'goblin']
+    ]);
+  });
+
+  await t.test('keeps names unique and ranks within the ruleset', async () => {
+    assert.strictEqual((await api.request('POST', npcsPath, { name: 'alice', weaponRank: 'E', masteryRank: 'E' }, room.gmHeaders)).status, 409);
+    assert.strictEqual((await api.request('POST', npcsPath, { name: 'orc', weaponRank: 'Z', masteryRank: 'E' }, room.gmHeaders)).status, 400);
+    const joinAsNpc = await api.request('POST', `/rooms/${room.id}/join`, { userName: 'goblin' });
+    assert.strictEqual(joinAsNpc.status, 409);
+  });
+
+  await t.test('rolls as the NPC with its ranks', async () => {
+    const { status: rolled, body } = await api.request('POST', `/rooms/${room.id}/rolls`, {
+      npcId: goblin.id, actionName: 'Attack'
+    }, room.gmHeaders);
+    assert.strictEqual(rolled, 201);
+    assert.strictEqual(body.userName, 'goblin');
+    assert.strictEqual(body.rolledBy, room.gm);
+    assert.strictEqual(body.weaponRank, 'D');
+    const mismatch = await api.request('POST', `/rooms/${room.id}/rolls`, {
+      npcId: goblin.id, actionName: 'Attack', weaponRank: 'S'
+    }, room.gmHeaders);
+    assert.strictEqual(mismatch.status, 400);
+  });
+
+  await t.test('only lets GMs manage and roll as NPCs', async () => {
+    const asPlayer = await api.request('POST', `/rooms/${room.id}/rolls`, { npcId: goblin.id, actionName: 'Attack' }, alice.headers);
+    assert.strictEqual(asPlayer.status, 403);
+    assert.strictEqual((await api.request('DELETE', `${npcsPath}/${goblin.id}`, undefined, alice.headers)).status, 403);
+  });
+
+  await t.test('updates and deletes the NPC', async () => {
+    const updated = await api.request('PUT', `${npcsPath}/${goblin.id}`, { weaponRank: 'B' }, room.gmHeaders);
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.weaponRank, 'B');
+    assert.strictEqual(updated.body.armorType, 'Light Armor');
+    assert.strictEqual((await api.request('PUT', `${npcsPath}/${goblin.id}`, { name: 'hobgoblin' }, room.gmHeaders)).status, 400);
+
+    assert.strictEqual((await api.request('DELETE', `${npcsPath}/${goblin.id}`, undefined, room.gmHeaders)).status, 204);
+    const { body: pools } = await api.request('GET', `/rooms/${room.id}/hp`);
+    assert.strictEqual(pools.some(pool => pool.targetName === 'goblin'), false);
+  });
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RankResolutionError, resolveRollRanks } = require('../participant-ranks');
+const { DEFAULT_RULESET } = require('../rulesets');
+const { startServer, createRoom, joinRoom } = require('./helpers');
+
+const ATTACK = { name: 'Attack', category: 'Offense' };
+const PARTICIPANT = {
+  terraRP: { weapon_rank: 'B', masteries: [{ 'Defense Mastery': 'E' }, { name: 'Offense Mastery', rank: 'C' }] }
+};
+
+test('trusts the client\'s ranks by default', () => {
+  const ranks = resolveRollRanks('client', null, ATTACK, { weaponRank: 'A', masteryRank: 'S' }, DEFAULT_RULESET);
+  assert.deepStrictEqual(ranks.rankSources, { weaponRank: 'client', masteryRank: 'client' });
+  assert.strictEqual(ranks.weaponRank, 'A');
+});
+
+test('derives ranks from the weapon and the mastery for the action\'s category', () => {
+  const ranks = resolveRollRanks('terrarp', PARTICIPANT, ATTACK, {}, DEFAULT_RULESET);
+  assert.deepStrictEqual(ranks, {
+    weaponRank: 'B',
+    masteryRank: 'C',
+    rankSources: { weaponRank: 'terrarp:equipment', masteryRank: 'terrarp:mastery:Offense Mastery' }
+  });
+  const single = { terraRP: { weapon_rank: 'B', masteries: [{ 'Support Mastery': 'D' }] } };
+  assert.strictEqual(resolveRollRanks('terrarp', single, ATTACK, {}, DEFAULT_RULESET).masteryRank, 'D');
+});
+
+test('rejects missing or disagreeing TerraRP ranks', () => {
+  assert.throws(() => resolveRollRanks('terrarp', { name: 'alice' }, ATTACK, {}, DEFAULT_RULESET), RankResolutionError);
+  assert.throws(() => resolveRollRanks('terrarp', PARTICIPANT, ATTACK, { weaponRank: 'S' }, DEFAULT_RULESET), /weapon rank S \(TerraRP: B\)/);
+  const noWeapon = { terraRP: { masteries: PARTICIPANT.terraRP.masteries } };
+  assert.throws(() => resolveRollRanks('terrarp', noWeapon, ATTACK, {}, DEFAULT_RULESET), /No weapon rank/);
+});
+
+test('matches masteries by the whole category word', () => {
+  const masteries = { terraRP: { weapon_rank: 'B', masteries: [{ 'Offensive Support': 'S' }, { 'Defense Mastery': 'E' }] } };
+  assert.throws(() => resolveRollRanks('terrarp', masteries, ATTACK, {}, DEFAULT_RULESET), /No Offense mastery/);
+  const uncategorized = { name: 'Shrug', category: '' };
+  assert.throws(() => resolveRollRanks('terrarp', PARTICIPANT, uncategorized, {}, DEFAULT_RULESET), /Shrug has no category/);
+});
+
+test('TerraRP ranks on the roll route', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api, { rankSource: 'terrarp' });
+  const alice = await joinRoom(api, room, 'alice', {
+    terraRPData: { user_id: 42, username: 'alice', equipment: [{ Weapon: 'B' }], masteries: [{ 'Offense Mastery': 'C' }] }
+  });
+  const roll = fields => api.request('POST', `/rooms/${room.id}/rolls`, { actionName: 'Attack', ...fields }, alice.headers);
+
+  await t.test('rolls with the participant\'s ranks', async () => {
+    const { status, body } = await roll({});
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.weaponRank, 'B');
+    assert.strictEqual(body.masteryRank, 'C');
+  });
+
+  await t.test('rejects other ranks and participants without TerraRP data', async () => {
+    assert.strictEqual((await roll({ weaponRank: 'S', masteryRank: 'S' })).status, 400);
+    const gmRoll = await api.request('POST', `/rooms/${room.id}/rolls`, { actionName: 'Attack' }, room.gmHeaders);
+    assert.strictEqual(gmRoll.status, 400);
+    assert.match(gmRoll.body.error, /TerraRP/);
+  });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CryptoRandomSource, SeededRandomSource } = require('../random-source');
+const FormulaCalculator = require('../formula-calculator');
+const { ACTIONS } = require('../actions');
+const { FixedRandomSource } = require('./helpers');
+
+test('repeats a seed\'s sequence and stays within the die', () => {
+  const first = new SeededRandomSource('sequence');
+  const second = new SeededRandomSource('sequence');
+  for (let i = 0; i < 200; i++) {
+    const value = first.nextInt(6);
+    assert.strictEqual(second.nextInt(6), value);
+    assert.ok(value >= 1 && value <= 6);
+  }
+  assert.deepStrictEqual(first.describe(), { algorithm: 'hmac-sha256', seed: 'sequence', draws: 200 });
+  assert.throws(() => new SeededRandomSource(''), /requires a seed/);
+});
+
+test('rolls crypto dice within the die', () => {
+  const source = new CryptoRandomSource();
+  for (let i = 0; i < 50; i++) {
+    const value = source.nextInt(20);
+    assert.ok(value >= 1 && value <= 20);
+  }
+});
+
+test('rolls with an injected random source', () => {
+  const calculator = new FormulaCalculator({ randomSource: new FixedRandomSource([17]) });
+  const roll = calculator.calculateDiceRoll(20);
+  assert.strictEqual(roll.result, 17);
+  assert.deepStrictEqual(roll.details.rng, { algorithm: 'fixed' });
+});
+
+test('seeds each roll and replays it from the stored seed', () => {
+  const calculator = new FormulaCalculator();
+  const action = ACTIONS.find(candidate => candidate.name === 'Attack');
+  const roll = calculator.calculateActionRoll(action, 'D', 'D', 5);
+  assert.ok(roll.details.rng.seed);
+  const replayed = calculator.replayRoll({
+    actionName: 'Attack', weaponRank: 'D', masteryRank: 'D', rollDetails: roll.details
+  }, action);
+  assert.strictEqual(replayed.result, roll.result);
+  assert.strictEqual(calculator.replayRoll({ diceType: 20, rollDetails: { rng: { algorithm: 'crypto' } } }), null);
+});
+
+test('evaluates notation with the same seed to the same result', () => {
+  const calculator = new FormulaCalculator();
+  const first = calculator.calculateNotationRoll('3d8 + 1d4 - 2', { seed: 'notation-seed' });
+  const second = calculator.calculateNotationRoll('3d8 + 1d4 - 2', { seed: 'notation-seed' });
+  assert.strictEqual(first.result, second.result);
+  assert.strictEqual(first.details.diceGroups.length, 2);
+});
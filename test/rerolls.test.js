@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FormulaCalculator = require('../formula-calculator');
+const { FixedRandomSource, startServer, createRoom, joinRoom } = require('./helpers');
+
+function grit(dice, reroll) {
+  return {
+    category: 'Offense',
+    name: 'Grit',
+    type: 'Roll',
+    subtype: 'Damage',
+    calculableFormula: { dice: [dice], bonuses: [], modifiers: [{ type: 'reroll', ...reroll }] }
+  };
+}
+
+function rollFaces(action, faces) {
+  const calculator = new FormulaCalculator({ randomSource: new FixedRandomSource(faces) });
+  return calculator.calculateActionRoll(action, 'E', 'E', 0);
+}
+
+test('rerolls a die once', () => {
+  const roll = rollFaces(grit({ count: 1, sides: 6 }, { threshold: 1 }), [1, 1]);
+  assert.strictEqual(roll.result, 1);
+  assert.deepStrictEqual(roll.details.diceGroups[0].rerolled, [1]);
+});
+
+test('rerolls a die until it rolls higher, up to maxRerolls', () => {
+  const until = grit({ count: 1, sides: 6 }, { threshold: 2, mode: 'until' });
+  assert.strictEqual(rollFaces(until, [1, 2, 5]).result, 5);
+  const capped = grit({ count: 1, sides: 6 }, { threshold: 2, mode: 'until', maxRerolls: 2 });
+  assert.strictEqual(rollFaces(capped, [1, 1, 1, 6]).result, 1);
+});
+
+test('rerolls before keeping the highest die', () => {
+  const roll = rollFaces(grit({ count: 2, sides: 6, keepHighest: 1 }, { threshold: 1 }), [1, 3, 6]);
+  assert.strictEqual(roll.result, 6);
+});
+
+test('reroll route', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const alice = await joinRoom(api, room, 'alice');
+  const roll = async headers => (await api.request('POST', `/rooms/${room.id}/rolls`, { diceType: 20 }, headers)).body;
+
+  await t.test('rerolls a stored roll once', async () => {
+    const original = await roll(room.gmHeaders);
+    const { status, body } = await api.request('POST', `/rolls/${original.id}/reroll`, {}, room.gmHeaders);
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.rerollOf, original.id);
+    const again = await api.request('POST', `/rolls/${original.id}/reroll`, {}, room.gmHeaders);
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.rerollId, body.id);
+    const chained = await api.request('POST', `/rolls/${body.id}/reroll`, {}, room.gmHeaders);
+    assert.strictEqual(chained.status, 409);
+    assert.match(chained.body.error, /cannot be rerolled/);
+  });
+
+  await t.test('lets players reroll only their own rolls', async () => {
+    const own = await api.request('POST', `/rolls/${(await roll(alice.headers)).id}/reroll`, {}, alice.headers);
+    assert.strictEqual(own.status, 201);
+    const others = await api.request('POST', `/rolls/${(await roll(room.gmHeaders)).id}/reroll`, {}, alice.headers);
+    assert.strictEqual(others.status, 403);
+    const anonymous = await api.request('POST', `/rolls/${(await roll(alice.headers)).id}/reroll`, {});
+    assert.strictEqual(anonymous.status, 401);
+  });
+
+  await t.test('stops rerolling a participant\'s rolls after their reroll budget', async () => {
+    // alice has used one of her three rerolls above
+    for (let i = 0; i < 2; i++) {
+      const reroll = await api.request('POST', `/rolls/${(await roll(alice.headers)).id}/reroll`, {}, alice.headers);
+      assert.strictEqual(reroll.status, 201);
+    }
+    const spent = await api.request('POST', `/rolls/${(await roll(alice.headers)).id}/reroll`, {}, alice.headers);
+    assert.strictEqual(spent.status, 409);
+    assert.match(spent.body.error, /used all 3 rerolls/);
+  });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FormulaCalculator = require('../formula-calculator');
+const { calculateActionDistribution } = require('../action-distribution');
+const { startServer, createRoom } = require('./helpers');
+
+const calculator = new FormulaCalculator();
+
+const LUNGE = {
+  category: 'Offense',
+  name: 'Lunge',
+  type: 'Roll',
+  subtype: 'Damage',
+  calculableFormula: {
+    dice: [{ count: 1, sides: 20 }],
+    bonuses: [],
+    modifiers: [{ type: 'conditional', condition: 'adjacent', value: 30 }]
+  }
+};
+
+const SPLASH = {
+  category: 'Support',
+  name: 'Splash',
+  type: 'Roll',
+  subtype: 'Heal',
+  calculableFormula: {
+    dice: [{ count: 2, sides: 20 }],
+    bonuses: [],
+    modifiers: [{ type: 'aoe_divisor', divisor: 3 }]
+  }
+};
+
+test('adds conditional bonuses only when the condition is claimed', () => {
+  const plain = calculator.calculateActionRoll(LUNGE, 'E', 'E', 0, { seed: 'lunge' });
+  const adjacent = calculator.calculateActionRoll(LUNGE, 'E', 'E', 0, { seed: 'lunge', context: { adjacent: true } });
+  assert.strictEqual(adjacent.result, plain.result + 30);
+  assert.deepStrictEqual(adjacent.details.context, { claimed: ['adjacent'], targets: [] });
+});
+
+test('divides AoE results', () => {
+  const single = calculator.calculateActionRoll(SPLASH, 'E', 'E', 0, { seed: 'splash' });
+  const aoe = calculator.calculateActionRoll(SPLASH, 'E', 'E', 0, { seed: 'splash', context: { aoe: true, targets: ['a', 'b'] } });
+  assert.strictEqual(aoe.result, Math.floor(single.result / 3));
+  assert.deepStrictEqual(aoe.details.context.targets, ['a', 'b']);
+});
+
+test('replays rolls with their context', () => {
+  const roll = calculator.calculateActionRoll(LUNGE, 'E', 'E', 0, { context: { adjacent: true } });
+  const replayed = calculator.replayRoll({ actionName: LUNGE.name, weaponRank: 'E', masteryRank: 'E', rollDetails: roll.details }, LUNGE);
+  assert.strictEqual(replayed.result, roll.result);
+});
+
+test('includes claimed conditions in distributions', () => {
+  const distribution = calculateActionDistribution(LUNGE, 'E', 'E', 0, { context: { adjacent: true } });
+  assert.strictEqual(distribution.min, 31);
+  assert.strictEqual(distribution.max, 50);
+});
+
+test('roll context on the roll route', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  // 1d100, +30 when adjacent
+  const roll = context => api.request('POST', `/rooms/${room.id}/rolls`, {
+    actionName: 'Ultra Counter', weaponRank: 'D', masteryRank: 'D', context
+  }, room.gmHeaders);
+
+  await t.test('stores the context and replays the roll with it', async () => {
+    const { status, body } = await roll({ adjacent: true, targets: ['goblin'] });
+    assert.strictEqual(status, 201);
+    assert.ok(body.result >= 31);
+    const verify = await api.request('GET', `/rolls/${body.id}/verify`);
+    assert.strictEqual(verify.body.replay.matches, true);
+  });
+
+  await t.test('rejects malformed contexts', async () => {
+    assert.strictEqual((await roll(['adjacent'])).status, 400);
+    assert.strictEqual((await roll({ targets: 'goblin' })).status, 400);
+  });
+});
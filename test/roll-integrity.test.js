@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createRoom } = require('./helpers');
+
+test('roll integrity', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const roll = body => api.request('POST', `/rooms/${room.id}/rolls`, body, room.gmHeaders);
+
+  await t.test('signs rolls and commits to the room seed', async () => {
+    const { status, body } = await roll({ diceType: 20 });
+    assert.strictEqual(status, 201);
+    assert.ok(body.signature);
+    const seed = await api.request('GET', `/rooms/${room.id}/seed`);
+    assert.strictEqual(seed.body.current.rollCount, 1);
+    assert.strictEqual(seed.body.current.seed, undefined);
+  });
+
+  await t.test('does not use up nonces on rejected rolls', async () => {
+    const rejected = await roll({ diceType: 7 });
+    assert.strictEqual(rejected.status, 400);
+    const unknownAction = await roll({ actionName: 'No Such Action', weaponRank: 'E', masteryRank: 'E' });
+    assert.strictEqual(unknownAction.status, 400);
+    const seed = await api.request('GET', `/rooms/${room.id}/seed`);
+    assert.strictEqual(seed.body.current.rollCount, 1);
+    const { body } = await roll({ diceType: 6 });
+    const after = await api.request('GET', `/rooms/${room.id}/seed`);
+    assert.strictEqual(after.body.current.rollCount, 2);
+    assert.ok(body.id);
+  });
+
+  await t.test('reports rolls as pending until the seed is revealed', async () => {
+    const { body: made } = await roll({ diceType: 12 });
+    const pending = await api.request('GET', `/rolls/${made.id}/verify`);
+    assert.strictEqual(pending.status, 200);
+    assert.strictEqual(pending.body.status, 'pending');
+    assert.strictEqual(pending.body.verified, false);
+    assert.strictEqual(pending.body.signatureValid, true);
+    assert.strictEqual(pending.body.replay.matches, true);
+
+    const reveal = await api.request('POST', `/rooms/${room.id}/seed/reveal`, {}, room.gmHeaders);
+    assert.strictEqual(reveal.status, 200);
+    const verified = await api.request('GET', `/rolls/${made.id}/verify`);
+    assert.strictEqual(verified.body.status, 'verified');
+    assert.strictEqual(verified.body.verified, true);
+    assert.strictEqual(verified.body.commitment.valid, true);
+  });
+});
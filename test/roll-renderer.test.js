@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RollFormatError, renderRoll, renderRollFormats } = require('../roll-renderer');
+const { startServer, createRoom } = require('./helpers');
+
+// A stored 4d6kh3 + 2 notation roll with a comment
+const NOTATION_ROLL = {
+  userName: 'alice <3',
+  result: 15,
+  comment: 'for *glory*',
+  rollDetails: {
+    notation: '4d6kh3 + 2',
+    diceGroups: [{ notation: '4d6kh3', rolls: [6, 4, 3], dropped: [1] }],
+    bonusBreakdown: [],
+    modifierBreakdown: []
+  }
+};
+
+test('renders the same outline in every format', () => {
+  assert.strictEqual(renderRoll(NOTATION_ROLL), [
+    'alice <3 rolled 4d6kh3 + 2: 15',
+    '  4d6kh3: 6, 4, 3, (1)',
+    '"for *glory*"'
+  ].join('\n'));
+  const { markdown, bbcode, html } = renderRollFormats(NOTATION_ROLL, ['markdown', 'bbcode', 'html']);
+  assert.match(markdown, /^\*\*alice \\<3\*\* rolled 4d6kh3 \+ 2: \*\*15\*\*/);
+  assert.match(markdown, /6, 4, 3, ~~1~~/);
+  assert.match(markdown, /> for \\\*glory\\\*/);
+  assert.match(bbcode, /\[LIST\]\n\[\*\]4d6kh3: 6, 4, 3, \[S\]1\[\/S\]\n\[\/LIST\]/);
+  assert.match(html, /<strong>alice &lt;3<\/strong>/);
+});
+
+test('keeps user text from breaking out of BBCode and HTML', () => {
+  const roll = { ...NOTATION_ROLL, userName: '[URL]x[/URL]', comment: '<script>alert(1)</script>' };
+  assert.match(renderRoll(roll, 'bbcode'), /^\[B\]\[PLAIN\]\[URL\]x\[\/URL\]\[\/PLAIN\]\[\/B\]/);
+  assert.ok(!renderRoll(roll, 'html').includes('<script>'));
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => renderRoll(NOTATION_ROLL, 'pdf'), RollFormatError);
+});
+
+test('renders stored rolls on request', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const { body: roll } = await api.request('POST', `/rooms/${room.id}/rolls`, { diceType: 20 }, room.gmHeaders);
+
+  const { status, body } = await api.request('GET', `/rolls/${roll.id}?format=markdown`);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.rendered, `**gm** rolled 1d20: **${roll.result}**\n\n- 1d20: ${roll.result}`);
+  assert.strictEqual((await api.request('GET', `/rolls/${roll.id}?format=pdf`)).status, 400);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkRoomCode, hashRoomCode, verifyRoomCode } = require('../room-codes');
+const { startServer, createRoom } = require('./helpers');
+
+test('hashes and verifies room codes', async () => {
+  const hash = await hashRoomCode('secret');
+  assert.ok(!hash.includes('secret'));
+  assert.strictEqual(await verifyRoomCode('secret', hash), true);
+  assert.strictEqual(await verifyRoomCode(' secret ', hash), true);
+  assert.strictEqual(await verifyRoomCode('Secret', hash), false);
+  assert.strictEqual(await verifyRoomCode('secret', await hashRoomCode('other')), false);
+  assert.strictEqual(await verifyRoomCode(undefined, hash), false);
+  assert.notStrictEqual(checkRoomCode('abc'), null);
+  assert.strictEqual(checkRoomCode('abcd'), null);
+});
+
+test('private rooms', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api, { roomCode: 'secret' });
+  const withCode = { 'X-Room-Code': 'secret' };
+
+  await t.test('hide their code and need it for reads', async () => {
+    const { body: rooms } = await api.request('GET', '/rooms');
+    const listed = rooms.find(entry => entry.id === room.id);
+    assert.strictEqual(listed.room_code, undefined);
+    assert.strictEqual((await api.request('GET', `/rooms/${room.id}`)).status, 403);
+    assert.strictEqual((await api.request('GET', `/rooms/${room.id}`, undefined, withCode)).status, 200);
+  });
+
+  await t.test('need the code to join', async () => {
+    const wrong = await api.request('POST', `/rooms/${room.id}/join`, { userName: 'alice', roomCode: 'nope' });
+    assert.strictEqual(wrong.status, 403);
+    const right = await api.request('POST', `/rooms/${room.id}/join`, { userName: 'alice', roomCode: 'secret' });
+    assert.ok(right.status < 300);
+  });
+
+  await t.test('need the code for action distributions', async () => {
+    const path = `/actions/Attack/distribution?roomId=${room.id}&samples=100`;
+    assert.strictEqual((await api.request('GET', path)).status, 403);
+    assert.strictEqual((await api.request('GET', `${path}&roomCode=secret`)).status, 200);
+  });
+
+  await t.test('refuse distributions while archived', async () => {
+    const archived = await api.request('PATCH', `/rooms/${room.id}`, { archived: true }, { ...withCode, ...room.gmHeaders });
+    assert.strictEqual(archived.status, 200);
+    const { status } = await api.request('GET', `/actions/Attack/distribution?roomId=${room.id}&samples=100`, undefined, withCode);
+    assert.strictEqual(status, 409);
+  });
+
+  await t.test('stop taking the old code once it changes', async () => {
+    const changed = await api.request('PATCH', `/rooms/${room.id}`, { archived: false, newRoomCode: 'changed' }, { ...withCode, ...room.gmHeaders });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual((await api.request('GET', `/rooms/${room.id}`, undefined, withCode)).status, 403);
+    assert.strictEqual((await api.request('GET', `/rooms/${room.id}`, undefined, { 'X-Room-Code': 'changed' })).status, 200);
+  });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { startServer, createRoom, joinRoom } = require('./helpers');
+
+test('room management', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const alice = await joinRoom(api, room, 'alice');
+  const roomPath = `/rooms/${room.id}`;
+  const roll = () => api.request('POST', `${roomPath}/rolls`, { diceType: 20 }, alice.headers);
+
+  await t.test('renames the room and changes its rank source', async () => {
+    const { status, body } = await api.request('PATCH', roomPath, { name: '  Dungeon  ', rankSource: 'terrarp' }, room.gmHeaders);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.name, 'Dungeon');
+    assert.strictEqual(body.rank_source, 'terrarp');
+    assert.strictEqual((await api.request('PATCH', roomPath, { name: '' }, room.gmHeaders)).status, 400);
+    assert.strictEqual((await api.request('PATCH', roomPath, { name: 'Mine' }, alice.headers)).status, 403);
+    await api.request('PATCH', roomPath, { rankSource: 'client' }, room.gmHeaders);
+  });
+
+  await t.test('makes archived rooms read-only until reopened', async () => {
+    const archived = await api.request('PATCH', roomPath, { archived: true }, room.gmHeaders);
+    assert.ok(archived.body.archived_at);
+    assert.strictEqual((await roll()).status, 409);
+    assert.strictEqual((await api.request('POST', `${roomPath}/join`, { userName: 'bob' })).status, 409);
+    assert.strictEqual((await api.request('PATCH', roomPath, { name: 'Renamed' }, room.gmHeaders)).status, 409);
+    assert.strictEqual((await api.request('GET', roomPath)).status, 200);
+
+    const reopened = await api.request('PATCH', roomPath, { archived: false }, room.gmHeaders);
+    assert.strictEqual(reopened.body.archived_at, null);
+    assert.strictEqual((await roll()).status, 201);
+  });
+
+  await t.test('deletes the room and closes its sockets', async () => {
+    const ws = new WebSocket(api.base.replace('http', 'ws'));
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    const messages = [];
+    ws.on('message', data => messages.push(JSON.parse(data)));
+    const closed = new Promise(resolve => ws.once('close', resolve));
+    const joined = new Promise(resolve => ws.once('message', resolve));
+    ws.send(JSON.stringify({ type: 'join_room', roomId: room.id, payload: { participantToken: alice.participantToken } }));
+    await joined;
+
+    assert.strictEqual((await api.request('DELETE', roomPath, undefined, alice.headers)).status, 403);
+    assert.strictEqual((await api.request('DELETE', roomPath, undefined, room.gmHeaders)).status, 204);
+    const closedRoom = messages.find(message => message.type === 'room_closed');
+    assert.strictEqual(closedRoom.payload.reason, 'deleted');
+    ws.close();
+    await closed;
+    assert.strictEqual((await api.request('GET', roomPath)).status, 404);
+  });
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { startServer, createRoom, joinRoom } = require('./helpers');
+
+test('participant roles', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const db = require('../database');
+  const room = await createRoom(api);
+  const alice = await joinRoom(api, room, 'alice');
+  const watcher = await joinRoom(api, room, 'watcher', { role: 'spectator' });
+
+  // The first message a socket gets after sending join_room
+  async function joinSocket(payload) {
+    const ws = new WebSocket(api.base.replace('http', 'ws'));
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    const reply = new Promise(resolve => ws.once('message', data => resolve(JSON.parse(data))));
+    ws.send(JSON.stringify({ type: 'join_room', roomId: room.id, payload }));
+    const message = await reply;
+    ws.close();
+    return message;
+  }
+
+  await t.test('issues tokens on joining and creating the room', () => {
+    assert.match(room.participantToken, /^[0-9a-f]{64}$/);
+    assert.strictEqual(alice.role, 'player');
+    assert.notStrictEqual(alice.participantToken, room.participantToken);
+  });
+
+  await t.test('joins the creator with their TerraRP character', async () => {
+    const terraRoom = await createRoom(api, { creatorTerraRPData: { user_id: 7, username: 'gm', equipment: [{ Weapon: 'B' }] } });
+    const { body: participants } = await api.request('GET', `/rooms/${terraRoom.id}/participants`);
+    assert.strictEqual(participants.length, 1);
+    assert.strictEqual(participants[0].role, 'gm');
+    assert.strictEqual(participants[0].terraRP.weapon_rank, 'B');
+  });
+
+  await t.test('acts as the participant the token identifies, not the name sent', async () => {
+    const spoofed = await api.request('PATCH', `/rooms/${room.id}`, { name: 'Mine now' }, { 'X-User-Name': room.gm, ...alice.headers });
+    assert.strictEqual(spoofed.status, 403);
+    const anonymous = await api.request('PATCH', `/rooms/${room.id}`, { name: 'Mine now' }, { 'X-User-Name': room.gm });
+    assert.strictEqual(anonymous.status, 401);
+
+    const asGm = await api.request('POST', `/rooms/${room.id}/rolls`, { userName: room.gm, diceType: 20 }, alice.headers);
+    assert.strictEqual(asGm.status, 403);
+    const { status, body } = await api.request('POST', `/rooms/${room.id}/rolls`, { diceType: 20 }, alice.headers);
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.userName, 'alice');
+  });
+
+  await t.test('keeps names to the participants who joined with them', async () => {
+    const creator = await api.request('POST', `/rooms/${room.id}/join`, { userName: room.gm });
+    assert.strictEqual(creator.status, 403);
+    const impostor = await api.request('POST', `/rooms/${room.id}/join`, { userName: 'alice' });
+    assert.strictEqual(impostor.status, 403);
+    const rejoined = await api.request('POST', `/rooms/${room.id}/join`, { userName: 'alice' }, alice.headers);
+    assert.strictEqual(rejoined.status, 200);
+    assert.strictEqual(rejoined.body.participantToken, undefined);
+  });
+
+  await t.test('does not let spectators roll', async () => {
+    const { status } = await api.request('POST', `/rooms/${room.id}/rolls`, { diceType: 20 }, watcher.headers);
+    assert.strictEqual(status, 403);
+  });
+
+  await t.test('leaves HP pools, encounters and status effects to the GM', async () => {
+    const changes = [
+      ['PUT', `/rooms/${room.id}/hp/alice`, { maxHp: 100 }],
+      ['POST', `/rooms/${room.id}/encounters`, { name: 'Ambush' }],
+      ['POST', `/rooms/${room.id}/status-effects/end-round`, {}]
+    ];
+    for (const [method, path, body] of changes) {
+      assert.strictEqual((await api.request(method, path, body, alice.headers)).status, 403);
+      assert.ok((await api.request(method, path, body, room.gmHeaders)).status < 300);
+    }
+  });
+
+  await t.test('requires a creator and makes the first joiner of a room without one its GM', async () => {
+    assert.strictEqual((await api.request('POST', '/rooms', { name: 'No GM' })).status, 400);
+    const roomId = crypto.randomUUID();
+    db.addRoom(roomId, 'Old room', null, null, null);
+    const first = await joinRoom(api, { id: roomId }, 'first');
+    const second = await joinRoom(api, { id: roomId }, 'second');
+    assert.strictEqual(first.role, 'gm');
+    assert.strictEqual(second.role, 'player');
+    assert.strictEqual((await api.request('GET', `/rooms/${roomId}`)).body.creator_name, 'first');
+  });
+
+  await t.test('lets the GM issue tokens to participants without theirs', async () => {
+    db.addParticipant(room.id, 'legacy', null, 'player', null);
+    const joined = await api.request('POST', `/rooms/${room.id}/join`, { userName: 'legacy' });
+    assert.strictEqual(joined.status, 403);
+    assert.strictEqual(joined.body.participantToken, undefined);
+
+    const tokenPath = name => `/rooms/${room.id}/participants/${name}/token`;
+    assert.strictEqual((await api.request('POST', tokenPath('legacy'), {}, alice.headers)).status, 403);
+    const issued = await api.request('POST', tokenPath('legacy'), {}, room.gmHeaders);
+    assert.strictEqual(issued.status, 200);
+    const legacyRoll = await api.request('POST', `/rooms/${room.id}/rolls`, { diceType: 20 }, { 'X-Participant-Token': issued.body.participantToken });
+    assert.strictEqual(legacyRoll.body.userName, 'legacy');
+
+    // A lost token is replaced, and the old one stops working
+    const { body: reissued } = await api.request('POST', tokenPath('watcher'), {}, room.gmHeaders);
+    assert.strictEqual((await api.request('PATCH', `/rooms/${room.id}`, { name: 'x' }, watcher.headers)).status, 401);
+    assert.strictEqual((await api.request('PATCH', `/rooms/${room.id}`, { name: 'x' }, { 'X-Participant-Token': reissued.participantToken })).status, 403);
+    assert.strictEqual((await api.request('POST', tokenPath(room.gm), {}, room.gmHeaders)).status, 403);
+  });
+
+  await t.test('lets participants without a token claim their name with the room code', async () => {
+    const privateRoom = await createRoom(api, { roomCode: 'secret' });
+    db.addParticipant(privateRoom.id, 'legacy', null, 'player', null);
+    const claimPath = `/rooms/${privateRoom.id}/participants/legacy/claim`;
+    assert.strictEqual((await api.request('POST', claimPath, {})).status, 403);
+    const claimed = await api.request('POST', claimPath, { roomCode: 'secret' });
+    assert.strictEqual(claimed.status, 200);
+    assert.match(claimed.body.participantToken, /^[0-9a-f]{64}$/);
+    assert.strictEqual((await api.request('POST', claimPath, { roomCode: 'secret' })).status, 409);
+
+    db.addParticipant(room.id, 'old-timer', null, 'player', null);
+    assert.strictEqual((await api.request('POST', `/rooms/${room.id}/participants/old-timer/claim`, {})).status, 403);
+  });
+
+  await t.test('only lets the creator promote co-GMs', async () => {
+    const byPlayer = await api.request('PUT', `/rooms/${room.id}/participants/watcher/role`, { role: 'player' }, alice.headers);
+    assert.strictEqual(byPlayer.status, 403);
+    const promoted = await api.request('PUT', `/rooms/${room.id}/participants/alice/role`, { role: 'gm' }, room.gmHeaders);
+    assert.strictEqual(promoted.status, 200);
+    const byCoGm = await api.request('PUT', `/rooms/${room.id}/participants/watcher/role`, { role: 'gm' }, alice.headers);
+    assert.strictEqual(byCoGm.status, 403);
+  });
+
+  await t.test('joins sockets as the participant their token identifies', async () => {
+    const joined = await joinSocket({ participantToken: alice.participantToken });
+    assert.strictEqual(joined.type, 'joined_room');
+    assert.strictEqual(joined.payload.userName, 'alice');
+    assert.strictEqual(joined.payload.participantToken, undefined);
+
+    const spoofed = await joinSocket({ userName: room.gm });
+    assert.strictEqual(spoofed.type, 'error');
+    const invalid = await joinSocket({ participantToken: 'not-a-token' });
+    assert.strictEqual(invalid.type, 'error');
+
+    const watching = await joinSocket({});
+    assert.strictEqual(watching.type, 'joined_room');
+    assert.strictEqual(watching.payload.role, null);
+  });
+});
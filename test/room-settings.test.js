@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RoomSettingsError, readRoomSettings, checkRoll, getAllowedRanks, DEFAULT_ROOM_SETTINGS } = require('../room-settings');
+const { DEFAULT_RULESET } = require('../rulesets');
+const { startServer, createRoom, joinRoom } = require('./helpers');
+
+const ATTACK = { name: 'Attack', category: 'Offense' };
+const HEAL = { name: 'Heal', category: 'Support' };
+
+test('merges settings over the current ones and rejects invalid values', () => {
+  const settings = readRoomSettings({ allowedActions: [' Heal ', 'Heal'], maxRank: 'C' }, DEFAULT_RULESET);
+  assert.deepStrictEqual(settings, { ...DEFAULT_ROOM_SETTINGS, allowedActions: ['Heal'], maxRank: 'C' });
+  assert.strictEqual(readRoomSettings({ maxRank: null }, DEFAULT_RULESET, settings).allowedActions[0], 'Heal');
+  assert.throws(() => readRoomSettings({ maxDice: 3 }, DEFAULT_RULESET), /Unknown settings: maxDice/);
+  assert.throws(() => readRoomSettings({ allowedCategories: ['Magic'] }, DEFAULT_RULESET), /Unknown categories: Magic/);
+  assert.throws(() => readRoomSettings({ maxBonus: -1 }, DEFAULT_RULESET), RoomSettingsError);
+  assert.throws(() => readRoomSettings({ maxRank: 'Z' }, DEFAULT_RULESET), RoomSettingsError);
+});
+
+test('allows an action listed by name or by category', () => {
+  const settings = { ...DEFAULT_ROOM_SETTINGS, allowedActions: ['Heal'], allowedCategories: ['Defense'] };
+  checkRoll(settings, DEFAULT_RULESET, { action: HEAL, weaponRank: 'E', masteryRank: 'E' });
+  checkRoll(settings, DEFAULT_RULESET, { action: { name: 'Protect', category: 'Defense' }, weaponRank: 'E', masteryRank: 'E' });
+  assert.throws(() => checkRoll(settings, DEFAULT_RULESET, { action: ATTACK, weaponRank: 'E', masteryRank: 'E' }), /Attack is not allowed/);
+});
+
+test('caps ranks and bonuses and can turn off plain dice', () => {
+  const settings = { ...DEFAULT_ROOM_SETTINGS, allowPlainDice: false, maxBonus: 5, maxRank: 'C' };
+  assert.deepStrictEqual(getAllowedRanks(settings, DEFAULT_RULESET), ['E', 'D', 'C']);
+  assert.throws(() => checkRoll(settings, DEFAULT_RULESET, { action: ATTACK, weaponRank: 'B', masteryRank: 'A' }),
+    /Weapon rank B and Mastery rank A are above this room's maximum rank C/);
+  assert.throws(() => checkRoll(settings, DEFAULT_RULESET, { action: ATTACK, weaponRank: 'C', masteryRank: 'C', bonus: 6 }), /cap of 5/);
+  assert.throws(() => checkRoll(settings, DEFAULT_RULESET, { action: ATTACK, weaponRank: 'C', masteryRank: 'C', bonus: 2, buffBonus: 4 }),
+    /Bonus 6 \(4 of it from buff stacks/);
+  assert.throws(() => checkRoll(settings, DEFAULT_RULESET, { action: null }), error => error instanceof RoomSettingsError && error.status === 403);
+});
+
+test('room settings on the API', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const alice = await joinRoom(api, room, 'alice');
+  const settingsPath = `/rooms/${room.id}/settings`;
+  const roll = fields => api.request('POST', `/rooms/${room.id}/rolls`, { weaponRank: 'E', masteryRank: 'E', ...fields }, alice.headers);
+
+  await t.test('lets only the GM change the settings', async () => {
+    assert.deepStrictEqual((await api.request('GET', settingsPath)).body, DEFAULT_ROOM_SETTINGS);
+    assert.strictEqual((await api.request('PATCH', settingsPath, { maxBonus: 5 }, alice.headers)).status, 403);
+    assert.strictEqual((await api.request('PATCH', settingsPath, { maxBonus: 'lots' }, room.gmHeaders)).status, 400);
+    const { status, body } = await api.request('PATCH', settingsPath, {
+      allowedCategories: ['Support'], allowPlainDice: false, maxBonus: 5, maxRank: 'C'
+    }, room.gmHeaders);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.maxRank, 'C');
+  });
+
+  await t.test('rejects rolls the settings do not allow', async () => {
+    assert.strictEqual((await roll({ actionName: 'Heal' })).status, 201);
+    const rejected = [
+      [{ actionName: 'Attack' }, /Attack is not allowed/],
+      [{ diceType: 20, weaponRank: undefined, masteryRank: undefined }, /Plain dice rolls are disabled/],
+      [{ actionName: 'Heal', weaponRank: 'S' }, /maximum rank C/],
+      [{ actionName: 'Heal', bonus: 6 }, /cap of 5/]
+    ];
+    for (const [fields, reason] of rejected) {
+      const { status, body } = await roll(fields);
+      assert.strictEqual(status, 403);
+      assert.match(body.error, reason);
+    }
+  });
+
+  await t.test('lists only the allowed actions and ranks', async () => {
+    const { body } = await api.request('GET', `/actions?roomId=${room.id}`);
+    assert.ok(body.actions.every(action => action.category === 'Support'));
+    assert.deepStrictEqual(body.categories, ['Support']);
+    assert.deepStrictEqual(body.ranks, ['E', 'D', 'C']);
+  });
+
+  await t.test('lifts a restriction with null', async () => {
+    await api.request('PATCH', settingsPath, { allowedCategories: null }, room.gmHeaders);
+    assert.strictEqual((await roll({ actionName: 'Attack' })).status, 201);
+  });
+
+  await t.test('checks rerolls and buffed bonuses against the settings', async () => {
+    const { body: attack } = await roll({ actionName: 'Attack' });
+    await api.request('PATCH', settingsPath, { allowedActions: ['Heal'] }, room.gmHeaders);
+    const reroll = await api.request('POST', `/rolls/${attack.id}/reroll`, {}, alice.headers);
+    assert.strictEqual(reroll.status, 403);
+    assert.match(reroll.body.error, /Attack is not allowed/);
+
+    const bob = await joinRoom(api, room, 'bob');
+    await api.request('PATCH', settingsPath, { allowedActions: null, maxBonus: 0 }, room.gmHeaders);
+    await api.request('POST', `/rooms/${room.id}/rolls`, {
+      actionName: 'Buff', weaponRank: 'E', masteryRank: 'E', context: { targets: ['alice'] }
+    }, bob.headers);
+    const buffed = await roll({ actionName: 'Attack' });
+    assert.strictEqual(buffed.status, 403);
+    assert.match(buffed.body.error, /from buff stacks/);
+    assert.strictEqual((await roll({ actionName: 'Attack', useBuffs: false })).status, 201);
+  });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_RULESET, getRankValue, getRuleset, loadRulesets, registerRuleset } = require('../rulesets');
+const { startServer, createRoom } = require('./helpers');
+
+// Three ranks and a single d6 action, registered before the server validates the rulesets
+const TIERS = {
+  id: 'tiers',
+  name: 'Tiers',
+  ranks: ['Novice', 'Adept', 'Master'],
+  rankBonuses: { Novice: 0, Adept: 5, Master: 10 },
+  categories: ['Offense'],
+  actions: [{
+    category: 'Offense',
+    name: 'Jab',
+    type: 'Roll',
+    subtype: 'Damage',
+    calculableFormula: { dice: [{ count: 1, sides: 6 }], bonuses: ['MR', 'WR'], modifiers: [] }
+  }]
+};
+registerRuleset(TIERS);
+
+test('registers the rulesets in a directory\'s JSON files', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rulesets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'grades.json'), JSON.stringify({ ...TIERS, id: 'grades', name: 'Grades' }));
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a ruleset');
+  assert.deepStrictEqual(loadRulesets(dir).map(ruleset => ruleset.id), ['grades']);
+  assert.strictEqual(getRuleset('grades').actions[0].name, 'Jab');
+  assert.throws(() => loadRulesets(dir), /Ruleset file grades.json: Ruleset 'grades' is already registered/);
+  assert.deepStrictEqual(loadRulesets(path.join(dir, 'missing')), []);
+});
+
+test('rejects rulesets without a bonus for every rank', () => {
+  assert.throws(() => registerRuleset(TIERS), /already registered/);
+  assert.throws(() => registerRuleset({ ...TIERS, id: 'gaps', rankBonuses: { Novice: 0 } }), /no bonus for rank 'Adept'/);
+});
+
+test('reads rank values of 0 instead of falling back', () => {
+  assert.strictEqual(getRankValue(DEFAULT_RULESET, { E: 5, D: 0 }, 'D'), 0);
+  assert.strictEqual(getRankValue(DEFAULT_RULESET, { E: 5, D: 0 }, 'S'), 5);
+});
+
+test('rooms play with their ruleset', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api, { ruleset: 'tiers' });
+  const roll = fields => api.request('POST', `/rooms/${room.id}/rolls`, { actionName: 'Jab', ...fields }, room.gmHeaders);
+
+  await t.test('lists the rulesets', async () => {
+    const { body } = await api.request('GET', '/rulesets');
+    const tiers = body.find(ruleset => ruleset.id === 'tiers');
+    assert.deepStrictEqual(tiers.ranks, TIERS.ranks);
+    assert.strictEqual(tiers.actionCount, 1);
+    assert.strictEqual((await api.request('POST', '/rooms', { name: 'Nope', ruleset: 'nope' })).status, 400);
+  });
+
+  await t.test('adds the ruleset\'s rank bonuses', async () => {
+    const { status, body } = await roll({ weaponRank: 'Adept', masteryRank: 'Master' });
+    assert.strictEqual(status, 201);
+    assert.ok(body.result >= 16 && body.result <= 21, `rolled ${body.result}`);
+  });
+
+  await t.test('only knows the ruleset\'s ranks and actions', async () => {
+    assert.strictEqual((await roll({ weaponRank: 'E', masteryRank: 'E' })).status, 400);
+    assert.strictEqual((await roll({ actionName: 'Attack', weaponRank: 'Adept', masteryRank: 'Adept' })).status, 400);
+  });
+
+  await t.test('lets the GM switch the room to a ruleset its NPCs fit', async () => {
+    const switchTo = ruleset => api.request('PATCH', `/rooms/${room.id}`, { ruleset }, room.gmHeaders);
+    assert.strictEqual((await switchTo('nope')).status, 400);
+    await api.request('POST', `/rooms/${room.id}/npcs`, { name: 'brute', weaponRank: 'Master', masteryRank: 'Novice' }, room.gmHeaders);
+    const misfit = await switchTo('terrarp');
+    assert.strictEqual(misfit.status, 409);
+    assert.match(misfit.body.details[0], /NPC brute: weaponRank must be one of E/);
+
+    const { body: npcs } = await api.request('GET', `/rooms/${room.id}/npcs`);
+    await api.request('DELETE', `/rooms/${room.id}/npcs/${npcs[0].id}`, undefined, room.gmHeaders);
+    const { status, body } = await switchTo('terrarp');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.ruleset, 'terrarp');
+    assert.strictEqual((await roll({ actionName: 'Attack', weaponRank: 'E', masteryRank: 'E' })).status, 201);
+  });
+});
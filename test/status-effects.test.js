@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../database');
+const { startServer, createRoom } = require('./helpers');
+
+// Ultra Counter's outcomes are random, so the tests below reroll until they saw both
+process.env.REROLLS_PER_PARTICIPANT = '1000';
+
+test('status effects', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const headers = room.gmHeaders;
+  const ultraCounter = { actionName: 'Ultra Counter', weaponRank: 'E', masteryRank: 'E' };
+  const vulnerability = async () => {
+    const { body } = await api.request('GET', `/rooms/${room.id}/status-effects?target=${room.gm}`);
+    return body.find(effect => effect.effect === 'vulnerability');
+  };
+  // Ultra Counter's Vulnerability lasts a round
+  const endRound = () => api.request('POST', `/rooms/${room.id}/status-effects/end-round`, {}, headers);
+  const apply = fields => api.request('POST', `/rooms/${room.id}/status-effects`, { targetName: 'goblin', ...fields }, headers);
+  const goblinEffects = async () => (await api.request('GET', `/rooms/${room.id}/status-effects?target=goblin`)).body;
+
+  await t.test('adds stacks up to maxStacks and keeps the longer duration', async () => {
+    const first = await apply({ effect: 'Poisoned', stacks: 2, rounds: 1, maxStacks: 3 });
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.body.effect.appliedBy, room.gm);
+    const again = await apply({ effect: 'poisoned', stacks: 2, rounds: 3 });
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.change, 'stacked');
+    assert.strictEqual(again.body.effect.stacks, 3);
+    assert.strictEqual(again.body.effect.roundsRemaining, 3);
+    assert.strictEqual((await apply({ effect: 'Poisoned', stacks: 0 })).status, 400);
+  });
+
+  await t.test('counts timed effects down and expires them', async () => {
+    await apply({ effect: 'Protected', rounds: 1 });
+    const { body } = await endRound();
+    assert.deepStrictEqual(body.expired.map(effect => effect.effect), ['protected']);
+    assert.deepStrictEqual((await goblinEffects()).map(effect => [effect.effect, effect.roundsRemaining]), [['poisoned', 2]]);
+  });
+
+  await t.test('cleanses curable conditions one per charge', async () => {
+    await apply({ effect: 'Vulnerability' });
+    const { body } = await api.request('POST', `/rooms/${room.id}/status-effects/cleanse`, { targetName: 'goblin', charges: 2 }, headers);
+    assert.deepStrictEqual(body.cleansed.map(effect => effect.effect), ['poisoned']);
+    assert.strictEqual(body.unusedCharges, 1);
+    const [vulnerability] = await goblinEffects();
+    assert.strictEqual(vulnerability.effect, 'vulnerability');
+    const removed = await api.request('DELETE', `/rooms/${room.id}/status-effects/${vulnerability.id}`, undefined, headers);
+    assert.strictEqual(removed.status, 204);
+    assert.deepStrictEqual(await goblinEffects(), []);
+  });
+
+  await t.test('applies Ultra Counter\'s Vulnerability and negates it on success', async () => {
+    const { status, body } = await api.request('POST', `/rooms/${room.id}/rolls`, ultraCounter, headers);
+    assert.strictEqual(status, 201);
+    const active = await vulnerability();
+    if (body.rollDetails.succeeded) {
+      assert.strictEqual(active, undefined);
+    } else {
+      assert.strictEqual(active.sourceRollId, body.id);
+    }
+  });
+
+  await t.test('keeps nothing of a roll whose status effects fail', async (t) => {
+    const rollCount = async () => (await api.request('GET', `/rooms/${room.id}`)).body.rolls.length;
+    const before = await rollCount();
+    t.mock.method(db, 'getActiveStatusEffect', () => {
+      throw new Error('disk full');
+    });
+    const failed = await api.request('POST', `/rooms/${room.id}/rolls`, ultraCounter, headers);
+    assert.strictEqual(failed.status, 500);
+    t.mock.restoreAll();
+    assert.strictEqual(await rollCount(), before);
+    assert.strictEqual((await api.request('POST', `/rooms/${room.id}/rolls`, ultraCounter, headers)).status, 201);
+  });
+
+  await t.test('replaces the original roll\'s statuses with the reroll\'s', async () => {
+    const outcomes = new Set();
+    // Reroll until both outcomes came up; each reroll's Vulnerability is its own
+    for (let i = 0; i < 40 && outcomes.size < 2; i++) {
+      await endRound();
+      const { body: roll } = await api.request('POST', `/rooms/${room.id}/rolls`, ultraCounter, headers);
+      const { status, body: reroll } = await api.request('POST', `/rolls/${roll.id}/reroll`, {}, headers);
+      assert.strictEqual(status, 201);
+      outcomes.add(reroll.rollDetails.succeeded);
+      const active = await vulnerability();
+      if (reroll.rollDetails.succeeded) {
+        assert.strictEqual(active, undefined);
+      } else {
+        assert.strictEqual(active.sourceRollId, reroll.id);
+      }
+    }
+    assert.strictEqual(outcomes.size, 2);
+  });
+
+  await t.test('restores effects the original roll removed', async () => {
+    await endRound();
+    const { body: existing } = await api.request('GET', `/rooms/${room.id}/status-effects?target=${room.gm}`);
+    assert.strictEqual(existing.length, 0);
+    const applied = await api.request('POST', `/rooms/${room.id}/status-effects`, { targetName: room.gm, effect: 'Vulnerability' }, headers);
+    assert.strictEqual(applied.status, 201);
+
+    let roll;
+    for (let i = 0; i < 40; i++) {
+      ({ body: roll } = await api.request('POST', `/rooms/${room.id}/rolls`, ultraCounter, headers));
+      if (roll.rollDetails.succeeded) {
+        break;
+      }
+    }
+    assert.strictEqual(roll.rollDetails.succeeded, true);
+    assert.strictEqual(await vulnerability(), undefined);
+
+    const { body: reroll } = await api.request('POST', `/rolls/${roll.id}/reroll`, {}, headers);
+    const active = await vulnerability();
+    if (reroll.rollDetails.succeeded) {
+      assert.strictEqual(active, undefined);
+    } else {
+      assert.strictEqual(active.id, applied.body.effect.id);
+      assert.ok(reroll.statusEffectChanges.some(change => change.change === 'restored'));
+    }
+  });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FormulaCalculator = require('../formula-calculator');
+const { startServer, createRoom } = require('./helpers');
+
+const calculator = new FormulaCalculator();
+
+const DICE_POOL = {
+  category: 'Offense',
+  name: 'Dice Pool',
+  type: 'Roll',
+  subtype: 'Damage',
+  calculableFormula: {
+    evaluation: 'count_successes',
+    dice: [{ count: 5, sides: 10 }],
+    bonuses: [],
+    successes: { threshold: 7, doubleOn: 10, cancelOn: 1 }
+  }
+};
+
+test('counts successes, doubles and botches', () => {
+  const pool = calculator.countSuccesses([10, 8, 7, 3, 1], DICE_POOL.calculableFormula.successes);
+  assert.strictEqual(pool.successes, 4);
+  assert.strictEqual(pool.failures, 2);
+  assert.strictEqual(pool.botches, 1);
+  assert.strictEqual(pool.netSuccesses, 3);
+  assert.strictEqual(calculator.countSuccesses([1, 2], DICE_POOL.calculableFormula.successes).isBotch, true);
+});
+
+test('does not add a flat bonus to success pools', () => {
+  for (let i = 0; i < 20; i++) {
+    const roll = calculator.calculateActionRoll(DICE_POOL, 'E', 'E', 40, { seed: `pool-${i}` });
+    assert.strictEqual(roll.details.successPool.bonusSuccesses, 0);
+    assert.ok(roll.result <= 10, `seed pool-${i} gave ${roll.result} successes`);
+  }
+});
+
+test('adds bonus successes', () => {
+  const plain = calculator.calculateActionRoll(DICE_POOL, 'E', 'E', 0, { seed: 'pool-bonus' });
+  const withBonus = calculator.calculateActionRoll(DICE_POOL, 'E', 'E', 0, { seed: 'pool-bonus', bonusSuccesses: 2 });
+  assert.strictEqual(withBonus.details.successPool.netSuccesses, plain.details.successPool.netSuccesses + 2);
+});
+
+test('success pool rolls', async (t) => {
+  const api = await startServer();
+  t.after(() => api.close());
+  const room = await createRoom(api);
+  const created = await api.request('POST', `/rooms/${room.id}/actions`, DICE_POOL, room.gmHeaders);
+  assert.strictEqual(created.status, 201);
+  const poolRoll = { actionName: DICE_POOL.name, weaponRank: 'E', masteryRank: 'E' };
+
+  await t.test('rejects a flat bonus', async () => {
+    const { status, body } = await api.request('POST', `/rooms/${room.id}/rolls`, { ...poolRoll, bonus: 40 }, room.gmHeaders);
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /bonusSuccesses/);
+  });
+
+  await t.test('adds bonusSuccesses and replays them', async () => {
+    const { status, body } = await api.request('POST', `/rooms/${room.id}/rolls`, { ...poolRoll, bonusSuccesses: 2 }, room.gmHeaders);
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.rollDetails.successPool.bonusSuccesses, 2);
+    const verify = await api.request('GET', `/rolls/${body.id}/verify`);
+    assert.strictEqual(verify.body.replay.matches, true);
+  });
+
+  await t.test('rejects bonusSuccesses on other actions', async () => {
+    const { status } = await api.request('POST', `/rooms/${room.id}/rolls`, { ...poolRoll, actionName: 'Ultra Counter', bonusSuccesses: 1 }, room.gmHeaders);
+    assert.strictEqual(status, 400);
+  });
+});